@@ -19,9 +19,17 @@ const rootRoutes = require('./src/routes/rootRoutes');
 const healthRoutes = require('./src/routes/healthRoutes');
 const cometChatRoutes = require('./src/routes/cometChatRoutes');
 const telegramRoutes = require('./src/routes/telegramRoutes');
+const discordRoutes = require('./src/routes/discordRoutes');
+const adminRoutes = require('./src/routes/adminRoutes');
+const mediaRoutes = require('./src/routes/mediaRoutes');
 
 // Services
 const discordGatewayService = require('./src/services/discordGatewayService');
+const bridgeConfigService = require('./src/services/bridgeConfigService');
+const tripettoFormService = require('./src/services/tripettoFormService');
+const deliveryQueueService = require('./src/services/deliveryQueueService');
+const commandService = require('./src/services/commandService');
+const telegramApiService = require('./src/services/telegramApiService');
 
 // Initialize Express app
 const app = express();
@@ -30,7 +38,13 @@ const app = express();
 app.set('trust proxy', config.server.trustProxy);
 
 // Global middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the exact bytes for signature checks (Discord interactions)
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use(webhookLogger);  // Unified webhook and request logging
 
@@ -39,6 +53,9 @@ app.use('/', rootRoutes);
 app.use('/', healthRoutes);
 app.use('/', cometChatRoutes);
 app.use('/', telegramRoutes);
+app.use('/', discordRoutes);
+app.use('/', adminRoutes);
+app.use('/', mediaRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -57,7 +74,10 @@ app.use((req, res) => {
       status: 'GET /status', 
       root: 'GET /',
       cometchat: 'GET|POST /cometchat',
-      telegram: 'GET|POST /telegram'
+      telegram: 'GET|POST /telegram',
+      discord: 'GET /discord, POST /discord/interactions',
+      admin: 'GET|POST|PATCH|DELETE /admin/bridges, /admin/dead-letters',
+      media: 'GET /media/telegram/:fileId, /media/discord/:channelId/:messageId/:attachmentId'
     }
   });
 });
@@ -69,6 +89,9 @@ app.use(errorHandler);
 const startServer = async () => {
   const PORT = config.server.port;
   
+  // Resume deliveries that were pending before the last shutdown
+  await deliveryQueueService.start();
+
   app.listen(PORT, async () => {
     logger.info('🚀 Server started successfully', {
       port: PORT,
@@ -78,10 +101,21 @@ const startServer = async () => {
         health: `http://localhost:${PORT}/health`,
         api: `http://localhost:${PORT}/`,
         cometchat: `http://localhost:${PORT}/cometchat`,
-        telegram: `http://localhost:${PORT}/telegram`
+        telegram: `http://localhost:${PORT}/telegram`,
+        discord: `http://localhost:${PORT}/discord/interactions`
       }
     });
 
+    // Pick up bridge file edits without restarting (the Discord Gateway stays connected)
+    if (config.bridges.watch) {
+      bridgeConfigService.watch();
+    }
+
+    // Pick up published or updated Tripetto workflows without restarting
+    if (config.tripetto.watch) {
+      tripettoFormService.watch();
+    }
+
     // Initialize Discord Gateway Bot after server starts
     try {
       logger.info('🤖 Initializing Discord Gateway Bot...');
@@ -93,6 +127,21 @@ const startServer = async () => {
         note: 'Server will continue without Discord Gateway'
       });
     }
+
+    // The Telegram bot's username tells our /command@botname apart from other bots' commands
+    if (config.telegram.botToken) {
+      await telegramApiService.getBotInfo().catch(() => {});
+    }
+
+    // Publish bot commands to Telegram's command menu and Discord's slash commands
+    await commandService.registerPlatformCommands();
+  });
+
+  // Reload bridge configuration and Tripetto forms on demand
+  process.on('SIGHUP', () => {
+    logger.info('SIGHUP received. Reloading bridge configuration and Tripetto forms...');
+    bridgeConfigService.reload();
+    tripettoFormService.reload();
   });
 
   // Graceful shutdown handling
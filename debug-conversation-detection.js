@@ -22,10 +22,10 @@ async function debugConversationDetection() {
     
     // Step 2: Check if conversation is detected as active
     console.log('\n🔍 Step 2: Checking active conversation detection...');
-    const hasActive1 = tripettoService.hasActiveConversation(userId);
+    const hasActive1 = await tripettoService.hasActiveConversation(userId);
     console.log('Has active conversation (from service):', hasActive1);
     
-    const conversation = conversationStateService.getConversation(userId);
+    const conversation = await conversationStateService.getConversation(userId);
     console.log('Direct conversation check:', {
       exists: !!conversation,
       isActive: conversation?.isActive,
@@ -35,7 +35,7 @@ async function debugConversationDetection() {
     
     // Step 3: Test follow-up message processing
     console.log('\n💬 Step 3: Processing follow-up response...');
-    const hasActive2 = tripettoService.hasActiveConversation(userId);
+    const hasActive2 = await tripettoService.hasActiveConversation(userId);
     console.log('Has active conversation before response:', hasActive2);
     
     if (hasActive2) {
@@ -51,7 +51,7 @@ async function debugConversationDetection() {
     
     // Step 4: Check final state
     console.log('\n📊 Step 4: Final statistics...');
-    const stats = tripettoService.getStatistics();
+    const stats = await tripettoService.getStatistics();
     console.log('Service statistics:', stats);
     
   } catch (error) {
@@ -4,18 +4,18 @@
  */
 
 const tripettoService = require('./src/services/tripettoService');
-const { getFormDefinition, getFormByTrigger, getAvailableTriggers } = require('./src/config/tripettoForms');
+const tripettoFormService = require('./src/services/tripettoFormService');
 
 async function debugFormLookup() {
   console.log('🔍 Debugging Tripetto Form Lookup\n');
   
   try {
     console.log('📋 Step 1: Checking available triggers...');
-    const triggers = getAvailableTriggers();
+    const triggers = tripettoFormService.getAvailableTriggers('cometchat');
     console.log('Available triggers:', triggers);
     
     console.log('\n🔍 Step 2: Testing form lookup by trigger...');
-    const healthcareForm = getFormByTrigger('/care');
+    const healthcareForm = tripettoFormService.getFormByTrigger('/care', 'cometchat');
     console.log('Healthcare form:', {
       exists: !!healthcareForm,
       id: healthcareForm?.id,
@@ -24,7 +24,7 @@ async function debugFormLookup() {
     });
     
     console.log('\n📝 Step 3: Testing direct form lookup...');
-    const directForm = getFormDefinition('chronious-care');
+    const directForm = tripettoFormService.getFormDefinition('chronious-care');
     console.log('Direct form lookup:', {
       exists: !!directForm,
       id: directForm?.id,
@@ -53,18 +53,18 @@ async function debugSenderIdExtraction() {
   
   // Check if conversation is detected
   console.log('\n🔍 Checking active conversation:');
-  const hasActive = tripettoService.hasActiveConversation('user_healthcare_test');
+  const hasActive = await tripettoService.hasActiveConversation('user_healthcare_test');
   console.log('  hasActiveConversation("user_healthcare_test"):', hasActive);
   
-  const hasActiveSenderId = tripettoService.hasActiveConversation(senderId);
+  const hasActiveSenderId = await tripettoService.hasActiveConversation(senderId);
   console.log('  hasActiveConversation(senderId):', hasActiveSenderId);
   
   // Check condition logic
-  const triggerCondition = messageText && (messageText.startsWith('/care') || tripettoService.hasActiveConversation(senderId));
+  const triggerCondition = messageText && (messageText.startsWith('/care') || await tripettoService.hasActiveConversation(senderId));
   console.log('\n🎯 Trigger condition result:');
   console.log('  messageText exists:', !!messageText);
   console.log('  starts with /care:', !!messageText?.startsWith('/care'));
-  console.log('  has active conversation:', tripettoService.hasActiveConversation(senderId));
+  console.log('  has active conversation:', await tripettoService.hasActiveConversation(senderId));
   console.log('  FINAL TRIGGER CONDITION:', triggerCondition);
 }
 
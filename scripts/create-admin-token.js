@@ -0,0 +1,33 @@
+/**
+ * Create Admin API Token
+ * Issues a JWT for the /admin endpoints, signed with JWT_SECRET
+ *
+ * Usage: node scripts/create-admin-token.js <subject> [expiresIn]
+ * Example: node scripts/create-admin-token.js ops-team 30d
+ */
+
+// Keep stdout to the token only
+process.env.DOTENV_CONFIG_QUIET = 'true';
+
+const jwt = require('jsonwebtoken');
+const config = require('../src/config');
+const Validator = require('../src/utils/validator');
+
+const [subject, expiresIn = '30d'] = process.argv.slice(2);
+
+if (!subject) {
+  console.error('Usage: node scripts/create-admin-token.js <subject> [expiresIn]');
+  process.exit(1);
+}
+
+if (!Validator.isConfiguredSecret(config.security.jwtSecret)) {
+  console.error('JWT_SECRET is not set or still an example value; refusing to sign with it');
+  process.exit(1);
+}
+
+const token = jwt.sign({ sub: subject, role: 'admin' }, config.security.jwtSecret, {
+  algorithm: 'HS256',
+  expiresIn
+});
+
+console.log(token);
@@ -0,0 +1,76 @@
+/**
+ * Set Telegram Webhook
+ * Points the bot's webhook at PUBLIC_URL/telegram with TELEGRAM_WEBHOOK_SECRET as its secret token,
+ * so the URL and secret Telegram uses always match what the server verifies.
+ *
+ * Usage: node scripts/set-telegram-webhook.js [--info | --delete]
+ */
+
+process.env.DOTENV_CONFIG_QUIET = 'true';
+
+const axios = require('axios');
+const config = require('../src/config');
+const Validator = require('../src/utils/validator');
+
+// Updates the bridge handles; message_reaction is only sent when listed explicitly
+const ALLOWED_UPDATES = ['message', 'edited_message', 'message_reaction', 'callback_query'];
+
+const [option] = process.argv.slice(2);
+const { botToken, webhookSecret } = config.telegram;
+
+const fail = (message) => {
+  console.error(message);
+  process.exit(1);
+};
+
+const callApi = async (method, params = {}) => {
+  try {
+    const response = await axios.post(`https://api.telegram.org/bot${botToken}/${method}`, params);
+    return response.data.result;
+  } catch (error) {
+    return fail(`${method} failed: ${error.response?.data?.description || error.message}`);
+  }
+};
+
+const main = async () => {
+  if (!botToken) {
+    fail('TELEGRAM_BOT_TOKEN is not set');
+  }
+
+  if (option === '--info') {
+    const info = await callApi('getWebhookInfo');
+    console.log(JSON.stringify(info, null, 2));
+    return;
+  }
+
+  if (option === '--delete') {
+    await callApi('deleteWebhook');
+    console.log('Telegram webhook deleted');
+    return;
+  }
+
+  if (option) {
+    fail('Usage: node scripts/set-telegram-webhook.js [--info | --delete]');
+  }
+
+  if (!config.server.publicUrl) {
+    fail('PUBLIC_URL is not set');
+  }
+  if (!Validator.isConfiguredSecret(webhookSecret)) {
+    fail('TELEGRAM_WEBHOOK_SECRET is not set or still an example value');
+  }
+  if (!/^[A-Za-z0-9_-]{1,256}$/.test(webhookSecret)) {
+    fail('TELEGRAM_WEBHOOK_SECRET must be 1-256 characters of A-Z, a-z, 0-9, _ and -');
+  }
+
+  const url = `${config.server.publicUrl}/telegram`;
+  await callApi('setWebhook', {
+    url,
+    secret_token: webhookSecret,
+    allowed_updates: ALLOWED_UPDATES
+  });
+
+  console.log(`Telegram webhook set to ${url}`);
+};
+
+main();
@@ -0,0 +1,9 @@
+/**
+ * /help - List the commands the user can use here
+ */
+
+module.exports = {
+  name: 'help',
+  description: 'List available commands',
+  handler: ({ platform, account, commands }) => commands.getHelpText(platform, account)
+};
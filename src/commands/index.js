@@ -0,0 +1,13 @@
+/**
+ * Built-in Bot Commands
+ * Registered with the command service at startup; see services/commandService.js for the
+ * definition format.
+ */
+
+module.exports = [
+  require('./start'),
+  require('./help'),
+  require('./link'),
+  require('./ping'),
+  require('./status')
+];
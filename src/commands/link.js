@@ -0,0 +1,15 @@
+/**
+ * /link - Link the user's accounts on different platforms into one identity
+ * Without a code it issues one (sent privately); with a code it redeems it.
+ */
+
+const identityService = require('../services/identityService');
+
+module.exports = {
+  name: 'link',
+  description: 'Link your accounts across platforms',
+  args: [
+    { name: 'code', description: 'Link code from another platform', required: false }
+  ],
+  handler: ({ account, args }) => identityService.handleLinkCommand(account, args.code || '')
+};
@@ -0,0 +1,9 @@
+/**
+ * /ping - Check that the bot is responding
+ */
+
+module.exports = {
+  name: 'ping',
+  description: 'Check that the bot is responding',
+  handler: () => 'Pong! 🏓 The bridge is running.'
+};
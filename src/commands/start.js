@@ -0,0 +1,14 @@
+/**
+ * /start - Introduce the bridge bot
+ */
+
+module.exports = {
+  name: 'start',
+  description: 'Introduce the bridge bot',
+  handler: ({ platform, account, commands }) => [
+    'Hi! I relay messages between chats on Discord, Telegram and CometChat.',
+    'Messages in a bridged chat show up in the linked chats on the other platforms.',
+    '',
+    commands.getHelpText(platform, account)
+  ].join('\n')
+};
@@ -0,0 +1,24 @@
+/**
+ * /status - Show the bridge this chat belongs to (admins only)
+ */
+
+const bridgeConfig = require('../services/bridgeConfigService');
+
+module.exports = {
+  name: 'status',
+  description: 'Show the bridge this chat belongs to',
+  permission: 'admin',
+  handler: ({ platform, chat }) => {
+    const bridge = bridgeConfig.getBridgeByPlatformId(platform, String(chat.id));
+
+    if (!bridge) {
+      return { text: 'This chat is not part of an enabled bridge.', private: true };
+    }
+
+    const platforms = Object.keys(bridge.platforms).filter(name => name !== platform);
+    return {
+      text: `This chat is bridged by "${bridge.name}" (${bridge.id}) to ${platforms.join(', ') || 'no other platforms'}.`,
+      private: true
+    };
+  }
+};
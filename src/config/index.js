@@ -6,12 +6,16 @@
 // Load environment variables from .env file
 require('dotenv').config();
 
+const path = require('path');
+
 const config = {
   // Server Configuration
   server: {
     port: process.env.PORT || 3000,
     env: process.env.NODE_ENV || 'development',
-    trustProxy: true
+    trustProxy: true,
+    // Externally reachable base URL (used for links served by this app, e.g. /media)
+    publicUrl: (process.env.PUBLIC_URL || '').replace(/\/+$/, '')
   },
 
   // CometChat Configuration
@@ -19,7 +23,11 @@ const config = {
     appId: process.env.COMETCHAT_APP_ID || '16696159d8875f66f',
     region: process.env.COMETCHAT_REGION || 'in',
     apiKey: process.env.COMETCHAT_API_KEY || '',
-    webhookSecret: process.env.COMETCHAT_WEBHOOK_SECRET || ''
+    // Basic Auth credentials set on the CometChat webhook (username is optional)
+    webhookUsername: process.env.COMETCHAT_WEBHOOK_USERNAME || '',
+    webhookSecret: process.env.COMETCHAT_WEBHOOK_SECRET || '',
+    // User that sends Tripetto workflow replies (must exist and be a member of workflow groups)
+    assistantUid: process.env.COMETCHAT_ASSISTANT_UID || 'cometchat_bot'
   },
 
   // Telegram Configuration
@@ -36,6 +44,96 @@ const config = {
     webhookSecret: process.env.DISCORD_WEBHOOK_SECRET || ''
   },
 
+  // Bridge Configuration (JSON or YAML file, reloaded on change or SIGHUP)
+  bridges: {
+    configPath: process.env.BRIDGES_CONFIG_PATH || path.join(__dirname, 'bridges.json'),
+    watch: process.env.BRIDGES_WATCH !== 'false'
+  },
+
+  // Tripetto conversation state (in-progress workflows)
+  conversations: {
+    backend: process.env.CONVERSATION_BACKEND || process.env.STORAGE_BACKEND || 'memory',
+    sessionTimeoutMinutes: parseInt(process.env.CONVERSATION_TIMEOUT_MINUTES, 10) || 30
+  },
+
+  // Tripetto workflows (Tripetto Studio exports plus a manifest, reloaded on change or SIGHUP)
+  tripetto: {
+    formsDir: process.env.TRIPETTO_FORMS_DIR || path.join(__dirname, 'forms'),
+    watch: process.env.TRIPETTO_FORMS_WATCH !== 'false'
+  },
+
+  // Storage Configuration (default backend for persistent stores)
+  storage: {
+    backend: process.env.STORAGE_BACKEND || 'memory',
+    sqlitePath: process.env.STORAGE_SQLITE_PATH || path.join(__dirname, '..', '..', 'data', 'bridge.db'),
+    // Redis or a Redis-compatible server (redis backend, needs ioredis)
+    redisUrl: process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+    redisKeyPrefix: process.env.REDIS_KEY_PREFIX || 'cometchat-integrations:'
+  },
+
+  // Cross-platform message ID mapping
+  messageMapping: {
+    backend: process.env.MESSAGE_MAPPING_BACKEND || process.env.STORAGE_BACKEND || 'memory',
+    ttlHours: parseInt(process.env.MESSAGE_MAPPING_TTL_HOURS, 10) || 168
+  },
+
+  // Linked user identities across platforms
+  identities: {
+    backend: process.env.IDENTITY_BACKEND || process.env.STORAGE_BACKEND || 'memory',
+    linkCodeTtlMinutes: parseInt(process.env.LINK_CODE_TTL_MINUTES, 10) || 10
+  },
+
+  // CometChat users mirroring Discord/Telegram authors
+  mirrorUsers: {
+    backend: process.env.MIRROR_USERS_BACKEND || process.env.STORAGE_BACKEND || 'memory',
+    staleDays: parseInt(process.env.MIRROR_USERS_STALE_DAYS, 10) || 30
+  },
+
+  // Bot commands (/start, /help, /link, ...)
+  commands: {
+    // Accounts allowed to run admin commands, as "<platform>:<userId>" entries
+    admins: (process.env.COMMAND_ADMINS || '').split(',').map(entry => entry.trim()).filter(Boolean),
+    // Publish commands to Telegram's command menu and Discord's slash commands on startup
+    register: process.env.COMMANDS_REGISTER !== 'false'
+  },
+
+  // Outbound delivery queue (retries and dead letters)
+  delivery: {
+    backend: process.env.DELIVERY_QUEUE_BACKEND || process.env.STORAGE_BACKEND || 'memory',
+    maxAttempts: parseInt(process.env.DELIVERY_MAX_ATTEMPTS, 10) || 6,
+    baseDelayMs: parseInt(process.env.DELIVERY_BASE_DELAY_MS, 10) || 1000,
+    maxDelayMs: parseInt(process.env.DELIVERY_MAX_DELAY_MS, 10) || 5 * 60 * 1000,
+    deadLetterTtlDays: parseInt(process.env.DEAD_LETTER_TTL_DAYS, 10) || 30
+  },
+
+  // Outbound rate limits ({ capacity, intervalMs } token buckets)
+  rateLimits: {
+    enabled: process.env.RATE_LIMITS_ENABLED !== 'false',
+    telegram: {
+      global: { capacity: 30, intervalMs: 1000 },       // ~30 messages/second per bot
+      group: { capacity: 20, intervalMs: 60 * 1000 },   // ~20 messages/minute per group
+      private: { capacity: 1, intervalMs: 1000 }        // ~1 message/second per private chat
+    },
+    discord: {
+      global: { capacity: 50, intervalMs: 1000 },       // 50 requests/second per bot
+      channel: { capacity: 5, intervalMs: 5000 }        // message route bucket per channel
+    },
+    cometchat: {
+      global: { capacity: 100, intervalMs: 1000 },
+      group: { capacity: 10, intervalMs: 1000 }
+    }
+  },
+
+  // Attachment relaying between platforms
+  attachments: {
+    maxSizeMb: parseFloat(process.env.ATTACHMENT_MAX_SIZE_MB) || 8,
+    downloadTimeoutMs: parseInt(process.env.ATTACHMENT_DOWNLOAD_TIMEOUT_MS, 10) || 30 * 1000,
+    // Signs /media links that proxy Telegram and Discord files; the proxy is off without it
+    signingSecret: process.env.MEDIA_SIGNING_SECRET || '',
+    // How long a /media link keeps working after it was posted
+    linkTtlDays: parseFloat(process.env.MEDIA_LINK_TTL_DAYS) || 30
+  },
+
   // Logging Configuration
   logging: {
     level: process.env.LOG_LEVEL || 'info',
@@ -46,7 +144,9 @@ const config = {
   // Security Configuration
   security: {
     enableAuth: process.env.ENABLE_AUTH === 'true',
-    jwtSecret: process.env.JWT_SECRET || 'your-jwt-secret',
+    jwtSecret: process.env.JWT_SECRET || '',
+    // Serve the admin API without tokens when ENABLE_AUTH is off (local development only)
+    adminApiInsecure: process.env.ADMIN_API_INSECURE === 'true',
     corsOrigins: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',') : ['*']
   }
 };
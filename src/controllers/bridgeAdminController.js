@@ -0,0 +1,129 @@
+/**
+ * Bridge Admin Controller
+ * Handles /admin/bridges endpoints for managing bridges at runtime
+ */
+
+const ResponseHandler = require('../utils/response');
+const bridgeConfigService = require('../services/bridgeConfigService');
+const logger = require('../utils/logger');
+
+class BridgeAdminController {
+  /**
+   * GET /admin/bridges - List all bridges
+   */
+  static async listBridges(req, res) {
+    try {
+      const bridges = bridgeConfigService.getAllBridges();
+      return ResponseHandler.success(res, 'Bridges retrieved', {
+        bridges,
+        summary: bridgeConfigService.getConfigSummary()
+      });
+
+    } catch (error) {
+      logger.error('Failed to list bridges', { error: error.message });
+      return ResponseHandler.error(res, 'Failed to list bridges', error);
+    }
+  }
+
+  /**
+   * GET /admin/bridges/:id - Get a single bridge
+   */
+  static async getBridge(req, res) {
+    try {
+      const bridge = bridgeConfigService.getBridge(req.params.id);
+      if (!bridge) {
+        return ResponseHandler.error(res, `Bridge not found: ${req.params.id}`, null, 404);
+      }
+
+      return ResponseHandler.success(res, 'Bridge retrieved', { bridge });
+
+    } catch (error) {
+      logger.error('Failed to get bridge', { bridgeId: req.params.id, error: error.message });
+      return ResponseHandler.error(res, 'Failed to get bridge', error);
+    }
+  }
+
+  /**
+   * POST /admin/bridges - Create a bridge
+   */
+  static async createBridge(req, res) {
+    try {
+      const bridge = bridgeConfigService.createBridge(req.body);
+
+      logger.info('Bridge created via admin API', { bridgeId: bridge.id, admin: req.admin?.sub });
+      return ResponseHandler.success(res, 'Bridge created', { bridge }, 201);
+
+    } catch (error) {
+      logger.error('Failed to create bridge', { error: error.message });
+      return ResponseHandler.error(res, error.message, error, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * PATCH /admin/bridges/:id - Update a bridge
+   */
+  static async updateBridge(req, res) {
+    try {
+      const bridge = bridgeConfigService.updateBridge(req.params.id, req.body);
+
+      logger.info('Bridge updated via admin API', { bridgeId: bridge.id, admin: req.admin?.sub });
+      return ResponseHandler.success(res, 'Bridge updated', { bridge });
+
+    } catch (error) {
+      logger.error('Failed to update bridge', { bridgeId: req.params.id, error: error.message });
+      return ResponseHandler.error(res, error.message, error, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * POST /admin/bridges/:id/enable - Enable a bridge
+   */
+  static async enableBridge(req, res) {
+    return BridgeAdminController.setEnabled(req, res, true);
+  }
+
+  /**
+   * POST /admin/bridges/:id/disable - Disable a bridge
+   */
+  static async disableBridge(req, res) {
+    return BridgeAdminController.setEnabled(req, res, false);
+  }
+
+  /**
+   * Shared handler for enable/disable
+   * @private
+   */
+  static async setEnabled(req, res, enabled) {
+    try {
+      const bridge = bridgeConfigService.setBridgeEnabled(req.params.id, enabled);
+
+      logger.info(`Bridge ${enabled ? 'enabled' : 'disabled'} via admin API`, {
+        bridgeId: bridge.id,
+        admin: req.admin?.sub
+      });
+      return ResponseHandler.success(res, `Bridge ${enabled ? 'enabled' : 'disabled'}`, { bridge });
+
+    } catch (error) {
+      logger.error('Failed to change bridge state', { bridgeId: req.params.id, enabled, error: error.message });
+      return ResponseHandler.error(res, error.message, error, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * DELETE /admin/bridges/:id - Delete a bridge
+   */
+  static async deleteBridge(req, res) {
+    try {
+      const bridge = bridgeConfigService.deleteBridge(req.params.id);
+
+      logger.info('Bridge deleted via admin API', { bridgeId: bridge.id, admin: req.admin?.sub });
+      return ResponseHandler.success(res, 'Bridge deleted', { bridge });
+
+    } catch (error) {
+      logger.error('Failed to delete bridge', { bridgeId: req.params.id, error: error.message });
+      return ResponseHandler.error(res, error.message, error, error.statusCode || 500);
+    }
+  }
+}
+
+module.exports = BridgeAdminController;
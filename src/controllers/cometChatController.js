@@ -5,13 +5,26 @@
 
 const ResponseHandler = require('../utils/response');
 const cometChatService = require('../services/cometChatService');
+const cometChatApiService = require('../services/cometChatApiService');
+const commandService = require('../services/commandService');
 const logger = require('../utils/logger');
 
+const cometChatMirrorService = require('../services/cometChatMirrorService');
+
 // Import message router for cross-platform messaging
 const messageRouter = require('../services/messageRouterService');
 
-// Import Tripetto service for healthcare workflows
+// Reaction webhook triggers and the change they report
+const REACTION_TRIGGERS = {
+  message_reaction_added: 'add',
+  after_reaction_added: 'add',
+  message_reaction_removed: 'remove',
+  after_reaction_removed: 'remove'
+};
+
+// Import Tripetto services for healthcare workflows
 const tripettoService = require('../services/tripettoService');
+const tripettoFormService = require('../services/tripettoFormService');
 
 class CometChatController {
   /**
@@ -38,8 +51,19 @@ class CometChatController {
     }
   }
 
+  /**
+   * Get the Tripetto form a message starts, if it begins with a form trigger such as /care
+   * @param {string} messageText - Message text
+   * @returns {Object|null} Form or null
+   */
+  static getWorkflowForm(messageText) {
+    const command = (messageText || '').trim().split(/\s+/)[0];
+    return command.startsWith('/') ? tripettoFormService.getFormByTrigger(command, 'cometchat') : null;
+  }
+
   /**
    * Handle Tripetto healthcare workflow
+   * Replies are sent by the assistant user to the group, or to the user in a one-to-one chat.
    * @param {string} userId - User ID
    * @param {string} messageText - Message text
    * @param {string} receiverType - Receiver type (user/group)
@@ -47,6 +71,9 @@ class CometChatController {
    * @param {Object} res - Response object
    */
   static async handleTripettoWorkflow(userId, messageText, receiverType, receiverId, res) {
+    // In a one-to-one chat the message was sent to the assistant, so the reply goes to the user
+    const replyTo = receiverType === 'group' ? receiverId : userId;
+
     try {
       logger.info('🏥 Starting Tripetto healthcare workflow', {
         userId,
@@ -58,45 +85,108 @@ class CometChatController {
       let tripettoResponse;
 
       // Check if user is continuing an existing conversation
-      const hasActiveConversation = tripettoService.hasActiveConversation(userId);
+      const hasActiveConversation = await tripettoService.hasActiveConversation(userId);
+      const form = CometChatController.getWorkflowForm(messageText);
 
-      if (hasActiveConversation && messageText !== '/care') {
+      if (hasActiveConversation && !form) {
         // Continue existing conversation
         tripettoResponse = await tripettoService.processUserResponse(userId, messageText);
       } else {
-        // Start new healthcare workflow
-        tripettoResponse = await tripettoService.startWorkflow(userId, 'chronious-care');
+        // Start the workflow the trigger belongs to
+        tripettoResponse = await tripettoService.startWorkflow(userId, form ? form.id : null);
       }
 
       // Send Tripetto response back to CometChat
+      let delivery = null;
       if (tripettoResponse && tripettoResponse.message) {
-        await cometChatService.sendMessage(receiverId, tripettoResponse.message, receiverType);
-        
-        logger.info('✅ Tripetto response sent to CometChat', {
-          userId,
-          responseLength: tripettoResponse.message.length,
-          conversationComplete: tripettoResponse.complete
-        });
+        delivery = await cometChatService.sendMessage(replyTo, tripettoResponse.message, receiverType);
+
+        if (delivery.sent) {
+          logger.info('✅ Tripetto response sent to CometChat', {
+            userId,
+            messageId: delivery.messageId,
+            responseLength: tripettoResponse.message.length,
+            conversationComplete: tripettoResponse.complete
+          });
+        } else {
+          logger.error('❌ Tripetto response could not be delivered', {
+            userId,
+            receiver: replyTo,
+            receiverType,
+            reason: delivery.reason
+          });
+        }
       }
 
-      return ResponseHandler.success(res, {
-        message: 'Tripetto workflow processed successfully',
+      // Still a 200: a retried webhook would replay the answer into the workflow
+      return ResponseHandler.webhook(res, 'CometChat', {
+        processed: true,
+        action: 'tripetto_workflow_processed',
         workflowComplete: tripettoResponse?.complete || false,
-        userId
+        userId,
+        delivered: delivery ? delivery.sent : false,
+        ...(delivery && !delivery.sent ? { deliveryError: delivery.reason } : {})
       });
 
     } catch (error) {
-      logger.error('❌ Error in Tripetto workflow:', error);
-      
+      logger.error('❌ Error in Tripetto workflow:', { userId, error: error.message });
+
       // Send error message to user
       const errorMessage = "Sorry, I'm having trouble accessing the healthcare system right now. Please try again later or contact support.";
-      try {
-        await cometChatService.sendMessage(receiverId, errorMessage, receiverType);
-      } catch (sendError) {
-        logger.error('Failed to send error message to CometChat:', sendError);
+      const delivery = await cometChatService.sendMessage(replyTo, errorMessage, receiverType);
+      if (!delivery.sent) {
+        logger.error('Failed to send error message to CometChat', { userId, reason: delivery.reason });
+      }
+
+      return ResponseHandler.error(res, 'Failed to process healthcare workflow', error, 500);
+    }
+  }
+
+  /**
+   * Answer a bot command
+   * Private replies are sent to the user directly so nobody else in a group sees them.
+   * @param {Object} messageData - CometChat message data
+   * @param {Object} invocation - { command, args } from the command service
+   * @param {Object} res - Response object
+   */
+  static async handleCommand(messageData, invocation, res) {
+    const senderEntity = messageData.data?.entities?.sender?.entity;
+    const senderId = messageData.sender || senderEntity?.uid;
+    const isGroup = messageData.receiverType === 'group';
+    const chatId = isGroup ? messageData.receiver || messageData.receiverUid : senderId;
+
+    try {
+      const reply = await commandService.execute(invocation.command, {
+        platform: 'cometchat',
+        account: {
+          platform: 'cometchat',
+          id: senderId,
+          name: senderEntity?.name,
+          avatar: senderEntity?.avatar
+        },
+        chat: { id: chatId, type: messageData.receiverType || 'user', isPrivate: !isGroup },
+        args: invocation.args
+      });
+
+      if (reply.private || !isGroup) {
+        await cometChatApiService.sendUserMessage(senderId, reply.text);
+      } else {
+        await cometChatApiService.sendMessage(chatId, reply.text);
       }
 
-      return ResponseHandler.error(res, 'Failed to process healthcare workflow', 500);
+      return ResponseHandler.webhook(res, 'CometChat', {
+        processed: true,
+        action: 'command_processed',
+        command: invocation.command.name
+      });
+
+    } catch (error) {
+      logger.error('Failed to handle CometChat command', {
+        command: invocation.command.name,
+        messageId: messageData.id,
+        error: error.message
+      });
+      return ResponseHandler.error(res, 'Failed to process command', error);
     }
   }
 
@@ -122,12 +212,25 @@ class CometChatController {
         const receiverType = messageData.receiverType || 'user';
         const receiverId = messageData.receiver || messageData.receiverUid;
 
+        // Messages we produced (bridged copies, mirrored users, the assistant's replies) come back
+        // through this webhook too; they must never run commands or workflows
+        const fromBridge = CometChatController.isBridgeMessage(messageData, senderId);
+
+        // Bot commands are answered here and never bridged
+        const invocation = fromBridge ? null : commandService.parse(messageText, 'cometchat');
+        if (invocation && senderId) {
+          return await CometChatController.handleCommand(messageData, invocation, res);
+        }
+
         // Check for Tripetto triggers
-        if (messageText && (messageText.startsWith('/care') || tripettoService.hasActiveConversation(senderId))) {
+        const isActiveConversation = !!messageText && !fromBridge &&
+          await tripettoService.hasActiveConversation(senderId);
+        if (messageText && !fromBridge &&
+            (CometChatController.getWorkflowForm(messageText) || isActiveConversation)) {
           logger.info('🏥 Tripetto workflow trigger detected', {
             userId: senderId,
             messageText: messageText.substring(0, 50) + '...',
-            isActiveConversation: tripettoService.hasActiveConversation(senderId)
+            isActiveConversation
           });
 
           return await CometChatController.handleTripettoWorkflow(
@@ -148,12 +251,17 @@ class CometChatController {
         // Handle both message wrapper and direct data formats
         const messageData = body.data.message || body.data;
         
-        if (messageData && (messageData.text || messageData.data?.text)) {
+        if (messageData && (messageData.text || messageData.data?.text || CometChatController.getAttachments(messageData).length > 0)) {
           logger.info('🔄 Routing CometChat message', { trigger: body.trigger });
           await CometChatController.routeMessage(messageData);
         }
       }
 
+      // Mirror reactions to the bridged copies
+      if (REACTION_TRIGGERS[body.trigger] && body.data) {
+        await CometChatController.routeReaction(body.data, REACTION_TRIGGERS[body.trigger]);
+      }
+
       // Return success response with processing result
       return ResponseHandler.webhook(res, 'CometChat', {
         ...result,
@@ -167,6 +275,75 @@ class CometChatController {
     }
   }
 
+  /**
+   * Whether a CometChat message was produced by the bridge rather than typed by a user
+   * @param {Object} cometChatMessage - CometChat message data
+   * @param {string} senderId - Sender uid
+   */
+  static isBridgeMessage(cometChatMessage, senderId) {
+    const metadata = cometChatMessage.metadata || cometChatMessage.data?.metadata || {};
+    return metadata.source === 'bridge' ||
+      senderId === cometChatApiService.botUid ||
+      senderId === cometChatApiService.assistantUid ||
+      cometChatMirrorService.isMirrorUid(senderId);
+  }
+
+  /**
+   * Describe the message a CometChat thread reply or quote refers to
+   * @param {Object} cometChatMessage - CometChat message data
+   * @returns {Object|null} { platform, channelId, messageId, author, text }
+   */
+  static getReplyTo(cometChatMessage) {
+    const quoted = cometChatMessage.quotedMessage;
+    const parentId = cometChatMessage.quotedMessageId || quoted?.id || cometChatMessage.parentId || cometChatMessage.data?.parentId;
+
+    if (!parentId) {
+      return null;
+    }
+
+    return {
+      platform: 'cometchat',
+      channelId: cometChatMessage.receiver || cometChatMessage.receiverUid,
+      messageId: String(parentId),
+      author: quoted?.data?.entities?.sender?.entity?.name || null,
+      text: quoted?.data?.text || quoted?.text || null
+    };
+  }
+
+  /**
+   * Extract attachments from a CometChat media message
+   * @param {Object} cometChatMessage - CometChat message data
+   * @returns {Array} Standardized attachments
+   */
+  static getAttachments(cometChatMessage) {
+    const files = cometChatMessage.data?.attachments ||
+                  cometChatMessage.attachments ||
+                  (cometChatMessage.data?.url ? [{ url: cometChatMessage.data.url }] : []);
+
+    return files
+      .filter(file => file && file.url)
+      .map((file, index) => ({
+        id: `${cometChatMessage.id}_${index}`,
+        name: file.name || file.url.split('?')[0].split('/').pop() || 'file',
+        url: file.url,
+        size: file.size,
+        contentType: file.mimeType || file.contentType
+      }));
+  }
+
+  /**
+   * Collect the users a message mentions (written as <@uid:UID> in the text)
+   * @param {Object} cometChatMessage - CometChat message data
+   * @returns {Array} Mentions [{ kind, id, name }]
+   */
+  static getMentions(cometChatMessage) {
+    const mentioned = cometChatMessage.data?.mentionedUsers || cometChatMessage.mentionedUsers || [];
+
+    return mentioned
+      .filter(user => user && user.uid)
+      .map(user => ({ kind: 'user', id: user.uid, name: user.name || user.uid }));
+  }
+
   /**
    * Convert CometChat message to standard format and route to other platforms
    * @param {Object} cometChatMessage - CometChat message data
@@ -178,7 +355,9 @@ class CometChatController {
                          cometChatMessage.data?.text || 
                          (typeof cometChatMessage.data === 'string' ? cometChatMessage.data : '');
 
-      if (!messageText) {
+      const attachments = CometChatController.getAttachments(cometChatMessage);
+
+      if (!messageText && attachments.length === 0) {
         logger.warn('❌ CometChat message has no text content', { 
           messageId: cometChatMessage.id
         });
@@ -204,9 +383,12 @@ class CometChatController {
         },
         content: {
           text: messageText,
-          attachments: cometChatMessage.attachments || [],
-          metadata: cometChatMessage.metadata || {}
+          attachments,
+          // REST-sent messages (including our bridged copies) carry metadata under data.metadata
+          metadata: cometChatMessage.metadata || cometChatMessage.data?.metadata || {},
+          mentions: CometChatController.getMentions(cometChatMessage)
         },
+        replyTo: CometChatController.getReplyTo(cometChatMessage),
         channel: {
           id: cometChatMessage.receiver || cometChatMessage.receiverUid,
           name: cometChatMessage.receiverType === 'group' ? 'Group Chat' : 'Direct Message',
@@ -234,6 +416,53 @@ class CometChatController {
       });
     }
   }
+
+  /**
+   * Route a reaction added to or removed from a CometChat group message
+   * Reactions by the bot or mirrored users are our own mirrored ones and are skipped.
+   * @param {Object} data - Reaction webhook data
+   * @param {string} action - 'add' or 'remove'
+   */
+  static async routeReaction(data, action) {
+    const reaction = data.reaction || {};
+    const messageId = reaction.messageId || data.message?.id;
+
+    try {
+      const emoji = reaction.reaction;
+      const userId = reaction.uid || reaction.reactedBy?.uid;
+
+      if (!messageId || !emoji || !userId) {
+        logger.warn('CometChat reaction webhook missing data', { messageId, hasEmoji: !!emoji, userId });
+        return;
+      }
+
+      if (userId === cometChatApiService.botUid || cometChatMirrorService.isMirrorUid(userId)) {
+        return;
+      }
+
+      // Only group messages are bridged; look the message up when the webhook omits its group
+      const message = data.message || await cometChatApiService.getMessage(messageId);
+      if (message.receiverType !== 'group') {
+        return;
+      }
+
+      await messageRouter.routeReaction({
+        platform: 'cometchat',
+        channelId: message.receiver,
+        messageId: String(messageId),
+        userId,
+        emoji,
+        action
+      });
+
+    } catch (error) {
+      logger.error('Failed to route CometChat reaction', {
+        messageId,
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  }
 }
 
 module.exports = CometChatController;
@@ -0,0 +1,117 @@
+/**
+ * Dead Letter Admin Controller
+ * Handles /admin/dead-letters endpoints for inspecting, retrying and purging failed deliveries
+ */
+
+const ResponseHandler = require('../utils/response');
+const deliveryQueueService = require('../services/deliveryQueueService');
+const logger = require('../utils/logger');
+
+class DeadLetterAdminController {
+  /**
+   * GET /admin/dead-letters - List dead letters and queue statistics
+   */
+  static async listDeadLetters(req, res) {
+    try {
+      const deadLetters = await deliveryQueueService.listDeadLetters();
+      return ResponseHandler.success(res, 'Dead letters retrieved', {
+        deadLetters,
+        queue: await deliveryQueueService.getStats()
+      });
+
+    } catch (error) {
+      logger.error('Failed to list dead letters', { error: error.message });
+      return ResponseHandler.error(res, 'Failed to list dead letters', error);
+    }
+  }
+
+  /**
+   * GET /admin/dead-letters/:id - Get a single dead letter
+   */
+  static async getDeadLetter(req, res) {
+    try {
+      const deadLetter = await deliveryQueueService.getDeadLetter(req.params.id);
+      if (!deadLetter) {
+        return ResponseHandler.error(res, `Dead letter not found: ${req.params.id}`, null, 404);
+      }
+
+      return ResponseHandler.success(res, 'Dead letter retrieved', { deadLetter });
+
+    } catch (error) {
+      logger.error('Failed to get dead letter', { id: req.params.id, error: error.message });
+      return ResponseHandler.error(res, 'Failed to get dead letter', error);
+    }
+  }
+
+  /**
+   * POST /admin/dead-letters/:id/retry - Re-queue a dead letter
+   */
+  static async retryDeadLetter(req, res) {
+    try {
+      const job = await deliveryQueueService.retryDeadLetter(req.params.id);
+      if (!job) {
+        return ResponseHandler.error(res, `Dead letter not found: ${req.params.id}`, null, 404);
+      }
+
+      logger.info('Dead letter retried via admin API', { id: req.params.id, admin: req.admin?.sub });
+      return ResponseHandler.success(res, 'Dead letter re-queued', { job: { id: job.id, targetKey: job.targetKey } });
+
+    } catch (error) {
+      logger.error('Failed to retry dead letter', { id: req.params.id, error: error.message });
+      return ResponseHandler.error(res, 'Failed to retry dead letter', error);
+    }
+  }
+
+  /**
+   * POST /admin/dead-letters/retry - Re-queue all dead letters
+   */
+  static async retryAllDeadLetters(req, res) {
+    try {
+      const count = await deliveryQueueService.retryAllDeadLetters();
+
+      logger.info('All dead letters retried via admin API', { count, admin: req.admin?.sub });
+      return ResponseHandler.success(res, 'Dead letters re-queued', { count });
+
+    } catch (error) {
+      logger.error('Failed to retry dead letters', { error: error.message });
+      return ResponseHandler.error(res, 'Failed to retry dead letters', error);
+    }
+  }
+
+  /**
+   * DELETE /admin/dead-letters/:id - Remove a dead letter
+   */
+  static async deleteDeadLetter(req, res) {
+    try {
+      const deleted = await deliveryQueueService.deleteDeadLetter(req.params.id);
+      if (!deleted) {
+        return ResponseHandler.error(res, `Dead letter not found: ${req.params.id}`, null, 404);
+      }
+
+      logger.info('Dead letter deleted via admin API', { id: req.params.id, admin: req.admin?.sub });
+      return ResponseHandler.success(res, 'Dead letter deleted', { id: req.params.id });
+
+    } catch (error) {
+      logger.error('Failed to delete dead letter', { id: req.params.id, error: error.message });
+      return ResponseHandler.error(res, 'Failed to delete dead letter', error);
+    }
+  }
+
+  /**
+   * DELETE /admin/dead-letters - Purge all dead letters
+   */
+  static async purgeDeadLetters(req, res) {
+    try {
+      const count = await deliveryQueueService.purgeDeadLetters();
+
+      logger.info('Dead letters purged via admin API', { count, admin: req.admin?.sub });
+      return ResponseHandler.success(res, 'Dead letters purged', { count });
+
+    } catch (error) {
+      logger.error('Failed to purge dead letters', { error: error.message });
+      return ResponseHandler.error(res, 'Failed to purge dead letters', error);
+    }
+  }
+}
+
+module.exports = DeadLetterAdminController;
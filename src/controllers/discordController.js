@@ -0,0 +1,56 @@
+/**
+ * Discord Controller
+ * Handles the Discord interactions endpoint
+ */
+
+const ResponseHandler = require('../utils/response');
+const discordService = require('../services/discordService');
+const logger = require('../utils/logger');
+
+class DiscordController {
+  /**
+   * GET /discord - Get Discord service info
+   */
+  static async getInfo(req, res) {
+    try {
+      const info = {
+        service: 'CometChat Discord Integration',
+        status: 'active',
+        version: '2.0.1',
+        endpoints: {
+          interactions: 'POST /discord/interactions',
+          info: 'GET /discord'
+        }
+      };
+
+      logger.discord('info_requested', info);
+      return ResponseHandler.success(res, 'Discord service information', info);
+
+    } catch (error) {
+      logger.error('Discord info request failed', { error: error.message });
+      return ResponseHandler.error(res, 'Failed to get Discord info', error);
+    }
+  }
+
+  /**
+   * POST /discord/interactions - Handle Discord interactions
+   * Discord expects the interaction response itself as the body, not the usual API envelope.
+   */
+  static async handleInteraction(req, res) {
+    try {
+      const result = await discordService.processWebhook(req.body);
+
+      if (!result.response) {
+        return ResponseHandler.error(res, 'Unsupported interaction type', null, 400);
+      }
+
+      return res.status(200).json(result.response);
+
+    } catch (error) {
+      logger.error('❌ Error processing Discord interaction:', { error: error.message });
+      return ResponseHandler.error(res, 'Error processing Discord interaction', error);
+    }
+  }
+}
+
+module.exports = DiscordController;
@@ -0,0 +1,65 @@
+/**
+ * Form Admin Controller
+ * Handles /admin/forms endpoints for inspecting and reloading Tripetto workflows
+ */
+
+const ResponseHandler = require('../utils/response');
+const tripettoFormService = require('../services/tripettoFormService');
+const logger = require('../utils/logger');
+
+class FormAdminController {
+  /**
+   * GET /admin/forms - List loaded forms and the last load error
+   */
+  static async listForms(req, res) {
+    try {
+      return ResponseHandler.success(res, 'Forms retrieved', tripettoFormService.getSummary());
+
+    } catch (error) {
+      logger.error('Failed to list forms', { error: error.message });
+      return ResponseHandler.error(res, 'Failed to list forms', error);
+    }
+  }
+
+  /**
+   * GET /admin/forms/:id - Get a form including its Tripetto definition
+   */
+  static async getForm(req, res) {
+    try {
+      const form = tripettoFormService.getAllForms().find(entry => entry.id === req.params.id);
+      if (!form) {
+        return ResponseHandler.error(res, `Form not found: ${req.params.id}`, null, 404);
+      }
+
+      return ResponseHandler.success(res, 'Form retrieved', { form });
+
+    } catch (error) {
+      logger.error('Failed to get form', { id: req.params.id, error: error.message });
+      return ResponseHandler.error(res, 'Failed to get form', error);
+    }
+  }
+
+  /**
+   * POST /admin/forms/reload - Reload the forms directory
+   * Responds 422 with the validation errors when the new forms are rejected (previous forms are kept).
+   */
+  static async reloadForms(req, res) {
+    try {
+      const applied = tripettoFormService.reload();
+      const summary = tripettoFormService.getSummary();
+
+      if (!applied) {
+        return ResponseHandler.error(res, summary.lastError.message, null, 422);
+      }
+
+      logger.info('Forms reloaded via admin API', { forms: summary.forms.length, admin: req.admin?.sub });
+      return ResponseHandler.success(res, 'Forms reloaded', summary);
+
+    } catch (error) {
+      logger.error('Failed to reload forms', { error: error.message });
+      return ResponseHandler.error(res, 'Failed to reload forms', error);
+    }
+  }
+}
+
+module.exports = FormAdminController;
@@ -0,0 +1,139 @@
+/**
+ * Identity Admin Controller
+ * Handles /admin/identities endpoints for looking up, editing and unlinking linked accounts
+ */
+
+const ResponseHandler = require('../utils/response');
+const identityService = require('../services/identityService');
+const logger = require('../utils/logger');
+
+const PLATFORMS = ['discord', 'telegram', 'cometchat'];
+
+class IdentityAdminController {
+  /**
+   * GET /admin/identities - List identities, or look one up by account
+   * Query: ?platform=<p>&accountId=<id> or ?platform=<p>&username=<name>
+   */
+  static async listIdentities(req, res) {
+    try {
+      const { platform, accountId, username } = req.query;
+
+      if (!platform && !accountId && !username) {
+        const identities = await identityService.listIdentities();
+        return ResponseHandler.success(res, 'Identities retrieved', {
+          identities,
+          stats: await identityService.getStats()
+        });
+      }
+
+      if (!PLATFORMS.includes(platform) || (!accountId && !username)) {
+        return ResponseHandler.error(res, `Lookup needs platform (${PLATFORMS.join(', ')}) and accountId or username`, null, 400);
+      }
+
+      const identity = accountId
+        ? await identityService.getIdentity(platform, accountId)
+        : await identityService.findByUsername(platform, username);
+      if (!identity) {
+        return ResponseHandler.error(res, `No identity linked to ${platform} account ${accountId || username}`, null, 404);
+      }
+
+      return ResponseHandler.success(res, 'Identity retrieved', { identity });
+
+    } catch (error) {
+      logger.error('Failed to list identities', { error: error.message });
+      return ResponseHandler.error(res, 'Failed to list identities', error);
+    }
+  }
+
+  /**
+   * GET /admin/identities/:id - Get a single identity
+   */
+  static async getIdentity(req, res) {
+    try {
+      const identity = await identityService.getIdentityById(req.params.id);
+      if (!identity) {
+        return ResponseHandler.error(res, `Identity not found: ${req.params.id}`, null, 404);
+      }
+
+      return ResponseHandler.success(res, 'Identity retrieved', { identity });
+
+    } catch (error) {
+      logger.error('Failed to get identity', { id: req.params.id, error: error.message });
+      return ResponseHandler.error(res, 'Failed to get identity', error);
+    }
+  }
+
+  /**
+   * PATCH /admin/identities/:id - Change the display name or avatar used when bridging
+   */
+  static async updateIdentity(req, res) {
+    try {
+      const { displayName, avatar } = req.body || {};
+      const invalid = [['displayName', displayName], ['avatar', avatar]]
+        .filter(([, value]) => value !== undefined && value !== null && typeof value !== 'string')
+        .map(([field]) => field);
+
+      if (invalid.length > 0 || (displayName === undefined && avatar === undefined)) {
+        return ResponseHandler.error(res, 'Body must set displayName and/or avatar to a string or null', null, 400);
+      }
+
+      const identity = await identityService.updateProfile(req.params.id, { displayName, avatar });
+      if (!identity) {
+        return ResponseHandler.error(res, `Identity not found: ${req.params.id}`, null, 404);
+      }
+
+      logger.info('Identity updated via admin API', { id: req.params.id, admin: req.admin?.sub });
+      return ResponseHandler.success(res, 'Identity updated', { identity });
+
+    } catch (error) {
+      logger.error('Failed to update identity', { id: req.params.id, error: error.message });
+      return ResponseHandler.error(res, 'Failed to update identity', error);
+    }
+  }
+
+  /**
+   * DELETE /admin/identities/:id/accounts/:platform - Unlink one account
+   */
+  static async unlinkAccount(req, res) {
+    try {
+      const { id, platform } = req.params;
+      const identity = await identityService.getIdentityById(id);
+      const account = identity?.accounts[platform];
+      if (!account) {
+        return ResponseHandler.error(res, `Identity ${id} has no ${platform} account`, null, 404);
+      }
+
+      const remaining = await identityService.unlinkAccount(platform, account.id);
+
+      logger.info('Account unlinked via admin API', { id, platform, admin: req.admin?.sub });
+      return ResponseHandler.success(res, 'Account unlinked', {
+        identity: Object.keys(remaining.accounts).length > 0 ? remaining : null
+      });
+
+    } catch (error) {
+      logger.error('Failed to unlink account', { id: req.params.id, error: error.message });
+      return ResponseHandler.error(res, 'Failed to unlink account', error);
+    }
+  }
+
+  /**
+   * DELETE /admin/identities/:id - Unlink all accounts of an identity
+   */
+  static async deleteIdentity(req, res) {
+    try {
+      const deleted = await identityService.deleteIdentity(req.params.id);
+      if (!deleted) {
+        return ResponseHandler.error(res, `Identity not found: ${req.params.id}`, null, 404);
+      }
+
+      logger.info('Identity deleted via admin API', { id: req.params.id, admin: req.admin?.sub });
+      return ResponseHandler.success(res, 'Identity deleted', { id: req.params.id });
+
+    } catch (error) {
+      logger.error('Failed to delete identity', { id: req.params.id, error: error.message });
+      return ResponseHandler.error(res, 'Failed to delete identity', error);
+    }
+  }
+}
+
+module.exports = IdentityAdminController;
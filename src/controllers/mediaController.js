@@ -0,0 +1,88 @@
+/**
+ * Media Controller
+ * Serves bridged attachments that can't be linked directly on other platforms
+ */
+
+const ResponseHandler = require('../utils/response');
+const attachmentService = require('../services/attachmentService');
+const logger = require('../utils/logger');
+
+// Only these are shown inline; anything else (HTML, SVG, ...) could run script on our origin
+const INLINE_TYPES = /^(image\/(png|jpe?g|gif|webp|bmp|avif)|video\/[\w.+-]+|audio\/[\w.+-]+)$/i;
+
+class MediaController {
+  /**
+   * GET /media/telegram/:fileId - Proxy a Telegram file (links are signed by the bridge)
+   */
+  static async getTelegramFile(req, res) {
+    const { fileId } = req.params;
+    const path = attachmentService.getTelegramMediaPath(fileId);
+
+    if (!attachmentService.verifySignature(path, req.query.exp, req.query.sig)) {
+      return ResponseHandler.error(res, 'Invalid media signature', null, 403);
+    }
+
+    try {
+      const file = await attachmentService.openTelegramFile(fileId);
+      MediaController.sendFile(req, res, file, 'telegram');
+
+    } catch (error) {
+      const status = error.response?.status === 400 ? 404 : 502;
+      logger.error('Failed to proxy Telegram media', { status: error.response?.status, error: error.message });
+      return ResponseHandler.error(res, 'Media not available', null, status);
+    }
+  }
+
+  /**
+   * GET /media/discord/:channelId/:messageId/:attachmentId - Proxy a Discord attachment
+   * (links are signed by the bridge; the CDN URL is fetched fresh on every request)
+   */
+  static async getDiscordFile(req, res) {
+    const { channelId, messageId, attachmentId } = req.params;
+    const path = attachmentService.getDiscordMediaPath(channelId, messageId, attachmentId);
+
+    if (!attachmentService.verifySignature(path, req.query.exp, req.query.sig)) {
+      return ResponseHandler.error(res, 'Invalid media signature', null, 403);
+    }
+
+    try {
+      const file = await attachmentService.openDiscordFile(channelId, messageId, attachmentId);
+      MediaController.sendFile(req, res, file, 'discord');
+
+    } catch (error) {
+      // Deleted messages and attachments come back as 404 from Discord
+      const status = error.status === 404 ? 404 : 502;
+      logger.error('Failed to proxy Discord media', { channelId, messageId, status: error.status, error: error.message });
+      return ResponseHandler.error(res, 'Media not available', null, status);
+    }
+  }
+
+  /**
+   * Stream an opened file to the client
+   * @param {Object} file - { stream, contentType, size }
+   * @param {string} platform - Source platform (for logs)
+   * @private
+   */
+  static sendFile(req, res, file, platform) {
+    // Media is shown inline so chat clients preview it; everything else is a plain download
+    const contentType = String(file.contentType).split(';')[0].trim();
+    const inline = INLINE_TYPES.test(contentType);
+    const filename = req.query.name ? `; filename*=UTF-8''${encodeURIComponent(String(req.query.name))}` : '';
+
+    res.set('Content-Type', inline ? contentType : 'application/octet-stream');
+    res.set('Content-Disposition', `${inline ? 'inline' : 'attachment'}${filename}`);
+    res.set('X-Content-Type-Options', 'nosniff');
+    if (file.size) {
+      res.set('Content-Length', file.size);
+    }
+    res.set('Cache-Control', 'private, max-age=3600');
+
+    file.stream.on('error', error => {
+      logger.error('Media stream failed', { platform, error: error.message });
+      res.destroy(error);
+    });
+    file.stream.pipe(res);
+  }
+}
+
+module.exports = MediaController;
@@ -30,6 +30,27 @@ class RootController {
           telegram: {
             info: 'GET /telegram', 
             webhook: 'POST /telegram'
+          },
+          discord: {
+            info: 'GET /discord',
+            interactions: 'POST /discord/interactions'
+          },
+          admin: {
+            bridges: 'GET|POST /admin/bridges',
+            bridge: 'GET|PATCH|DELETE /admin/bridges/:id',
+            toggle: 'POST /admin/bridges/:id/enable|disable',
+            deadLetters: 'GET|DELETE /admin/dead-letters',
+            deadLetter: 'GET|DELETE /admin/dead-letters/:id',
+            retry: 'POST /admin/dead-letters/retry | /admin/dead-letters/:id/retry',
+            identities: 'GET /admin/identities[?platform=&accountId=|username=]',
+            identity: 'GET|PATCH|DELETE /admin/identities/:id',
+            unlink: 'DELETE /admin/identities/:id/accounts/:platform',
+            forms: 'GET /admin/forms | /admin/forms/:id',
+            reloadForms: 'POST /admin/forms/reload'
+          },
+          media: {
+            telegram: 'GET /media/telegram/:fileId?exp=...&sig=...',
+            discord: 'GET /media/discord/:channelId/:messageId/:attachmentId?exp=...&sig=...'
           }
         },
         documentation: {
@@ -5,6 +5,8 @@
 
 const ResponseHandler = require('../utils/response');
 const telegramService = require('../services/telegramService');
+const telegramApiService = require('../services/telegramApiService');
+const commandService = require('../services/commandService');
 const logger = require('../utils/logger');
 
 // Import message router for cross-platform messaging
@@ -45,11 +47,23 @@ class TelegramController {
       // Process the webhook through the service (logging handled in middleware)
       const result = await telegramService.processWebhook(body);
 
-      // Route message to other platforms if it's a valid message
-      if (body.message && body.message.text && !body.message.from.is_bot) {
+      // Bot commands are answered by the service and never bridged
+      const isCommand = !!commandService.parse(body.message?.text, 'telegram');
+      if (body.message && body.message.from && !isCommand && TelegramController.hasContent(body.message)) {
+        // Route message to other platforms if it's a valid message (loop prevention happens in the router)
         await TelegramController.routeMessage(body.message);
       }
 
+      // Mirror edits to the previously bridged copies
+      if (body.edited_message && body.edited_message.from && TelegramController.hasContent(body.edited_message)) {
+        await TelegramController.routeEdit(body.edited_message);
+      }
+
+      // Mirror reaction changes to the bridged copies
+      if (body.message_reaction) {
+        await TelegramController.routeReaction(body.message_reaction);
+      }
+
       // Return success response with processing result
       return ResponseHandler.webhook(res, 'Telegram', {
         ...result,
@@ -62,38 +76,150 @@ class TelegramController {
     }
   }
 
+  /**
+   * Convert Telegram message to standard message format
+   * @param {Object} telegramMessage - Telegram message object
+   * @returns {Object} Standardized message
+   */
+  static toStandardMessage(telegramMessage) {
+    return {
+      id: `telegram_${telegramMessage.message_id}`,
+      source: 'telegram',
+      author: {
+        id: telegramMessage.from.id.toString(),
+        name: telegramMessage.from.username || `${telegramMessage.from.first_name} ${telegramMessage.from.last_name || ''}`.trim(),
+        displayName: telegramMessage.from.first_name,
+        isBot: telegramMessage.from.is_bot || false,
+        avatar: null // Telegram doesn't provide avatar URLs in webhooks
+      },
+      content: {
+        // Media messages carry their text as a caption
+        text: telegramMessage.text || telegramMessage.caption || '',
+        attachments: TelegramController.getAttachments(telegramMessage),
+        entities: telegramMessage.entities || telegramMessage.caption_entities || [],
+        mentions: TelegramController.getMentions(telegramMessage)
+      },
+      replyTo: TelegramController.getReplyTo(telegramMessage),
+      channel: {
+        id: telegramMessage.chat.id.toString(),
+        name: telegramMessage.chat.title || telegramMessage.chat.username || 'Private Chat',
+        type: telegramMessage.chat.type
+      },
+      timestamp: new Date(telegramMessage.date * 1000),
+      platform: {
+        messageUrl: null // Telegram doesn't provide direct message URLs
+      }
+    };
+  }
+
+  /**
+   * Collect the users a message mentions
+   * `mention` entities only carry a username; `text_mention` ones carry the user.
+   * @param {Object} telegramMessage - Telegram message object
+   * @returns {Array} Mentions [{ kind, id, name, username }]
+   */
+  static getMentions(telegramMessage) {
+    const text = telegramMessage.text || telegramMessage.caption || '';
+    const entities = telegramMessage.entities || telegramMessage.caption_entities || [];
+
+    return entities.flatMap(entity => {
+      if (entity.type === 'mention') {
+        const username = text.slice(entity.offset + 1, entity.offset + entity.length);
+        return [{ kind: 'user', id: null, name: username, username }];
+      }
+      if (entity.type === 'text_mention' && entity.user) {
+        return [{
+          kind: 'user',
+          id: entity.user.id.toString(),
+          name: `${entity.user.first_name} ${entity.user.last_name || ''}`.trim(),
+          username: entity.user.username || null
+        }];
+      }
+      return [];
+    });
+  }
+
+  /**
+   * Describe the message a Telegram reply refers to
+   * @param {Object} telegramMessage - Telegram message object
+   * @returns {Object|null} { platform, channelId, messageId, author, text }
+   */
+  static getReplyTo(telegramMessage) {
+    const replied = telegramMessage.reply_to_message;
+
+    // Messages in forum topics reply to the topic's service message implicitly
+    if (!replied || replied.forum_topic_created) {
+      return null;
+    }
+
+    return {
+      platform: 'telegram',
+      channelId: replied.chat.id.toString(),
+      messageId: replied.message_id.toString(),
+      author: replied.from
+        ? replied.from.username || `${replied.from.first_name} ${replied.from.last_name || ''}`.trim()
+        : null,
+      // A partial quote is what the user selected, so it beats the full text
+      text: telegramMessage.quote?.text || replied.text || replied.caption || null
+    };
+  }
+
+  /**
+   * Check whether a Telegram message has anything to bridge
+   * @param {Object} telegramMessage - Telegram message object
+   */
+  static hasContent(telegramMessage) {
+    return !!telegramMessage.text || TelegramController.getAttachments(telegramMessage).length > 0;
+  }
+
+  /**
+   * Extract attachments from a Telegram message
+   * Telegram only sends file IDs; the files are downloaded via getFile when relayed.
+   * @param {Object} telegramMessage - Telegram message object
+   * @returns {Array} Standardized attachments
+   */
+  static getAttachments(telegramMessage) {
+    const id = telegramMessage.message_id;
+    const toAttachment = (file, defaults) => ({
+      id: file.file_unique_id,
+      fileId: file.file_id,
+      name: file.file_name || defaults.name,
+      url: null,
+      size: file.file_size,
+      contentType: file.mime_type || defaults.contentType
+    });
+
+    // Photos come in several sizes; the last one is the largest
+    if (telegramMessage.photo?.length > 0) {
+      const photo = telegramMessage.photo[telegramMessage.photo.length - 1];
+      return [toAttachment(photo, { name: `photo_${id}.jpg`, contentType: 'image/jpeg' })];
+    }
+
+    // Animations are also sent as a document, so they are checked first
+    if (telegramMessage.animation) {
+      return [toAttachment(telegramMessage.animation, { name: `animation_${id}.mp4`, contentType: 'video/mp4' })];
+    }
+
+    const media = [
+      ['document', { name: `document_${id}`, contentType: 'application/octet-stream' }],
+      ['video', { name: `video_${id}.mp4`, contentType: 'video/mp4' }],
+      ['video_note', { name: `video_note_${id}.mp4`, contentType: 'video/mp4' }],
+      ['audio', { name: `audio_${id}.mp3`, contentType: 'audio/mpeg' }],
+      ['voice', { name: `voice_${id}.ogg`, contentType: 'audio/ogg' }]
+    ];
+
+    return media
+      .filter(([field]) => telegramMessage[field])
+      .map(([field, defaults]) => toAttachment(telegramMessage[field], defaults));
+  }
+
   /**
    * Convert Telegram message to standard format and route to other platforms
    * @param {Object} telegramMessage - Telegram message object
    */
   static async routeMessage(telegramMessage) {
     try {
-      // Convert to standard message format
-      const standardMessage = {
-        id: `telegram_${telegramMessage.message_id}`,
-        source: 'telegram',
-        author: {
-          id: telegramMessage.from.id.toString(),
-          name: telegramMessage.from.username || `${telegramMessage.from.first_name} ${telegramMessage.from.last_name || ''}`.trim(),
-          displayName: telegramMessage.from.first_name,
-          isBot: telegramMessage.from.is_bot || false,
-          avatar: null // Telegram doesn't provide avatar URLs in webhooks
-        },
-        content: {
-          text: telegramMessage.text,
-          attachments: [], // TODO: Handle Telegram attachments
-          entities: telegramMessage.entities || []
-        },
-        channel: {
-          id: telegramMessage.chat.id.toString(),
-          name: telegramMessage.chat.title || telegramMessage.chat.username || 'Private Chat',
-          type: telegramMessage.chat.type
-        },
-        timestamp: new Date(telegramMessage.date * 1000),
-        platform: {
-          messageUrl: null // Telegram doesn't provide direct message URLs
-        }
-      };
+      const standardMessage = TelegramController.toStandardMessage(telegramMessage);
 
       // Route to message router
       await messageRouter.routeMessage(standardMessage);
@@ -106,6 +232,68 @@ class TelegramController {
       });
     }
   }
+
+  /**
+   * Turn a Telegram reaction update into added and removed reactions and route them
+   * Telegram sends a user's full reaction list before and after; custom and paid
+   * reactions have no equivalent on other platforms and are ignored.
+   * @param {Object} messageReaction - Telegram MessageReactionUpdated object
+   */
+  static async routeReaction(messageReaction) {
+    try {
+      const reactor = messageReaction.user || messageReaction.actor_chat;
+      if (!reactor || String(reactor.id) === telegramApiService.botId) {
+        return;
+      }
+
+      const emojis = reactions => (reactions || [])
+        .filter(reaction => reaction.type === 'emoji')
+        .map(reaction => reaction.emoji);
+      const before = emojis(messageReaction.old_reaction);
+      const after = emojis(messageReaction.new_reaction);
+
+      const changes = [
+        ...before.filter(emoji => !after.includes(emoji)).map(emoji => ({ emoji, action: 'remove' })),
+        ...after.filter(emoji => !before.includes(emoji)).map(emoji => ({ emoji, action: 'add' }))
+      ];
+
+      for (const change of changes) {
+        await messageRouter.routeReaction({
+          platform: 'telegram',
+          channelId: messageReaction.chat.id.toString(),
+          messageId: messageReaction.message_id.toString(),
+          userId: messageReaction.user ? reactor.id.toString() : `chat${reactor.id}`,
+          ...change
+        });
+      }
+
+    } catch (error) {
+      logger.error('Failed to route Telegram reaction', {
+        messageId: messageReaction.message_id,
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  }
+
+  /**
+   * Convert an edited Telegram message to standard format and update its bridged copies
+   * @param {Object} telegramMessage - Telegram edited_message object
+   */
+  static async routeEdit(telegramMessage) {
+    try {
+      const standardMessage = TelegramController.toStandardMessage(telegramMessage);
+
+      await messageRouter.routeEdit(standardMessage);
+
+    } catch (error) {
+      logger.error('Failed to route Telegram message edit', {
+        messageId: telegramMessage.message_id,
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  }
 }
 
-module.exports = TelegramController;
\ No newline at end of file
+module.exports = TelegramController;
@@ -0,0 +1,81 @@
+/**
+ * Markup AST Helpers
+ * Shared by the platform parsers and renderers
+ */
+
+// Bare links; trailing punctuation is left out so "see https://x.com." links to x.com
+const URL_PATTERN = /https?:\/\/[^\s<>]*[^\s<>.,:;"'!?)\]]/g;
+
+/**
+ * Append text to a node list, merging with a preceding text node
+ * @param {Array} nodes - Node list
+ * @param {string} value - Text to append
+ */
+function pushText(nodes, value) {
+  if (!value) return;
+
+  const last = nodes[nodes.length - 1];
+  if (last && last.type === 'text') {
+    last.value += value;
+  } else {
+    nodes.push({ type: 'text', value });
+  }
+}
+
+/**
+ * Split plain text into text and url nodes
+ * @param {string} text - Plain text
+ * @returns {Array} AST nodes
+ */
+function textWithUrls(text) {
+  const nodes = [];
+  let position = 0;
+
+  for (const match of text.matchAll(URL_PATTERN)) {
+    pushText(nodes, text.slice(position, match.index));
+    nodes.push({ type: 'url', url: match[0] });
+    position = match.index + match[0].length;
+  }
+
+  pushText(nodes, text.slice(position));
+  return nodes;
+}
+
+// Shown for mentions whose name is unknown
+const MENTION_FALLBACKS = {
+  user: 'user',
+  role: 'role',
+  channel: 'channel'
+};
+
+/**
+ * Readable form of a mention node (@name, or #name for channels)
+ * @param {Object} node - Mention node
+ * @returns {string} Label
+ */
+function mentionLabel(node) {
+  const prefix = node.kind === 'channel' ? '#' : '@';
+  return `${prefix}${node.name || node.username || MENTION_FALLBACKS[node.kind] || node.id}`;
+}
+
+/**
+ * Flatten nodes to their visible text
+ * @param {Array} nodes - AST nodes
+ * @returns {string} Plain text
+ */
+function toPlainText(nodes) {
+  return nodes.map(node => {
+    if (node.type === 'text' || node.type === 'code' || node.type === 'pre') return node.value;
+    if (node.type === 'url') return node.url;
+    if (node.type === 'mention') return mentionLabel(node);
+    return toPlainText(node.children || []);
+  }).join('');
+}
+
+module.exports = {
+  URL_PATTERN,
+  pushText,
+  textWithUrls,
+  mentionLabel,
+  toPlainText
+};
@@ -0,0 +1,257 @@
+/**
+ * Discord Markdown
+ * Parser and renderer for the markdown subset Discord displays
+ */
+
+const { pushText, mentionLabel, toPlainText } = require('./ast');
+
+// Inline rules, tried in order at each position (sticky regexes)
+const INLINE_RULES = [
+  {
+    pattern: /```(?:([\w+#.-]+)?\n)?([\s\S]*?)```/y,
+    toNode: match => ({ type: 'pre', language: match[1] || null, value: match[2].replace(/\n$/, '') })
+  },
+  {
+    pattern: /(`+)(?!`)([\s\S]*?[^`])\1(?!`)/y,
+    toNode: match => ({ type: 'code', value: match[2].replace(/^ (.*) $/s, '$1') })
+  },
+  {
+    pattern: /\\([^A-Za-z0-9\s])/y,
+    toNode: match => ({ type: 'text', value: match[1] })
+  },
+  {
+    pattern: /<@!?(\d+)>/y,
+    toNode: match => ({ type: 'mention', kind: 'user', id: match[1] })
+  },
+  {
+    pattern: /<@&(\d+)>/y,
+    toNode: match => ({ type: 'mention', kind: 'role', id: match[1] })
+  },
+  {
+    pattern: /<#(\d+)>/y,
+    toNode: match => ({ type: 'mention', kind: 'channel', id: match[1] })
+  },
+  {
+    // Custom emoji only display on Discord
+    pattern: /<a?:(\w+):\d+>/y,
+    toNode: match => ({ type: 'text', value: `:${match[1]}:` })
+  },
+  {
+    pattern: /\[([^[\]\n]+)\]\(\s*<?(https?:\/\/[^\s<>()]+)>?\s*\)/y,
+    toNode: match => ({ type: 'link', url: match[2], children: parseInline(match[1]) })
+  },
+  {
+    // <url> suppresses the embed but is still a link
+    pattern: /<(https?:\/\/[^\s<>]+)>/y,
+    toNode: match => ({ type: 'url', url: match[1] })
+  },
+  {
+    pattern: /https?:\/\/[^\s<>]*[^\s<>.,:;"'!?)\]]/y,
+    toNode: match => ({ type: 'url', url: match[0] })
+  },
+  {
+    pattern: /\|\|([\s\S]+?)\|\|/y,
+    toNode: match => ({ type: 'spoiler', children: parseInline(match[1]) })
+  },
+  {
+    pattern: /\*\*([\s\S]+?)\*\*(?!\*)/y,
+    toNode: match => ({ type: 'bold', children: parseInline(match[1]) })
+  },
+  {
+    pattern: /__([\s\S]+?)__(?!_)/y,
+    toNode: match => ({ type: 'underline', children: parseInline(match[1]) })
+  },
+  {
+    pattern: /\*(?=\S)([\s\S]*?\S)\*(?!\*)/y,
+    toNode: match => ({ type: 'italic', children: parseInline(match[1]) })
+  },
+  {
+    // _italic_ only between word boundaries, so snake_case stays literal
+    pattern: /_(?=\S)([\s\S]*?\S)_(?![A-Za-z0-9_])/y,
+    wordBoundary: true,
+    toNode: match => ({ type: 'italic', children: parseInline(match[1]) })
+  },
+  {
+    pattern: /~~([\s\S]+?)~~/y,
+    toNode: match => ({ type: 'strike', children: parseInline(match[1]) })
+  }
+];
+
+// Rules that only apply at the start of a line
+const LINE_RULES = [
+  {
+    // >>> quotes everything that follows
+    pattern: />>> ([\s\S]*)/y,
+    toNode: match => ({ type: 'blockquote', children: parseInline(match[1]) })
+  },
+  {
+    pattern: /> ([^\n]*)/y,
+    toNode: match => ({ type: 'blockquote', children: parseInline(match[1]) })
+  },
+  {
+    // Headings have no equivalent elsewhere; keep them as bold lines
+    pattern: /#{1,3} ([^\n]+)/y,
+    toNode: match => ({ type: 'bold', children: parseInline(match[1]) })
+  }
+];
+
+const SPECIAL_CHARS = /[\\*_~|`[<>#\nh]/g;
+
+/**
+ * Parse Discord markdown
+ * @param {string} text - Message content
+ * @returns {Array} AST nodes
+ */
+function parse(text) {
+  return parseInline(text || '', true);
+}
+
+/**
+ * @private
+ */
+function parseInline(text, allowBlocks = false) {
+  const nodes = [];
+  let position = 0;
+
+  while (position < text.length) {
+    const atLineStart = allowBlocks && (position === 0 || text[position - 1] === '\n');
+    const node = (atLineStart && matchRule(LINE_RULES, text, position)) || matchRule(INLINE_RULES, text, position);
+
+    if (node) {
+      addNode(nodes, node.node);
+      position = node.end;
+      continue;
+    }
+
+    // Consume plain text up to the next character that could start a rule
+    SPECIAL_CHARS.lastIndex = position + 1;
+    const next = SPECIAL_CHARS.exec(text);
+    const end = next ? next.index : text.length;
+    pushText(nodes, text.slice(position, end));
+    position = end;
+  }
+
+  return nodes;
+}
+
+/**
+ * @private
+ */
+function matchRule(rules, text, position) {
+  for (const rule of rules) {
+    if (rule.wordBoundary && position > 0 && /[A-Za-z0-9_]/.test(text[position - 1])) {
+      continue;
+    }
+
+    rule.pattern.lastIndex = position;
+    const match = rule.pattern.exec(text);
+    if (match) {
+      return { node: rule.toNode(match), end: position + match[0].length };
+    }
+  }
+  return null;
+}
+
+/**
+ * Add a node, joining consecutive "> " lines into one quote
+ * @private
+ */
+function addNode(nodes, node) {
+  if (node.type === 'text') {
+    pushText(nodes, node.value);
+    return;
+  }
+
+  const last = nodes[nodes.length - 1];
+  const beforeLast = nodes[nodes.length - 2];
+  if (node.type === 'blockquote' && last?.type === 'text' && last.value === '\n' && beforeLast?.type === 'blockquote') {
+    nodes.pop();
+    pushText(beforeLast.children, '\n');
+    node.children.forEach(child => addNode(beforeLast.children, child));
+    return;
+  }
+
+  nodes.push(node);
+}
+
+/**
+ * Escape literal text so Discord shows it as typed
+ * @param {string} text - Literal text
+ */
+function escape(text) {
+  return text
+    .replace(/[\\*_~`|<>[\]]/g, '\\$&')
+    .replace(/^(\s*)(#{1,3} |-# )/gm, '$1\\$2');
+}
+
+/**
+ * Render AST nodes as Discord markdown
+ * @param {Array} nodes - AST nodes
+ * @returns {string} Markdown
+ */
+function render(nodes) {
+  let output = '';
+
+  nodes.forEach(node => {
+    switch (node.type) {
+      case 'text':
+        output += escape(node.value);
+        break;
+      case 'bold':
+        output += `**${render(node.children)}**`;
+        break;
+      case 'italic':
+        output += `*${render(node.children)}*`;
+        break;
+      case 'underline':
+        output += `__${render(node.children)}__`;
+        break;
+      case 'strike':
+        output += `~~${render(node.children)}~~`;
+        break;
+      case 'spoiler':
+        output += `||${render(node.children)}||`;
+        break;
+      case 'code': {
+        // Use a fence longer than any backtick run inside the code
+        const longestRun = Math.max(0, ...(node.value.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longestRun + 1);
+        const padding = longestRun > 0 ? ' ' : '';
+        output += `${fence}${padding}${node.value}${padding}${fence}`;
+        break;
+      }
+      case 'pre':
+        output += `\`\`\`${node.language || ''}\n${node.value.replace(/```/g, '`\u200b``')}\n\`\`\``;
+        break;
+      case 'link': {
+        const label = toPlainText(node.children);
+        // A ")" or space would end the link target early
+        const target = node.url.replace(/\)/g, '%29').replace(/ /g, '%20');
+        output += label === node.url ? node.url : `[${render(node.children)}](${target})`;
+        break;
+      }
+      case 'url':
+        output += node.url;
+        break;
+      case 'mention':
+        output += node.target ? `<@${node.target.id}>` : escape(mentionLabel(node));
+        break;
+      case 'blockquote': {
+        // Quotes must start on their own line
+        if (output && !output.endsWith('\n')) output += '\n';
+        output += render(node.children).split('\n').map(line => `> ${line}`).join('\n');
+        break;
+      }
+      default:
+        output += render(node.children || []);
+    }
+  });
+
+  return output;
+}
+
+module.exports = {
+  parse,
+  render,
+  escape
+};
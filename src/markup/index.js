@@ -0,0 +1,139 @@
+/**
+ * Markup Conversion
+ * Parses bridged text from its source platform into a common AST and renders it for a target.
+ *
+ * AST nodes (inline, nestable through `children`):
+ *   { type: 'text', value }
+ *   { type: 'bold' | 'italic' | 'underline' | 'strike' | 'spoiler' | 'blockquote', children }
+ *   { type: 'code', value }
+ *   { type: 'pre', value, language }
+ *   { type: 'link', url, children }
+ *   { type: 'url', url }
+ *   { type: 'mention', kind: 'user' | 'role' | 'channel', id, username, name, target }
+ *
+ * A mention's `target` is the linked account ({ id, username, name }) on the platform
+ * being rendered for; without one it is shown as a readable, non-pinging name.
+ */
+
+const discordMarkdown = require('./discordMarkdown');
+const telegramFormat = require('./telegramFormat');
+const plainText = require('./plainText');
+
+const formats = {
+  discord: discordMarkdown,
+  telegram: telegramFormat,
+  cometchat: plainText
+};
+
+/**
+ * Get the format module of a platform
+ * @param {string} platform - discord, telegram or cometchat
+ */
+function getFormat(platform) {
+  const format = formats[platform];
+  if (!format) {
+    throw new Error(`Unknown markup platform: ${platform}`);
+  }
+  return format;
+}
+
+/**
+ * Parse the text of a standardized message
+ * A `quote` ({ author, text }) on the message is rendered as a quoted line before the text.
+ * @param {Object} message - Standardized message
+ * @returns {Array} AST nodes
+ */
+function parse(message) {
+  const text = message.content?.text || '';
+  const nodes = message.source === 'telegram'
+    ? telegramFormat.parseEntities(text, message.content.entities || [])
+    : (formats[message.source] || plainText).parse(text);
+
+  annotateMentions(nodes, message.content?.mentions || [], message.resolvedMentions || {});
+
+  if (message.quote) {
+    nodes.unshift(quoteNode(message.quote), { type: 'text', value: '\n' });
+  }
+
+  return nodes;
+}
+
+/**
+ * Key a mention by kind and ID (or username when the platform only gives that)
+ * @param {Object} mention - Mention node or standardized mention
+ * @returns {string} Key used in `message.resolvedMentions`
+ */
+function mentionKey(mention) {
+  return mention.id
+    ? `${mention.kind}:${mention.id}`
+    : `${mention.kind}:@${String(mention.username || '').toLowerCase()}`;
+}
+
+/**
+ * Fill in mention names from the message and linked accounts from the router
+ * @private
+ */
+function annotateMentions(nodes, mentions, resolved) {
+  const known = new Map(mentions.map(mention => [mentionKey(mention), mention]));
+
+  nodes.forEach(node => {
+    if (node.type === 'mention') {
+      const key = mentionKey(node);
+      node.name = node.name || known.get(key)?.name || null;
+      node.target = resolved[key] || null;
+    } else if (node.children) {
+      annotateMentions(node.children, mentions, resolved);
+    }
+  });
+}
+
+/**
+ * @private
+ */
+function quoteNode(quote) {
+  const children = [{ type: 'text', value: '↪ ' }];
+  if (quote.author) {
+    children.push({ type: 'bold', children: [{ type: 'text', value: quote.author }] });
+    children.push({ type: 'text', value: quote.text ? ': ' : '' });
+  }
+  children.push({ type: 'text', value: quote.text || '' });
+
+  return { type: 'blockquote', children };
+}
+
+/**
+ * Render AST nodes for a platform
+ * @param {Array} nodes - AST nodes
+ * @param {string} platform - Target platform
+ * @returns {string} Text in the platform's markup
+ */
+function render(nodes, platform) {
+  return getFormat(platform).render(nodes);
+}
+
+/**
+ * Convert the text of a message to a target platform's markup
+ * @param {Object} message - Standardized message
+ * @param {string} platform - Target platform
+ * @returns {string} Converted text
+ */
+function convert(message, platform) {
+  return render(parse(message), platform);
+}
+
+/**
+ * Escape literal text (e.g. an author name) for a platform's markup
+ * @param {string} text - Literal text
+ * @param {string} platform - Target platform
+ */
+function escape(text, platform) {
+  return getFormat(platform).escape(String(text ?? ''));
+}
+
+module.exports = {
+  parse,
+  render,
+  convert,
+  escape,
+  mentionKey
+};
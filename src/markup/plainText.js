@@ -0,0 +1,88 @@
+/**
+ * Plain Text
+ * CometChat text messages carry no markup, so formatting is flattened to readable text
+ */
+
+const { textWithUrls, mentionLabel, toPlainText } = require('./ast');
+
+// CometChat mention syntax
+const MENTION_PATTERN = /<@uid:([^>\s]+)>/g;
+
+/**
+ * Parse plain text (only links and mentions are recognised)
+ * @param {string} text - Message text
+ * @returns {Array} AST nodes
+ */
+function parse(text) {
+  const nodes = [];
+  let position = 0;
+
+  for (const match of (text || '').matchAll(MENTION_PATTERN)) {
+    nodes.push(...textWithUrls(text.slice(position, match.index)));
+    nodes.push({ type: 'mention', kind: 'user', id: match[1] });
+    position = match.index + match[0].length;
+  }
+
+  nodes.push(...textWithUrls((text || '').slice(position)));
+  return nodes;
+}
+
+/**
+ * Plain text needs no escaping
+ * @param {string} text - Literal text
+ */
+function escape(text) {
+  return text;
+}
+
+/**
+ * Render AST nodes as plain text
+ * @param {Array} nodes - AST nodes
+ * @returns {string} Text
+ */
+function render(nodes) {
+  let output = '';
+  let afterBlock = false;
+
+  nodes.forEach(node => {
+    // Text following a code block continues on a new line
+    if (afterBlock && !output.endsWith('\n')) output += '\n';
+    afterBlock = node.type === 'pre';
+
+    switch (node.type) {
+      case 'text':
+      case 'code':
+        output += node.value;
+        break;
+      case 'pre':
+        if (output && !output.endsWith('\n')) output += '\n';
+        output += node.value;
+        break;
+      case 'link': {
+        const label = toPlainText(node.children);
+        output += label === node.url ? node.url : `${render(node.children)} (${node.url})`;
+        break;
+      }
+      case 'url':
+        output += node.url;
+        break;
+      case 'mention':
+        output += node.target ? `<@uid:${node.target.id}>` : mentionLabel(node);
+        break;
+      case 'blockquote':
+        if (output && !output.endsWith('\n')) output += '\n';
+        output += render(node.children).split('\n').map(line => `> ${line}`).join('\n');
+        break;
+      default:
+        output += render(node.children || []);
+    }
+  });
+
+  return output;
+}
+
+module.exports = {
+  parse,
+  render,
+  escape
+};
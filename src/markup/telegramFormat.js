@@ -0,0 +1,284 @@
+/**
+ * Telegram Formatting
+ * Parses message entities and Bot API HTML, and renders HTML for parse_mode: 'HTML'
+ */
+
+const { pushText, mentionLabel } = require('./ast');
+
+// Entity types with a direct AST equivalent
+const ENTITY_TYPES = {
+  bold: 'bold',
+  italic: 'italic',
+  underline: 'underline',
+  strikethrough: 'strike',
+  spoiler: 'spoiler',
+  blockquote: 'blockquote',
+  expandable_blockquote: 'blockquote'
+};
+
+// HTML tags supported by the Bot API
+const HTML_TAGS = {
+  b: 'bold',
+  strong: 'bold',
+  i: 'italic',
+  em: 'italic',
+  u: 'underline',
+  ins: 'underline',
+  s: 'strike',
+  strike: 'strike',
+  del: 'strike',
+  'tg-spoiler': 'spoiler',
+  blockquote: 'blockquote',
+  a: 'link',
+  code: 'code',
+  pre: 'pre'
+};
+
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\''
+};
+
+/**
+ * Parse text with Telegram message entities
+ * Entity offsets are in UTF-16 code units, which matches JavaScript string indexing.
+ * @param {string} text - Message text or caption
+ * @param {Array} entities - Message entities or caption entities
+ * @returns {Array} AST nodes
+ */
+function parseEntities(text, entities = []) {
+  const sorted = entities
+    .filter(entity => entity.length > 0)
+    .sort((a, b) => a.offset - b.offset || b.length - a.length);
+
+  return buildNodes(text || '', 0, (text || '').length, sorted);
+}
+
+/**
+ * @private
+ */
+function buildNodes(text, start, end, entities) {
+  const nodes = [];
+  let position = start;
+  let index = 0;
+
+  while (index < entities.length) {
+    const entity = entities[index];
+    const entityStart = Math.max(entity.offset, position);
+    const entityEnd = Math.min(entity.offset + entity.length, end);
+
+    // Entities nested inside this one
+    let next = index + 1;
+    while (next < entities.length && entities[next].offset < entity.offset + entity.length) {
+      next++;
+    }
+
+    if (entityEnd > entityStart) {
+      pushText(nodes, text.slice(position, entityStart));
+      const children = buildNodes(text, entityStart, entityEnd, entities.slice(index + 1, next));
+      addEntityNode(nodes, entity, text.slice(entityStart, entityEnd), children);
+      position = entityEnd;
+    }
+
+    index = next;
+  }
+
+  pushText(nodes, text.slice(position, end));
+  return nodes;
+}
+
+/**
+ * @private
+ */
+function addEntityNode(nodes, entity, value, children) {
+  if (ENTITY_TYPES[entity.type]) {
+    nodes.push({ type: ENTITY_TYPES[entity.type], children });
+    return;
+  }
+
+  switch (entity.type) {
+    case 'code':
+      nodes.push({ type: 'code', value });
+      break;
+    case 'pre':
+      nodes.push({ type: 'pre', value, language: entity.language || null });
+      break;
+    case 'text_link':
+      nodes.push({ type: 'link', url: entity.url, children });
+      break;
+    case 'url':
+      nodes.push({ type: 'url', url: value });
+      break;
+    case 'mention':
+      nodes.push({ type: 'mention', kind: 'user', id: null, username: value.slice(1) });
+      break;
+    case 'text_mention':
+      nodes.push({
+        type: 'mention',
+        kind: 'user',
+        id: entity.user ? entity.user.id.toString() : null,
+        username: entity.user?.username || null,
+        name: value
+      });
+      break;
+    default:
+      // Hashtags, commands, custom emoji etc. keep their text
+      children.forEach(child => (child.type === 'text' ? pushText(nodes, child.value) : nodes.push(child)));
+  }
+}
+
+/**
+ * Parse Bot API HTML
+ * @param {string} html - HTML using the tags Telegram supports
+ * @returns {Array} AST nodes
+ */
+function parseHtml(html) {
+  const root = { children: [] };
+  const stack = [root];
+  const tokenPattern = /<(\/?)([a-z-]+)([^>]*)>|([^<]+|<)/gi;
+
+  for (const match of (html || '').matchAll(tokenPattern)) {
+    const current = stack[stack.length - 1];
+    const [, closing, rawTag, attributes, text] = match;
+
+    if (text !== undefined) {
+      if (current.type === 'code' || current.type === 'pre') {
+        current.value += decodeHtml(text);
+      } else {
+        pushText(current.children, decodeHtml(text));
+      }
+      continue;
+    }
+
+    const tag = rawTag.toLowerCase();
+    const isSpoilerSpan = tag === 'span' && /class\s*=\s*"tg-spoiler"/.test(attributes);
+    const type = isSpoilerSpan ? 'spoiler' : HTML_TAGS[tag];
+    if (!type) continue;
+
+    if (closing) {
+      const openIndex = stack.map(node => node.tag).lastIndexOf(tag);
+      if (openIndex > 0) stack.length = openIndex;
+      continue;
+    }
+
+    // <pre><code class="language-x"> is a single code block
+    if (type === 'code' && current.type === 'pre') {
+      const language = /class\s*=\s*"language-([^"]+)"/.exec(attributes);
+      current.language = language ? language[1] : current.language;
+      current.tag = 'code';
+      continue;
+    }
+
+    let node;
+    if (type === 'code' || type === 'pre') {
+      node = { type, value: '', ...(type === 'pre' ? { language: null } : {}) };
+    } else if (type === 'link') {
+      const href = /href\s*=\s*"([^"]*)"/.exec(attributes);
+      node = { type, url: href ? decodeHtml(href[1]) : '', children: [] };
+    } else {
+      node = { type, children: [] };
+    }
+
+    (current.children || []).push(node);
+    Object.defineProperty(node, 'tag', { value: tag, writable: true, enumerable: false });
+    stack.push(node);
+  }
+
+  return root.children;
+}
+
+/**
+ * @private
+ */
+function decodeHtml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const codePoint = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return Number.isNaN(codePoint) ? entity : String.fromCodePoint(codePoint);
+    }
+    return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Escape literal text for HTML parse mode
+ * @param {string} text - Literal text
+ */
+function escape(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * @private
+ */
+function escapeAttribute(text) {
+  return escape(text).replace(/"/g, '&quot;');
+}
+
+/**
+ * @private
+ */
+function renderMention(node) {
+  if (node.target) {
+    return node.target.username
+      ? `@${escape(node.target.username)}`
+      : `<a href="tg://user?id=${escapeAttribute(node.target.id)}">${escape(node.target.name || node.name || 'user')}</a>`;
+  }
+
+  // A word joiner after the @ keeps Telegram from linking a same-named stranger
+  const label = mentionLabel(node);
+  return escape(node.kind === 'channel' ? label : `@\u2060${label.slice(1)}`);
+}
+
+/**
+ * Render AST nodes as Telegram HTML
+ * @param {Array} nodes - AST nodes
+ * @returns {string} HTML
+ */
+function render(nodes) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return escape(node.value);
+      case 'bold':
+        return `<b>${render(node.children)}</b>`;
+      case 'italic':
+        return `<i>${render(node.children)}</i>`;
+      case 'underline':
+        return `<u>${render(node.children)}</u>`;
+      case 'strike':
+        return `<s>${render(node.children)}</s>`;
+      case 'spoiler':
+        return `<tg-spoiler>${render(node.children)}</tg-spoiler>`;
+      case 'blockquote':
+        return `<blockquote>${render(node.children)}</blockquote>`;
+      case 'code':
+        return `<code>${escape(node.value)}</code>`;
+      case 'pre':
+        return node.language
+          ? `<pre><code class="language-${escapeAttribute(node.language)}">${escape(node.value)}</code></pre>`
+          : `<pre>${escape(node.value)}</pre>`;
+      case 'link':
+        return `<a href="${escapeAttribute(node.url)}">${render(node.children)}</a>`;
+      case 'url':
+        return escape(node.url);
+      case 'mention':
+        return renderMention(node);
+      default:
+        return render(node.children || []);
+    }
+  }).join('');
+}
+
+module.exports = {
+  parseEntities,
+  parseHtml,
+  render,
+  escape
+};
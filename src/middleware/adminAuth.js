@@ -0,0 +1,72 @@
+/**
+ * Admin Authentication Middleware
+ * Protects /admin endpoints with a JWT bearer token signed with config.security.jwtSecret
+ * Without ENABLE_AUTH the admin API is refused unless ADMIN_API_INSECURE=true outside production,
+ * and it is refused while JWT_SECRET is unset or left at an example value.
+ */
+
+const jwt = require('jsonwebtoken');
+const logger = require('../utils/logger');
+const ResponseHandler = require('../utils/response');
+const Validator = require('../utils/validator');
+const config = require('../config');
+
+const adminAuth = (req, res, next) => {
+  // With auth disabled the admin API is only served when explicitly opted in, and never in production
+  if (!config.security.enableAuth) {
+    if (config.security.adminApiInsecure && config.server.env !== 'production') {
+      return next();
+    }
+    logger.warn('Admin API request rejected, authentication is disabled', {
+      method: req.method,
+      url: req.originalUrl,
+      ip: req.ip,
+      env: config.server.env
+    });
+    return ResponseHandler.error(res, 'Admin API requires ENABLE_AUTH=true', null, 403);
+  }
+
+  // A missing or example secret would let anyone sign their own admin token
+  if (!Validator.isConfiguredSecret(config.security.jwtSecret)) {
+    logger.error('Admin API request rejected, JWT_SECRET is not configured', {
+      method: req.method,
+      url: req.originalUrl,
+      ip: req.ip
+    });
+    return ResponseHandler.error(res, 'Admin API requires JWT_SECRET', null, 503);
+  }
+
+  const authHeader = req.headers.authorization || '';
+  const [scheme, token] = authHeader.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    logger.warn('Admin API request without bearer token', {
+      method: req.method,
+      url: req.originalUrl,
+      ip: req.ip
+    });
+    return ResponseHandler.error(res, 'Unauthorized', null, 401);
+  }
+
+  try {
+    req.admin = jwt.verify(token, config.security.jwtSecret, { algorithms: ['HS256'] });
+
+    logger.debug('Admin API request authenticated', {
+      subject: req.admin.sub,
+      method: req.method,
+      url: req.originalUrl
+    });
+    next();
+
+  } catch (error) {
+    logger.warn('Admin API token rejected', {
+      method: req.method,
+      url: req.originalUrl,
+      ip: req.ip,
+      error: error.message
+    });
+    return ResponseHandler.error(res, 'Unauthorized', error, 401);
+  }
+};
+
+module.exports = adminAuth;
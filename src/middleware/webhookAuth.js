@@ -7,6 +7,47 @@ const logger = require('../utils/logger');
 const ResponseHandler = require('../utils/response');
 const Validator = require('../utils/validator');
 const config = require('../config');
+const crypto = require('crypto');
+
+// DER prefix that turns a raw 32-byte Ed25519 key into an SPKI public key
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+// Signed Discord requests older (or newer) than this are treated as replays
+const MAX_SIGNATURE_AGE_SECONDS = 5 * 60;
+
+/**
+ * Verify a Discord interaction signature
+ * Discord signs `timestamp + raw body` with the application's Ed25519 key; the timestamp must
+ * also be recent so a captured request can't be replayed.
+ * @param {string} signature - X-Signature-Ed25519 header (hex)
+ * @param {string} timestamp - X-Signature-Timestamp header
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @returns {boolean} Whether the signature is valid
+ */
+const verifyDiscordSignature = (signature, timestamp, rawBody) => {
+  const publicKey = config.discord.publicKey;
+  if (!publicKey || !signature || !timestamp || !rawBody) {
+    return false;
+  }
+
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!Number.isFinite(age) || age > MAX_SIGNATURE_AGE_SECONDS) {
+    logger.warn('Discord interaction timestamp outside the allowed window', { timestamp });
+    return false;
+  }
+
+  try {
+    const key = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKey, 'hex')]),
+      format: 'der',
+      type: 'spki'
+    });
+    return crypto.verify(null, Buffer.concat([Buffer.from(timestamp), rawBody]), key, Buffer.from(signature, 'hex'));
+  } catch (error) {
+    logger.warn('Discord signature could not be verified', { error: error.message });
+    return false;
+  }
+};
 
 const webhookAuth = (service) => {
   return (req, res, next) => {
@@ -37,29 +78,54 @@ const webhookAuth = (service) => {
         });
       }
 
-      // For now, we'll do basic validation
-      // In production, implement proper signature validation
-      
       if (service === 'cometchat') {
-        // Check for basic auth or API key (only if webhook secret is configured)
-        const authHeader = headers.authorization;
-        if (config.cometchat.webhookSecret && authHeader) {
-          // Validate authorization header
-          logger.debug('CometChat auth header found', { authHeader: authHeader.substring(0, 20) + '...' });
-        } else if (config.cometchat.webhookSecret) {
-          logger.warn('CometChat webhook secret configured but no auth header found');
+        // CometChat webhooks are configured with Basic Auth credentials in the dashboard
+        const { webhookUsername, webhookSecret } = config.cometchat;
+        if (webhookSecret && !Validator.isConfiguredSecret(webhookSecret)) {
+          logger.error('CometChat webhook rejected, COMETCHAT_WEBHOOK_SECRET is still an example value', { ip: req.ip });
+          return ResponseHandler.error(res, 'CometChat webhook secret is not configured', null, 503);
+        }
+        if (webhookSecret) {
+          const validCredentials = Validator.validateBasicAuth(headers.authorization, {
+            username: webhookUsername,
+            password: webhookSecret
+          });
+          if (!validCredentials) {
+            logger.warn('CometChat webhook rejected, invalid Basic Auth credentials', {
+              ip: req.ip,
+              hasAuthHeader: !!headers.authorization
+            });
+            return ResponseHandler.error(res, 'Unauthorized', null, 401);
+          }
+        } else if (config.server.env === 'production') {
+          logger.warn('CometChat webhook rejected, COMETCHAT_WEBHOOK_SECRET is not configured', { ip: req.ip });
+          return ResponseHandler.error(res, 'CometChat webhook requires COMETCHAT_WEBHOOK_SECRET', null, 403);
         }
-        
-        // Validate payload structure (more permissive)
-        const validation = Validator.validateCometChatWebhook(body);
+
+        const validation = Validator.validateCometChatWebhook(body, config.cometchat.appId);
         if (!validation.isValid) {
-          logger.warn('Invalid CometChat webhook payload', { errors: validation.errors, body });
-          // Don't block the request, just log the warning for now
-          // return ResponseHandler.error(res, 'Invalid webhook payload', { errors: validation.errors }, 400);
+          logger.warn('Invalid CometChat webhook payload', { errors: validation.errors, trigger: body?.trigger });
+          return ResponseHandler.error(res, 'Invalid webhook payload', { errors: validation.errors }, 400);
         }
       }
 
       if (service === 'telegram') {
+        // Telegram echoes the secret_token given to setWebhook (scripts/set-telegram-webhook.js)
+        const secret = config.telegram.webhookSecret;
+        if (secret && !Validator.isConfiguredSecret(secret)) {
+          logger.error('Telegram webhook rejected, TELEGRAM_WEBHOOK_SECRET is still an example value', { ip: req.ip });
+          return ResponseHandler.error(res, 'Telegram webhook secret is not configured', null, 503);
+        }
+        if (secret) {
+          if (!Validator.safeEqual(headers['x-telegram-bot-api-secret-token'], secret)) {
+            logger.warn('Telegram webhook rejected, secret token mismatch', { ip: req.ip });
+            return ResponseHandler.error(res, 'Unauthorized', null, 401);
+          }
+        } else if (config.server.env === 'production') {
+          logger.warn('Telegram webhook rejected, TELEGRAM_WEBHOOK_SECRET is not configured', { ip: req.ip });
+          return ResponseHandler.error(res, 'Telegram webhook requires TELEGRAM_WEBHOOK_SECRET', null, 403);
+        }
+
         // Validate Telegram webhook structure
         const validation = Validator.validateTelegramWebhook(body);
         if (!validation.isValid) {
@@ -68,7 +134,21 @@ const webhookAuth = (service) => {
         }
       }
 
-
+      if (service === 'discord') {
+        // Discord also sends deliberately invalid signatures and expects them to be rejected
+        if (!config.discord.publicKey) {
+          logger.error('Discord interaction received but DISCORD_PUBLIC_KEY is not configured');
+        }
+        const valid = verifyDiscordSignature(
+          headers['x-signature-ed25519'],
+          headers['x-signature-timestamp'],
+          req.rawBody
+        );
+        if (!valid) {
+          logger.warn('Invalid Discord interaction signature', { ip: req.ip });
+          return ResponseHandler.error(res, 'Invalid request signature', null, 401);
+        }
+      }
 
       logger.debug(`${service} webhook authentication successful`);
       next();
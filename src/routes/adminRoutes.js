@@ -0,0 +1,47 @@
+/**
+ * Admin Routes
+ * Authenticated routes for runtime administration
+ */
+
+const express = require('express');
+const BridgeAdminController = require('../controllers/bridgeAdminController');
+const DeadLetterAdminController = require('../controllers/deadLetterAdminController');
+const IdentityAdminController = require('../controllers/identityAdminController');
+const FormAdminController = require('../controllers/formAdminController');
+const adminAuth = require('../middleware/adminAuth');
+
+const router = express.Router();
+
+// All admin endpoints require a valid admin token
+router.use('/admin', adminAuth);
+
+// Bridges
+router.get('/admin/bridges', BridgeAdminController.listBridges);
+router.post('/admin/bridges', BridgeAdminController.createBridge);
+router.get('/admin/bridges/:id', BridgeAdminController.getBridge);
+router.patch('/admin/bridges/:id', BridgeAdminController.updateBridge);
+router.post('/admin/bridges/:id/enable', BridgeAdminController.enableBridge);
+router.post('/admin/bridges/:id/disable', BridgeAdminController.disableBridge);
+router.delete('/admin/bridges/:id', BridgeAdminController.deleteBridge);
+
+// Dead letters (failed deliveries)
+router.get('/admin/dead-letters', DeadLetterAdminController.listDeadLetters);
+router.post('/admin/dead-letters/retry', DeadLetterAdminController.retryAllDeadLetters);
+router.delete('/admin/dead-letters', DeadLetterAdminController.purgeDeadLetters);
+router.get('/admin/dead-letters/:id', DeadLetterAdminController.getDeadLetter);
+router.post('/admin/dead-letters/:id/retry', DeadLetterAdminController.retryDeadLetter);
+router.delete('/admin/dead-letters/:id', DeadLetterAdminController.deleteDeadLetter);
+
+// Linked identities
+router.get('/admin/identities', IdentityAdminController.listIdentities);
+router.get('/admin/identities/:id', IdentityAdminController.getIdentity);
+router.patch('/admin/identities/:id', IdentityAdminController.updateIdentity);
+router.delete('/admin/identities/:id', IdentityAdminController.deleteIdentity);
+router.delete('/admin/identities/:id/accounts/:platform', IdentityAdminController.unlinkAccount);
+
+// Tripetto workflows
+router.get('/admin/forms', FormAdminController.listForms);
+router.post('/admin/forms/reload', FormAdminController.reloadForms);
+router.get('/admin/forms/:id', FormAdminController.getForm);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+/**
+ * Discord Routes
+ * Routes for Discord interaction webhooks (slash commands, components, modals)
+ */
+
+const express = require('express');
+const DiscordController = require('../controllers/discordController');
+const webhookAuth = require('../middleware/webhookAuth');
+
+const router = express.Router();
+
+// GET /discord - Get service information
+router.get('/discord', DiscordController.getInfo);
+
+// POST /discord/interactions - Handle Discord interactions (Interactions Endpoint URL)
+router.post('/discord/interactions',
+  webhookAuth('discord'),
+  DiscordController.handleInteraction
+);
+
+module.exports = router;
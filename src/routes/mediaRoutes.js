@@ -0,0 +1,17 @@
+/**
+ * Media Routes
+ * Routes for serving bridged attachments
+ */
+
+const express = require('express');
+const MediaController = require('../controllers/mediaController');
+
+const router = express.Router();
+
+// GET /media/telegram/:fileId - Signed proxy for Telegram files
+router.get('/media/telegram/:fileId', MediaController.getTelegramFile);
+
+// GET /media/discord/:channelId/:messageId/:attachmentId - Signed proxy for Discord attachments
+router.get('/media/discord/:channelId/:messageId/:attachmentId', MediaController.getDiscordFile);
+
+module.exports = router;
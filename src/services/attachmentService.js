@@ -0,0 +1,282 @@
+/**
+ * Attachment Service
+ * Fetches attachments from their source platform so they can be re-uploaded natively,
+ * and builds shareable links for platforms that only accept media by URL.
+ *
+ * Telegram file URLs embed the bot token, and Discord CDN URLs expire after about a day, so
+ * neither is handed out directly; they are served through the signed /media proxy routes.
+ * Links carry an expiry and are signed with MEDIA_SIGNING_SECRET; without a real secret the
+ * proxy is off and such attachments are not linked.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../utils/logger');
+const config = require('../config');
+const Validator = require('../utils/validator');
+const telegramApiService = require('./telegramApiService');
+const discordApiService = require('./discordApiService');
+
+class AttachmentService {
+  constructor() {
+    this.settings = config.attachments;
+    this.publicUrl = config.server.publicUrl;
+    this.proxyEnabled = !!this.publicUrl && Validator.isConfiguredSecret(this.settings.signingSecret);
+
+    if (!this.proxyEnabled) {
+      logger.warn('Media proxy disabled, set PUBLIC_URL and MEDIA_SIGNING_SECRET to link Telegram and Discord files', {
+        hasPublicUrl: !!this.publicUrl,
+        hasSigningSecret: Validator.isConfiguredSecret(this.settings.signingSecret)
+      });
+    }
+  }
+
+  /**
+   * Largest attachment a bridge relays
+   * @param {Object|null} settings - Bridge settings (maxFileSizeMb overrides the global limit)
+   * @returns {number} Size in bytes
+   */
+  getMaxBytes(settings) {
+    const megabytes = settings?.maxFileSizeMb || this.settings.maxSizeMb;
+    return Math.floor(megabytes * 1024 * 1024);
+  }
+
+  /**
+   * Broad media kind of an attachment, used to pick the upload method
+   * @param {Object} attachment - Standardized attachment
+   * @returns {string} image, video, audio or file
+   */
+  getKind(attachment) {
+    const contentType = attachment.contentType || '';
+    const kind = contentType.split('/')[0];
+    return ['image', 'video', 'audio'].includes(kind) ? kind : 'file';
+  }
+
+  /**
+   * Download an attachment from its source platform
+   * @param {Object} attachment - Standardized attachment
+   * @param {string} sourcePlatform - Platform the attachment was posted on
+   * @param {number} maxBytes - Size limit enforced while downloading
+   * @returns {Object} { buffer, name, contentType, size, kind }
+   */
+  async download(attachment, sourcePlatform, maxBytes) {
+    if (attachment.size > maxBytes) {
+      throw this.createTooLargeError(attachment, maxBytes);
+    }
+
+    const url = await this.resolveDownloadUrl(attachment, sourcePlatform);
+
+    try {
+      const response = await axios.get(url, {
+        responseType: 'arraybuffer',
+        maxContentLength: maxBytes,
+        timeout: this.settings.downloadTimeoutMs
+      });
+
+      const buffer = Buffer.from(response.data);
+      const contentType = attachment.contentType || response.headers['content-type'] || 'application/octet-stream';
+
+      logger.debug('Attachment downloaded', {
+        platform: sourcePlatform,
+        name: attachment.name,
+        size: buffer.length
+      });
+
+      return {
+        buffer,
+        name: attachment.name || 'file',
+        contentType,
+        size: buffer.length,
+        kind: this.getKind({ contentType })
+      };
+
+    } catch (error) {
+      if (error.message?.includes('maxContentLength')) {
+        throw this.createTooLargeError(attachment, maxBytes);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * URL the attachment can be downloaded from by this server
+   * @private
+   */
+  async resolveDownloadUrl(attachment, sourcePlatform) {
+    if (sourcePlatform === 'telegram' && attachment.fileId) {
+      try {
+        return await telegramApiService.getFileUrl(attachment.fileId);
+      } catch (error) {
+        // Bots may only download files up to 20 MB
+        if (error.response?.data?.description?.includes('file is too big')) {
+          throw this.createTooLargeError(attachment, 20 * 1024 * 1024);
+        }
+        throw error;
+      }
+    }
+
+    if (!attachment.url) {
+      throw new Error(`Attachment ${attachment.name || attachment.id} has no download URL`);
+    }
+
+    return attachment.url;
+  }
+
+  /**
+   * Link to an attachment that is safe to post on another platform
+   * @param {Object} attachment - Standardized attachment
+   * @param {string} sourcePlatform - Platform the attachment was posted on
+   * @returns {string|null} URL, or null if the attachment can't be linked
+   */
+  getShareableUrl(attachment, sourcePlatform) {
+    if (sourcePlatform === 'discord' && attachment.channelId && attachment.messageId) {
+      // Without the proxy the CDN link still works until it expires
+      if (!this.proxyEnabled) {
+        return attachment.url || null;
+      }
+
+      const path = this.getDiscordMediaPath(attachment.channelId, attachment.messageId, attachment.id);
+      return this.getProxyUrl(path, path, attachment.name);
+    }
+
+    if (sourcePlatform === 'telegram') {
+      if (!attachment.fileId || !this.proxyEnabled) {
+        return null;
+      }
+
+      return this.getProxyUrl(
+        `telegram/${encodeURIComponent(attachment.fileId)}`,
+        this.getTelegramMediaPath(attachment.fileId),
+        attachment.name
+      );
+    }
+
+    return attachment.url || null;
+  }
+
+  /**
+   * Signed, expiring media proxy link
+   * @param {string} urlPath - Path under /media as it appears in the URL
+   * @param {string} signedPath - Path the signature covers (unencoded)
+   * @param {string} name - File name shown by the client
+   * @private
+   */
+  getProxyUrl(urlPath, signedPath, name) {
+    const expires = Math.floor(Date.now() / 1000 + this.settings.linkTtlDays * 24 * 60 * 60);
+    const query = new URLSearchParams({
+      exp: String(expires),
+      sig: this.sign(signedPath, expires),
+      name: name || 'file'
+    });
+    return `${this.publicUrl}/media/${urlPath}?${query}`;
+  }
+
+  /**
+   * Media proxy path of a Telegram file (the value its link signs)
+   * @param {string} fileId - Telegram file_id
+   */
+  getTelegramMediaPath(fileId) {
+    return `telegram/${fileId}`;
+  }
+
+  /**
+   * Media proxy path of a Discord attachment (also the value its link signs)
+   * @param {string} channelId - Discord channel ID
+   * @param {string} messageId - Discord message ID
+   * @param {string} attachmentId - Discord attachment ID
+   */
+  getDiscordMediaPath(channelId, messageId, attachmentId) {
+    return `discord/${channelId}/${messageId}/${attachmentId}`;
+  }
+
+  /**
+   * Sign a media proxy path together with its expiry
+   * @param {string} path - Media proxy path
+   * @param {number} expires - Expiry as a Unix timestamp in seconds
+   */
+  sign(path, expires) {
+    return crypto
+      .createHmac('sha256', this.settings.signingSecret)
+      .update(`${path}:${expires}`)
+      .digest('base64url');
+  }
+
+  /**
+   * Check a media proxy signature and that the link has not expired
+   * @param {string} path - Media proxy path
+   * @param {string} expires - `exp` from the link (Unix timestamp in seconds)
+   * @param {string} signature - `sig` from the link
+   */
+  verifySignature(path, expires, signature) {
+    if (!this.proxyEnabled || typeof signature !== 'string' || !/^\d+$/.test(String(expires))) {
+      return false;
+    }
+
+    if (Number(expires) * 1000 < Date.now()) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(path, expires));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Open a Telegram file as a stream for the media proxy
+   * @param {string} fileId - Telegram file_id
+   * @returns {Object} { stream, contentType, size }
+   */
+  async openTelegramFile(fileId) {
+    const url = await telegramApiService.getFileUrl(fileId);
+    return this.openStream(url);
+  }
+
+  /**
+   * Open a Discord attachment as a stream for the media proxy
+   * The message is fetched again so the CDN link is freshly signed.
+   * @param {string} channelId - Discord channel ID
+   * @param {string} messageId - Discord message ID
+   * @param {string} attachmentId - Discord attachment ID
+   * @returns {Object} { stream, contentType, size }
+   */
+  async openDiscordFile(channelId, messageId, attachmentId) {
+    const message = await discordApiService.getMessage(channelId, messageId);
+    const attachment = (message.attachments || []).find(item => item.id === attachmentId);
+
+    if (!attachment) {
+      const error = new Error(`Attachment ${attachmentId} not found on Discord message ${messageId}`);
+      error.status = 404;
+      throw error;
+    }
+
+    return this.openStream(attachment.url);
+  }
+
+  /**
+   * @private
+   */
+  async openStream(url) {
+    const response = await axios.get(url, {
+      responseType: 'stream',
+      timeout: this.settings.downloadTimeoutMs
+    });
+
+    return {
+      stream: response.data,
+      contentType: response.headers['content-type'] || 'application/octet-stream',
+      size: response.headers['content-length']
+    };
+  }
+
+  /**
+   * @private
+   */
+  createTooLargeError(attachment, maxBytes) {
+    const error = new Error(`Attachment ${attachment.name || attachment.id} exceeds ${maxBytes} bytes`);
+    error.code = 'ATTACHMENT_TOO_LARGE';
+    return error;
+  }
+}
+
+// Export singleton instance
+module.exports = new AttachmentService();
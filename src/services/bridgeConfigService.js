@@ -1,57 +1,156 @@
 /**
  * Bridge Configuration Service
- * Manages platform-to-platform message routing with hardcoded bridge mappings
- * 
- * For now, we'll use hardcoded values for quick implementation.
- * Later can be evolved to use environment variables or JSON config.
+ * Manages platform-to-platform message routing using bridge definitions
+ * loaded from a JSON or YAML file (config.bridges.configPath).
+ *
+ * The file is validated on every load. It is reloaded when it changes on disk
+ * or when the process receives SIGHUP; an invalid edit is rejected and the
+ * previous good configuration keeps running.
  */
 
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const YAML = require('yaml');
 const logger = require('../utils/logger');
+const Validator = require('../utils/validator');
+const config = require('../config');
 
-class BridgeConfigService {
+class BridgeConfigService extends EventEmitter {
   constructor() {
-    // Hardcoded bridge configuration
-    // TODO: Move to environment variables or config file later
-    this.bridges = [
-      {
-        id: 'main_bridge',
-        name: 'Main Community Bridge',
-        enabled: true,
-        platforms: {
-          discord: {
-            channelId: '1424612739296530453', // Your actual Discord channel ID
-            guildId: '1424612683738513514'    // Your actual Discord guild ID
-          },
-          telegram: {
-            chatId: '-4969601855'              // Your actual Telegram group ID
-          },
-          cometchat: {
-            groupId: 'cometchat-guid-1'        // Your actual CometChat group ID
-          }
-        },
-        settings: {
-          syncMessages: true,
-          syncFiles: true,
-          maxMessageLength: 2000
-        }
-      }
-      // Add more bridges here as needed
-      // {
-      //   id: 'support_bridge',
-      //   name: 'Support Channel Bridge',
-      //   enabled: true,
-      //   platforms: {
-      //     discord: { channelId: '9876543210987654321' },
-      //     telegram: { chatId: '-1009876543210' },
-      //     cometchat: { groupId: 'support_group_456' }
-      //   }
-      // }
-    ];
+    super();
+
+    this.configPath = path.resolve(config.bridges.configPath);
+    this.bridges = [];
+    this.loadedAt = null;
+    this.lastError = null;
+    this.watcher = null;
+    this.reloadTimer = null;
+
+    try {
+      this.load();
+    } catch (error) {
+      // Nothing to fall back to on startup; run without bridges until the file is fixed
+      logger.error('Bridge configuration could not be loaded, no bridges active', {
+        configPath: this.configPath,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Read, parse and validate the bridges file
+   * @returns {Array} Validated bridge definitions
+   * @private
+   */
+  readConfigFile() {
+    const raw = fs.readFileSync(this.configPath, 'utf8');
+    const extension = path.extname(this.configPath).toLowerCase();
+    const data = (extension === '.yaml' || extension === '.yml') ? YAML.parse(raw) : JSON.parse(raw);
+
+    const validation = Validator.validateBridgeConfig(data);
+    if (!validation.isValid) {
+      const error = new Error(`Invalid bridge configuration: ${validation.errors.join('; ')}`);
+      error.name = 'ValidationError';
+      error.errors = validation.errors;
+      throw error;
+    }
+
+    return data.bridges.map(bridge => ({
+      ...bridge,
+      name: bridge.name || bridge.id,
+      enabled: bridge.enabled !== false,
+      settings: bridge.settings || {}
+    }));
+  }
+
+  /**
+   * Load bridges from the configuration file
+   * Throws (leaving the current bridges untouched) if the file is invalid
+   */
+  load() {
+    const bridges = this.readConfigFile();
+
+    this.bridges = bridges;
+    this.loadedAt = new Date();
+    this.lastError = null;
 
     logger.info('Bridge configuration loaded', {
+      configPath: this.configPath,
       totalBridges: this.bridges.length,
       enabledBridges: this.bridges.filter(b => b.enabled).length
     });
+
+    this.emit('reloaded', this.bridges);
+    return this.bridges;
+  }
+
+  /**
+   * Reload bridges, keeping the previous good configuration on failure
+   * @returns {boolean} Whether the new configuration was applied
+   */
+  reload() {
+    try {
+      this.load();
+      return true;
+    } catch (error) {
+      this.lastError = {
+        message: error.message,
+        errors: error.errors || [],
+        at: new Date().toISOString()
+      };
+
+      logger.error('Rejected bridge configuration, keeping previous configuration', {
+        configPath: this.configPath,
+        error: error.message,
+        activeBridges: this.bridges.length
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Watch the configuration file and reload on change
+   * The directory is watched so editors that replace the file on save are picked up.
+   */
+  watch() {
+    if (this.watcher) return;
+
+    const directory = path.dirname(this.configPath);
+    const filename = path.basename(this.configPath);
+
+    try {
+      this.watcher = fs.watch(directory, (eventType, changedFile) => {
+        if (changedFile && changedFile !== filename) return;
+
+        // Editors emit several events per save; reload once they settle
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => {
+          logger.info('Bridge configuration file changed, reloading', { configPath: this.configPath });
+          this.reload();
+        }, 250);
+      });
+      this.watcher.unref();
+
+      logger.info('Watching bridge configuration file', { configPath: this.configPath });
+    } catch (error) {
+      this.watcher = null;
+      logger.error('Failed to watch bridge configuration file', {
+        configPath: this.configPath,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Stop watching the configuration file
+   */
+  stopWatching() {
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
   }
 
   /**
@@ -150,28 +249,165 @@ class BridgeConfigService {
   }
 
   /**
-   * Update hardcoded values (for development/testing)
-   * This method allows easy updating of IDs during development
+   * Update platform IDs of a bridge (for development/testing)
+   * Kept for backwards compatibility; prefer updateBridge()
    */
   updateBridgeIds(bridgeId, platformUpdates) {
-    const bridge = this.bridges.find(b => b.id === bridgeId);
-    if (!bridge) {
-      logger.error('Bridge not found for update', { bridgeId });
+    try {
+      this.updateBridge(bridgeId, { platforms: platformUpdates });
+      return true;
+    } catch (error) {
+      logger.error('Bridge update failed', { bridgeId, error: error.message });
       return false;
     }
+  }
+
+  /**
+   * Get a single bridge by ID
+   * @param {string} bridgeId - Bridge identifier
+   * @returns {Object|null} Bridge definition or null
+   */
+  getBridge(bridgeId) {
+    return this.bridges.find(b => b.id === bridgeId) || null;
+  }
+
+  /**
+   * Get all bridges, including disabled ones
+   */
+  getAllBridges() {
+    return this.bridges;
+  }
+
+  /**
+   * Create a new bridge and persist it
+   * @param {Object} definition - Bridge definition
+   * @returns {Object} Created bridge
+   */
+  createBridge(definition) {
+    if (definition?.id && this.getBridge(definition.id)) {
+      throw this.createError(`Bridge already exists: ${definition.id}`, 409);
+    }
+
+    this.applyChanges([...this.bridges, definition]);
+
+    logger.info('Bridge created', { bridgeId: definition.id });
+    return this.getBridge(definition.id);
+  }
+
+  /**
+   * Update an existing bridge and persist it
+   * Platforms are merged one by one; set a platform to null to remove it.
+   * @param {string} bridgeId - Bridge identifier
+   * @param {Object} changes - Fields to change (name, enabled, platforms, settings)
+   * @returns {Object} Updated bridge
+   */
+  updateBridge(bridgeId, changes = {}) {
+    const bridge = this.getBridge(bridgeId);
+    if (!bridge) {
+      throw this.createError(`Bridge not found: ${bridgeId}`, 404);
+    }
+
+    if (changes.id !== undefined && changes.id !== bridgeId) {
+      throw this.createError('Bridge id cannot be changed', 400);
+    }
 
-    Object.keys(platformUpdates).forEach(platform => {
-      if (bridge.platforms[platform]) {
-        Object.assign(bridge.platforms[platform], platformUpdates[platform]);
+    const platforms = { ...bridge.platforms };
+    Object.entries(changes.platforms || {}).forEach(([platform, platformConfig]) => {
+      if (platformConfig === null) {
+        delete platforms[platform];
+      } else {
+        platforms[platform] = { ...platforms[platform], ...platformConfig };
       }
     });
 
+    const updated = {
+      ...bridge,
+      ...(changes.name !== undefined && { name: changes.name }),
+      ...(changes.enabled !== undefined && { enabled: changes.enabled }),
+      platforms,
+      settings: { ...bridge.settings, ...changes.settings }
+    };
+
+    this.applyChanges(this.bridges.map(b => (b.id === bridgeId ? updated : b)));
+
     logger.info('Bridge configuration updated', {
       bridgeId,
-      updates: platformUpdates
+      updates: changes
     });
 
-    return true;
+    return this.getBridge(bridgeId);
+  }
+
+  /**
+   * Enable or disable a bridge and persist it
+   * @param {string} bridgeId - Bridge identifier
+   * @param {boolean} enabled - New state
+   */
+  setBridgeEnabled(bridgeId, enabled) {
+    return this.updateBridge(bridgeId, { enabled: !!enabled });
+  }
+
+  /**
+   * Delete a bridge and persist the change
+   * @param {string} bridgeId - Bridge identifier
+   * @returns {Object} Deleted bridge
+   */
+  deleteBridge(bridgeId) {
+    const bridge = this.getBridge(bridgeId);
+    if (!bridge) {
+      throw this.createError(`Bridge not found: ${bridgeId}`, 404);
+    }
+
+    this.applyChanges(this.bridges.filter(b => b.id !== bridgeId));
+
+    logger.info('Bridge deleted', { bridgeId });
+    return bridge;
+  }
+
+  /**
+   * Validate a complete set of bridges, write it to disk and activate it
+   * @param {Array} bridges - New bridge list
+   * @private
+   */
+  applyChanges(bridges) {
+    const data = { bridges };
+    const validation = Validator.validateBridgeConfig(data);
+    if (!validation.isValid) {
+      const error = this.createError(`Invalid bridge configuration: ${validation.errors.join('; ')}`, 400);
+      error.name = 'ValidationError';
+      error.errors = validation.errors;
+      throw error;
+    }
+
+    this.writeConfigFile(data);
+    this.load();
+  }
+
+  /**
+   * Persist bridges in the same format as the configuration file
+   * Written to a temporary file first so a crash never leaves a half-written config.
+   * @param {Object} data - Bridges file contents
+   * @private
+   */
+  writeConfigFile(data) {
+    const extension = path.extname(this.configPath).toLowerCase();
+    const contents = (extension === '.yaml' || extension === '.yml')
+      ? YAML.stringify(data)
+      : JSON.stringify(data, null, 2) + '\n';
+
+    const tempPath = `${this.configPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, contents, 'utf8');
+    fs.renameSync(tempPath, this.configPath);
+  }
+
+  /**
+   * Create an error carrying an HTTP status code
+   * @private
+   */
+  createError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
   }
 
   /**
@@ -179,6 +415,9 @@ class BridgeConfigService {
    */
   getConfigSummary() {
     return {
+      configPath: this.configPath,
+      loadedAt: this.loadedAt,
+      lastError: this.lastError,
       totalBridges: this.bridges.length,
       enabledBridges: this.bridges.filter(b => b.enabled).length,
       bridges: this.bridges.map(bridge => ({
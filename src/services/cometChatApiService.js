@@ -6,6 +6,8 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
 const config = require('../config');
+const { RateLimiter } = require('../utils/rateLimiter');
+const markup = require('../markup');
 
 class CometChatApiService {
   constructor() {
@@ -13,6 +15,15 @@ class CometChatApiService {
     this.region = config.cometchat.region;
     this.apiKey = config.cometchat.apiKey;
     this.baseUrl = `https://${this.appId}.api-${this.region}.cometchat.io/v3`;
+    this.botUid = 'cometchat_bot';
+    this.assistantUid = config.cometchat.assistantUid;
+
+    const limits = config.rateLimits.cometchat;
+    this.rateLimiter = new RateLimiter('cometchat', {
+      enabled: config.rateLimits.enabled,
+      global: limits.global,
+      perKey: () => limits.group
+    });
     
     if (!this.apiKey) {
       logger.error('CometChat API key not configured');
@@ -41,8 +52,10 @@ class CometChatApiService {
    * Uses the Bot Message API for message bridging scenarios
    * @param {string} groupId - CometChat group ID
    * @param {Object} message - Message object with text and metadata
+   * @param {Object} options - { replyToMessageId } to send as a thread reply,
+   *   { senderUid } to send as a mirrored user instead of the bot
    */
-  async sendMessage(groupId, message) {
+  async sendMessage(groupId, message, options = {}) {
     try {
       if (!this.apiKey) {
         throw new Error('CometChat API key not configured');
@@ -57,9 +70,10 @@ class CometChatApiService {
         data: {
           text: messageText
         },
-        sender: 'cometchat_bot',
+        sender: this.botUid,
         receiver: groupId,
         receiverType: 'group',
+        ...(options.replyToMessageId ? { parentId: options.replyToMessageId } : {}),
         metadata: {
           source: 'bridge',
           originalPlatform: message.originalMessage?.source || 'unknown',
@@ -69,13 +83,13 @@ class CometChatApiService {
         }
       };
 
-      // Use bot message endpoint: /bots/{botId}/messages
-      const response = await this.client.post('/bots/cometchat_bot/messages', payload);
+      const response = await this.postGroupMessage(groupId, payload, options.senderUid);
 
       logger.info('Bot message sent to CometChat', {
         groupId,
         messageId: response.data.data.id,
         textLength: messageText.length,
+        senderUid: options.senderUid || this.botUid,
         originalPlatform: message.originalMessage?.source,
         originalAuthor: message.originalMessage?.author?.name
       });
@@ -85,7 +99,8 @@ class CometChatApiService {
         messageId: response.data.data.id,
         platform: 'cometchat',
         groupId,
-        messageType: 'bot'
+        messageType: options.senderUid ? 'user' : 'bot',
+        ...(options.senderUid ? { senderUid: options.senderUid } : {})
       };
 
     } catch (error) {
@@ -110,51 +125,355 @@ class CometChatApiService {
   }
 
   /**
-   * Send media message to CometChat group
+   * Edit a bridged message
+   * Bridged messages are sent by the bot, so the edit is made on its behalf
+   * @param {string} messageId - CometChat message ID
+   * @param {Object} message - Message object with text and metadata
+   * @param {string} groupId - Group the message belongs to (rate limit key)
+   * @param {string} senderUid - Mirrored user the message was sent as (defaults to the bot)
+   */
+  async editMessage(messageId, message, groupId = null, senderUid = null) {
+    try {
+      if (!this.apiKey) {
+        throw new Error('CometChat API key not configured');
+      }
+
+      const messageText = typeof message === 'string' ? message : message.text;
+
+      const payload = {
+        data: {
+          text: messageText,
+          metadata: {
+            ...message.metadata,
+            source: 'bridge',
+            editedAt: new Date().toISOString()
+          }
+        }
+      };
+
+      await this.rateLimiter.schedule(groupId || `message:${messageId}`, () =>
+        this.client.put(`/messages/${messageId}`, payload, {
+          headers: { onBehalfOf: senderUid || this.botUid }
+        })
+      );
+
+      logger.info('CometChat message edited', {
+        messageId,
+        textLength: messageText.length
+      });
+
+      return {
+        success: true,
+        messageId,
+        platform: 'cometchat'
+      };
+
+    } catch (error) {
+      logger.error('Failed to edit CometChat message', {
+        messageId,
+        error: error.message,
+        status: error.response?.status,
+        data: error.response?.data
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a bridged message
+   * @param {string} messageId - CometChat message ID
+   * @param {boolean} permanent - Remove permanently instead of marking as deleted
+   * @param {string} groupId - Group the message belongs to (rate limit key)
+   * @param {string} senderUid - Mirrored user the message was sent as (defaults to the bot)
+   */
+  async deleteMessage(messageId, permanent = false, groupId = null, senderUid = null) {
+    try {
+      if (!this.apiKey) {
+        throw new Error('CometChat API key not configured');
+      }
+
+      await this.rateLimiter.schedule(groupId || `message:${messageId}`, () =>
+        this.client.delete(`/messages/${messageId}`, {
+          headers: { onBehalfOf: senderUid || this.botUid },
+          data: { permanent }
+        })
+      );
+
+      logger.info('CometChat message deleted', { messageId, permanent });
+
+      return {
+        success: true,
+        messageId,
+        platform: 'cometchat'
+      };
+
+    } catch (error) {
+      logger.error('Failed to delete CometChat message', {
+        messageId,
+        error: error.message,
+        status: error.response?.status,
+        data: error.response?.data
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Add the bot's reaction to a message
+   * @param {string} messageId - CometChat message ID
+   * @param {string} emoji - Unicode emoji
+   * @param {string} groupId - Group the message belongs to (rate limit key)
+   */
+  async addReaction(messageId, emoji, groupId = null) {
+    return this.setReaction(messageId, emoji, groupId, true);
+  }
+
+  /**
+   * Remove the bot's reaction from a message
+   * @param {string} messageId - CometChat message ID
+   * @param {string} emoji - Unicode emoji
+   * @param {string} groupId - Group the message belongs to (rate limit key)
+   */
+  async removeReaction(messageId, emoji, groupId = null) {
+    return this.setReaction(messageId, emoji, groupId, false);
+  }
+
+  /**
+   * Add or remove the bot's reaction
+   * @private
+   */
+  async setReaction(messageId, emoji, groupId, present) {
+    try {
+      if (!this.apiKey) {
+        throw new Error('CometChat API key not configured');
+      }
+
+      const url = `/messages/${messageId}/reactions/${encodeURIComponent(emoji)}`;
+      const options = { headers: { onBehalfOf: this.botUid } };
+      await this.rateLimiter.schedule(groupId || `message:${messageId}`, () =>
+        present ? this.client.post(url, {}, options) : this.client.delete(url, options)
+      );
+
+      logger.info(present ? 'CometChat reaction added' : 'CometChat reaction removed', { messageId, emoji });
+
+      return {
+        success: true,
+        messageId,
+        platform: 'cometchat'
+      };
+
+    } catch (error) {
+      logger.error(present ? 'Failed to add CometChat reaction' : 'Failed to remove CometChat reaction', {
+        messageId,
+        emoji,
+        error: error.message,
+        status: error.response?.status,
+        data: error.response?.data
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Send bot media message to CometChat group
+   * CometChat media messages reference files by URL rather than by upload
    * @param {string} groupId - CometChat group ID
-   * @param {string} mediaUrl - URL of the media
-   * @param {string} mediaType - Type of media (image, file, etc.)
-   * @param {string} caption - Media caption
+   * @param {Object} media - { url, name, contentType, size, kind }
+   * @param {Object|string} caption - Formatted caption (text and metadata) or plain text
+   * @param {Object} options - { replyToMessageId } to send as a thread reply,
+   *   { senderUid } to send as a mirrored user instead of the bot
    */
-  async sendMediaMessage(groupId, mediaUrl, mediaType = 'image', caption = '') {
+  async sendMediaMessage(groupId, media, caption = '', options = {}) {
     try {
       if (!this.apiKey) {
         throw new Error('CometChat API key not configured');
       }
 
+      const captionText = typeof caption === 'string' ? caption : caption.text;
+      const extension = media.name && media.name.includes('.') ? media.name.split('.').pop() : '';
+
       const payload = {
         category: 'message',
-        type: mediaType,
+        type: media.kind || 'file',
         data: {
-          url: mediaUrl,
-          caption: caption
+          ...(captionText ? { text: captionText } : {}),
+          attachments: [{
+            url: media.url,
+            name: media.name,
+            mimeType: media.contentType,
+            extension,
+            size: media.size
+          }]
         },
+        sender: this.botUid,
+        receiver: groupId,
+        receiverType: 'group',
+        ...(options.replyToMessageId ? { parentId: options.replyToMessageId } : {}),
         metadata: {
+          ...caption.metadata,
           source: 'bridge'
         }
       };
 
-      const response = await this.client.post(`/groups/${groupId}/messages`, payload);
+      const response = await this.postGroupMessage(groupId, payload, options.senderUid);
 
       logger.info('Media message sent to CometChat', {
         groupId,
         messageId: response.data.data.id,
-        mediaUrl,
-        mediaType
+        name: media.name,
+        mediaType: payload.type,
+        senderUid: options.senderUid || this.botUid
       });
 
       return {
         success: true,
         messageId: response.data.data.id,
         platform: 'cometchat',
-        groupId
+        groupId,
+        messageType: options.senderUid ? 'user' : 'bot',
+        ...(options.senderUid ? { senderUid: options.senderUid } : {})
       };
 
     } catch (error) {
       logger.error('Failed to send CometChat media message', {
         groupId,
-        mediaUrl,
-        error: error.message
+        name: media.name,
+        error: error.message,
+        status: error.response?.status,
+        data: error.response?.data
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Post a group message as the bot, or on behalf of a mirrored user
+   * @param {string} groupId - CometChat group ID
+   * @param {Object} payload - Bot message payload
+   * @param {string|null} senderUid - Mirrored user to send as
+   * @private
+   */
+  postGroupMessage(groupId, payload, senderUid) {
+    if (!senderUid) {
+      // Use bot message endpoint: /bots/{botId}/messages
+      return this.rateLimiter.schedule(groupId, () =>
+        this.client.post(`/bots/${this.botUid}/messages`, payload)
+      );
+    }
+
+    // User messages carry their metadata inside data
+    const { sender, metadata, ...message } = payload;
+    return this.rateLimiter.schedule(groupId, () =>
+      this.client.post('/messages', {
+        ...message,
+        data: { ...message.data, metadata }
+      }, {
+        headers: { onBehalfOf: senderUid }
+      })
+    );
+  }
+
+  /**
+   * Create a user
+   * @param {Object} user - { uid, name, avatar, metadata, tags }
+   */
+  async createUser(user) {
+    const response = await this.rateLimiter.schedule(`user:${user.uid}`, () =>
+      this.client.post('/users', user)
+    );
+    return response.data.data;
+  }
+
+  /**
+   * Update a user's profile
+   * @param {string} uid - CometChat user ID
+   * @param {Object} changes - { name, avatar, metadata }
+   */
+  async updateUser(uid, changes) {
+    const response = await this.rateLimiter.schedule(`user:${uid}`, () =>
+      this.client.put(`/users/${uid}`, changes)
+    );
+    return response.data.data;
+  }
+
+  /**
+   * Delete a user permanently
+   * @param {string} uid - CometChat user ID
+   */
+  async deleteUser(uid) {
+    await this.rateLimiter.schedule(`user:${uid}`, () =>
+      this.client.delete(`/users/${uid}`, { data: { permanent: true } })
+    );
+  }
+
+  /**
+   * Add users to a group as participants
+   * @param {string} groupId - CometChat group ID
+   * @param {Array} uids - User IDs
+   */
+  async addGroupMembers(groupId, uids) {
+    const response = await this.rateLimiter.schedule(groupId, () =>
+      this.client.post(`/groups/${groupId}/members`, { participants: uids })
+    );
+    return response.data.data;
+  }
+
+  /**
+   * Send a text message as the workflow assistant
+   * @param {string} receiver - User or group ID to send to
+   * @param {string} text - Message text
+   * @param {string} receiverType - 'user' or 'group'
+   */
+  async sendAssistantMessage(receiver, text, receiverType = 'user') {
+    try {
+      if (!this.apiKey) {
+        throw new Error('CometChat API key not configured');
+      }
+
+      const payload = {
+        category: 'message',
+        type: 'text',
+        receiver,
+        receiverType,
+        data: {
+          text,
+          metadata: { source: 'assistant' }
+        }
+      };
+
+      const response = await this.rateLimiter.schedule(receiverType === 'group' ? receiver : `user:${receiver}`, () =>
+        this.client.post('/messages', payload, {
+          headers: { onBehalfOf: this.assistantUid }
+        })
+      );
+
+      logger.info('Assistant message sent to CometChat', {
+        receiver,
+        receiverType,
+        messageId: response.data.data.id,
+        senderUid: this.assistantUid,
+        textLength: text.length
+      });
+
+      return {
+        success: true,
+        messageId: response.data.data.id,
+        platform: 'cometchat',
+        receiver,
+        receiverType
+      };
+
+    } catch (error) {
+      logger.error('Failed to send CometChat assistant message', {
+        receiver,
+        receiverType,
+        error: error.message,
+        status: error.response?.status,
+        data: error.response?.data
       });
 
       throw error;
@@ -186,7 +505,9 @@ class CometChatApiService {
         }
       };
 
-      const response = await this.client.post(`/users/${userId}/messages`, payload);
+      const response = await this.rateLimiter.schedule(`user:${userId}`, () =>
+        this.client.post(`/users/${userId}/messages`, payload)
+      );
 
       logger.info('User message sent to CometChat', {
         userId,
@@ -211,6 +532,25 @@ class CometChatApiService {
     }
   }
 
+  /**
+   * Get a message by ID
+   * @param {string} messageId - CometChat message ID
+   */
+  async getMessage(messageId) {
+    try {
+      const response = await this.client.get(`/messages/${messageId}`, {
+        headers: { onBehalfOf: this.botUid }
+      });
+      return response.data.data;
+    } catch (error) {
+      logger.error('Failed to get CometChat message', {
+        messageId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
   /**
    * Get group information
    * @param {string} groupId - CometChat group ID
@@ -266,16 +606,27 @@ class CometChatApiService {
     }
   }
 
+  /**
+   * Get outbound rate limiter statistics
+   */
+  getStats() {
+    return {
+      rateLimiter: this.rateLimiter.getStats()
+    };
+  }
+
   /**
    * Format message for CometChat Bot Message API
    * @param {Object} sourceMessage - Original message
+   * @param {Object} options - { header: false } for messages sent as a mirrored user,
+   *   whose name already shows who wrote them
    */
-  formatMessage(sourceMessage) {
+  formatMessage(sourceMessage, options = {}) {
     const author = sourceMessage.author.name;
-    const content = sourceMessage.content.text;
+    const content = markup.convert(sourceMessage, 'cometchat');
     const sourcePlatform = sourceMessage.source.charAt(0).toUpperCase() + sourceMessage.source.slice(1);
     
-    // Format for CometChat with platform prefix and emoji
+    // CometChat shows text as-is, so the header and content carry no markup
     const platformEmoji = {
       discord: '🎮',
       telegram: '✈️',
@@ -283,7 +634,9 @@ class CometChatApiService {
     };
     
     const emoji = platformEmoji[sourceMessage.source] || '🔗';
-    const formattedContent = `${emoji} **${sourcePlatform}** | ${author}:\n${content}`;
+    const formattedContent = options.header === false
+      ? content
+      : `${emoji} ${sourcePlatform} | ${author}:\n${content}`;
     
     return {
       text: formattedContent,
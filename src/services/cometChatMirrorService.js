@@ -0,0 +1,212 @@
+/**
+ * CometChat Mirror Service
+ * Provisions a CometChat user for each Discord/Telegram author on bridges with
+ * `cometchatMirrorUsers` enabled, so bridged messages are sent as that user instead of the bot.
+ *
+ * Mirrored users have a deterministic uid (`bridge_<platform>_<userId>`), keep the author's
+ * name and avatar, join the bridged groups they post in and are deleted after
+ * MIRROR_USERS_STALE_DAYS without messages.
+ *
+ * Keys:
+ *   user:<uid> -> { uid, platform, userId, name, avatar, groups, createdAt, lastSeenAt }
+ */
+
+const logger = require('../utils/logger');
+const config = require('../config');
+const { createStore } = require('../storage');
+const cometChatApiService = require('./cometChatApiService');
+
+const UID_PREFIX = 'bridge_';
+
+// lastSeenAt is only rewritten when it is older than this
+const LAST_SEEN_RESOLUTION = 60 * 60 * 1000;
+
+const PLATFORM_NAMES = {
+  discord: 'Discord',
+  telegram: 'Telegram'
+};
+
+class CometChatMirrorService {
+  constructor() {
+    this.store = createStore('cometchat_mirrors', { backend: config.mirrorUsers.backend });
+    this.staleAfter = config.mirrorUsers.staleDays * 24 * 60 * 60 * 1000;
+
+    // Serializes provisioning per uid (targets are delivered in parallel)
+    this.locks = new Map();
+
+    // Remove stale mirrored users every six hours
+    this.cleanupInterval = setInterval(() => {
+      this.cleanupStaleUsers();
+    }, 6 * 60 * 60 * 1000);
+    this.cleanupInterval.unref();
+
+    logger.info('CometChat mirror service initialized', {
+      backend: this.store.backend,
+      staleDays: config.mirrorUsers.staleDays
+    });
+  }
+
+  /**
+   * Mirrored user ID for an author
+   * @param {string} platform - Author's platform
+   * @param {string} userId - Author's user ID on that platform
+   * @returns {string} CometChat uid
+   */
+  getUid(platform, userId) {
+    return `${UID_PREFIX}${platform}_${userId}`.toLowerCase().replace(/[^a-z0-9_-]/g, '_');
+  }
+
+  /**
+   * Whether a CometChat uid belongs to a mirrored user
+   * @param {string} uid - CometChat uid
+   */
+  isMirrorUid(uid) {
+    return String(uid || '').startsWith(UID_PREFIX);
+  }
+
+  /**
+   * Make sure the mirrored user for an author exists, is current and is in the group
+   * @param {string} platform - Author's platform
+   * @param {Object} author - Standardized message author
+   * @param {string} groupId - CometChat group the message goes to
+   * @returns {string} uid to send as
+   */
+  async ensureUser(platform, author, groupId) {
+    const uid = this.getUid(platform, author.id);
+
+    return this.withLock(uid, async () => {
+      const profile = {
+        name: this.getName(platform, author),
+        avatar: author.avatar || null
+      };
+      const now = new Date().toISOString();
+      let record = await this.store.get(`user:${uid}`);
+      let changed = false;
+
+      if (!record) {
+        await this.createUser(uid, profile, platform, author.id);
+        record = { uid, platform, userId: String(author.id), ...profile, groups: [], createdAt: now };
+        changed = true;
+      } else if (record.name !== profile.name || record.avatar !== profile.avatar) {
+        await cometChatApiService.updateUser(uid, { name: profile.name, avatar: profile.avatar || '' });
+        Object.assign(record, profile);
+        changed = true;
+        logger.info('Mirrored CometChat user updated', { uid });
+      }
+
+      if (!record.groups.includes(groupId)) {
+        await cometChatApiService.addGroupMembers(groupId, [uid]);
+        record.groups.push(groupId);
+        changed = true;
+        logger.info('Mirrored CometChat user added to group', { uid, groupId });
+      }
+
+      if (changed || !record.lastSeenAt || Date.now() - Date.parse(record.lastSeenAt) > LAST_SEEN_RESOLUTION) {
+        record.lastSeenAt = now;
+        await this.store.set(`user:${uid}`, record);
+      }
+
+      return uid;
+    });
+  }
+
+  /**
+   * Display name of a mirrored user, e.g. "Alice (Telegram)"
+   * @private
+   */
+  getName(platform, author) {
+    const name = author.displayName || author.name || String(author.id);
+    return `${name} (${PLATFORM_NAMES[platform] || platform})`.slice(0, 100);
+  }
+
+  /**
+   * Create a mirrored user, taking over one left behind by a lost store
+   * @private
+   */
+  async createUser(uid, profile, platform, userId) {
+    try {
+      await cometChatApiService.createUser({
+        uid,
+        name: profile.name,
+        ...(profile.avatar ? { avatar: profile.avatar } : {}),
+        metadata: { bridge: { platform, userId: String(userId) } },
+        tags: ['bridge-mirror']
+      });
+      logger.info('Mirrored CometChat user created', { uid, platform });
+    } catch (error) {
+      if (error.response?.data?.error?.code !== 'ERR_UID_ALREADY_EXISTS') throw error;
+      await cometChatApiService.updateUser(uid, { name: profile.name, avatar: profile.avatar || '' });
+    }
+  }
+
+  /**
+   * Delete mirrored users that haven't posted for MIRROR_USERS_STALE_DAYS
+   * @returns {number} Number of users removed
+   */
+  async cleanupStaleUsers() {
+    let removed = 0;
+
+    try {
+      const cutoff = Date.now() - this.staleAfter;
+      const stale = (await this.store.list('user:'))
+        .map(entry => entry.value)
+        .filter(record => Date.parse(record.lastSeenAt || record.createdAt) < cutoff);
+
+      for (const record of stale) {
+        await this.withLock(record.uid, async () => {
+          try {
+            await cometChatApiService.deleteUser(record.uid);
+          } catch (error) {
+            // Already gone on CometChat's side is fine
+            if (error.response?.status !== 404) {
+              logger.warn('Failed to delete stale mirrored user', { uid: record.uid, error: error.message });
+              return;
+            }
+          }
+          await this.store.delete(`user:${record.uid}`);
+          removed++;
+        });
+      }
+
+      if (removed > 0) {
+        logger.info('Cleaned up stale mirrored CometChat users', { removed });
+      }
+    } catch (error) {
+      logger.error('Failed to clean up mirrored CometChat users', { error: error.message });
+    }
+
+    return removed;
+  }
+
+  /**
+   * Run a function exclusively for a key
+   * @private
+   */
+  async withLock(key, fn) {
+    const previous = this.locks.get(key) || Promise.resolve();
+    const current = previous.then(() => fn());
+    const settled = current.catch(() => {});
+
+    this.locks.set(key, settled);
+    settled.then(() => {
+      if (this.locks.get(key) === settled) {
+        this.locks.delete(key);
+      }
+    });
+
+    return current;
+  }
+
+  /**
+   * Get mirror statistics
+   */
+  async getStats() {
+    return {
+      backend: this.store.backend,
+      users: (await this.store.list('user:')).length
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new CometChatMirrorService();
@@ -5,6 +5,7 @@
 
 const logger = require('../utils/logger');
 const config = require('../config');
+const cometChatApiService = require('./cometChatApiService');
 
 class CometChatService {
   constructor() {
@@ -38,6 +39,11 @@ class CometChatService {
         case 'message_read':
         case 'onMessageRead':
           return await this.handleMessageRead(data);
+        case 'message_reaction_added':
+        case 'message_reaction_removed':
+        case 'after_reaction_added':
+        case 'after_reaction_removed':
+          return await this.handleReaction(trigger, data);
         case 'user_online':
         case 'onUserOnline':
           return await this.handleUserOnline(data);
@@ -154,6 +160,27 @@ class CometChatService {
     };
   }
 
+  /**
+   * Handle reaction added/removed event
+   * Reactions are mirrored by the controller through the message router
+   */
+  async handleReaction(trigger, data) {
+    const reaction = data?.reaction || {};
+
+    logger.cometchat('message_reaction', {
+      trigger,
+      messageId: reaction.messageId || data?.message?.id,
+      reaction: reaction.reaction,
+      userId: reaction.uid || reaction.reactedBy?.uid
+    });
+
+    return {
+      processed: true,
+      messageId: reaction.messageId || data?.message?.id,
+      action: 'reaction_processed'
+    };
+  }
+
   /**
    * Handle user offline event
    */
@@ -173,7 +200,11 @@ class CometChatService {
   }
 
   /**
-   * Send message via CometChat API (future implementation)
+   * Send a workflow message as the assistant user (COMETCHAT_ASSISTANT_UID)
+   * @param {string} receiverUid - User or group to send to
+   * @param {string} messageText - Message text
+   * @param {string} receiverType - 'user' or 'group'
+   * @returns {Object} { sent, messageId } or { sent: false, reason }
    */
   async sendMessage(receiverUid, messageText, receiverType = 'user') {
     logger.cometchat('send_message_attempt', {
@@ -182,13 +213,20 @@ class CometChatService {
       messageLength: messageText.length
     });
 
-    // TODO: Implement CometChat API call to send message
-    // This would require the CometChat REST API integration
-
-    return {
-      sent: false,
-      reason: 'API integration not implemented yet'
-    };
+    try {
+      const result = await cometChatApiService.sendAssistantMessage(receiverUid, messageText, receiverType);
+      return {
+        sent: true,
+        messageId: result.messageId,
+        receiver: receiverUid,
+        receiverType
+      };
+    } catch (error) {
+      return {
+        sent: false,
+        reason: error.response?.data?.error?.message || error.message
+      };
+    }
   }
 }
 
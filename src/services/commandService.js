@@ -0,0 +1,259 @@
+/**
+ * Command Service
+ * Registry of bot commands shared by Discord, Telegram and CometChat.
+ *
+ * A command definition:
+ *   {
+ *     name: 'link',                       // 1-32 lowercase letters, digits or underscores
+ *     description: 'Link your accounts',  // shown in help and the platform command menus
+ *     args: [{ name, description, required }],
+ *     permission: 'everyone' | 'admin',   // admins are listed in COMMAND_ADMINS
+ *     platforms: ['discord', ...],        // optional, defaults to all platforms
+ *     handler: async (context) => ({ text, private })
+ *   }
+ *
+ * Handlers receive { platform, account, chat, args, commands } and return the reply text
+ * (or { text, private }); each platform's adapter decides how to deliver it. Messages that
+ * invoke a registered command are answered by the bot and never bridged.
+ */
+
+const logger = require('../utils/logger');
+const config = require('../config');
+const builtinCommands = require('../commands');
+const telegramApiService = require('./telegramApiService');
+const discordApiService = require('./discordApiService');
+
+const PLATFORMS = ['discord', 'telegram', 'cometchat'];
+
+// Discord application command option type for free text
+const STRING_OPTION = 3;
+
+class CommandService {
+  constructor() {
+    this.commands = new Map();
+    this.admins = new Set(config.commands.admins);
+
+    builtinCommands.forEach(command => this.register(command));
+
+    logger.info('Command service initialized', {
+      commands: [...this.commands.keys()],
+      admins: this.admins.size
+    });
+  }
+
+  /**
+   * Register a command, replacing one with the same name
+   * @param {Object} definition - Command definition
+   * @returns {Object} Registered command
+   */
+  register(definition) {
+    const { name, description, handler } = definition;
+
+    if (!/^[a-z0-9_]{1,32}$/.test(name || '')) {
+      throw new Error(`Invalid command name: ${name}`);
+    }
+    if (!description || description.length > 100) {
+      throw new Error(`Command ${name}: description must be 1-100 characters`);
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`Command ${name}: handler must be a function`);
+    }
+
+    const command = {
+      args: [],
+      permission: 'everyone',
+      platforms: PLATFORMS,
+      ...definition
+    };
+    this.commands.set(name, command);
+    return command;
+  }
+
+  /**
+   * Get a registered command
+   * @param {string} name - Command name
+   */
+  get(name) {
+    return this.commands.get(String(name || '').toLowerCase()) || null;
+  }
+
+  /**
+   * Commands available on a platform, optionally only those an account may use
+   * @param {string} platform - Platform name
+   * @param {Object} account - { platform, id } to filter by permission
+   * @returns {Array} Command definitions
+   */
+  list(platform, account = null) {
+    return [...this.commands.values()].filter(command =>
+      command.platforms.includes(platform) && (!account || this.isAllowed(command, account))
+    );
+  }
+
+  /**
+   * Recognize a registered command in message text
+   * Accepts Telegram's `/command@botname` form when it names this bot, so commands addressed to
+   * other bots in a group are left alone. The last argument takes the rest of the text.
+   * @param {string} text - Message text
+   * @param {string} platform - Platform the message was sent on
+   * @returns {Object|null} { command, args } or null if the text is not a registered command
+   */
+  parse(text, platform) {
+    const match = /^\/([a-z0-9_]+)(?:@(\S+))?(?:\s+([\s\S]*))?$/i.exec((text || '').trim());
+    if (!match) return null;
+
+    const botName = match[2];
+    if (botName) {
+      const ownName = telegramApiService.botUsername;
+      if (platform !== 'telegram' || !ownName || botName.toLowerCase() !== ownName.toLowerCase()) {
+        return null;
+      }
+    }
+
+    const command = this.get(match[1]);
+    if (!command || !command.platforms.includes(platform)) return null;
+
+    const words = (match[3] || '').trim().split(/\s+/).filter(Boolean);
+    const args = {};
+    command.args.forEach((arg, index) => {
+      const value = index === command.args.length - 1
+        ? words.slice(index).join(' ')
+        : words[index];
+      if (value) args[arg.name] = value;
+    });
+
+    return { command, args };
+  }
+
+  /**
+   * Run a command and produce its reply
+   * @param {Object} command - Command definition
+   * @param {Object} context - { platform, account, chat, args }
+   * @returns {Object} Reply { text, private }
+   */
+  async execute(command, context) {
+    const account = context.account;
+
+    logger.info('Bot command received', {
+      command: command.name,
+      platform: context.platform,
+      accountId: account.id,
+      chatId: context.chat?.id
+    });
+
+    if (!this.isAllowed(command, account)) {
+      return { text: `You are not allowed to use /${command.name}.`, private: true };
+    }
+
+    const missing = command.args.filter(arg => arg.required && !context.args?.[arg.name]);
+    if (missing.length > 0) {
+      return { text: `Usage: ${this.getUsage(command)}`, private: false };
+    }
+
+    try {
+      const reply = await command.handler({ ...context, args: context.args || {}, commands: this });
+      return typeof reply === 'string' ? { text: reply, private: false } : { private: false, ...reply };
+    } catch (error) {
+      logger.error('Bot command failed', {
+        command: command.name,
+        platform: context.platform,
+        error: error.message
+      });
+      return { text: `Sorry, /${command.name} failed. Please try again later.`, private: true };
+    }
+  }
+
+  /**
+   * Whether an account may use a command
+   * @param {Object} command - Command definition
+   * @param {Object} account - { platform, id }
+   */
+  isAllowed(command, account) {
+    return command.permission !== 'admin' || this.isAdmin(account);
+  }
+
+  /**
+   * Whether an account is a bot admin (COMMAND_ADMINS entry `<platform>:<id>`)
+   * @param {Object} account - { platform, id }
+   */
+  isAdmin(account) {
+    return !!account && this.admins.has(`${account.platform}:${account.id}`);
+  }
+
+  /**
+   * Usage line of a command, e.g. "/link [code]"
+   * @param {Object} command - Command definition
+   */
+  getUsage(command) {
+    const args = command.args.map(arg => (arg.required ? `<${arg.name}>` : `[${arg.name}]`));
+    return [`/${command.name}`, ...args].join(' ');
+  }
+
+  /**
+   * Help text listing the commands an account can use on a platform
+   * @param {string} platform - Platform name
+   * @param {Object} account - { platform, id }
+   */
+  getHelpText(platform, account) {
+    const lines = this.list(platform, account)
+      .map(command => `${this.getUsage(command)} - ${command.description}`);
+    return ['Available commands:', ...lines].join('\n');
+  }
+
+  /**
+   * Telegram setMyCommands payload (commands everyone can use)
+   */
+  toTelegramCommands() {
+    return this.list('telegram')
+      .filter(command => command.permission !== 'admin')
+      .map(command => ({ command: command.name, description: command.description }));
+  }
+
+  /**
+   * Discord application commands payload
+   * Admin commands are hidden from members without the Administrator permission by default.
+   */
+  toDiscordCommands() {
+    return this.list('discord').map(command => ({
+      name: command.name,
+      description: command.description,
+      type: 1,
+      options: command.args.map(arg => ({
+        type: STRING_OPTION,
+        name: arg.name,
+        description: arg.description,
+        required: !!arg.required
+      })),
+      ...(command.permission === 'admin' ? { default_member_permissions: '0' } : {})
+    }));
+  }
+
+  /**
+   * Publish the command list to Telegram and Discord so they show up in the command menus
+   * Failures are logged; commands typed as text keep working without registration.
+   */
+  async registerPlatformCommands() {
+    if (!config.commands.register) {
+      return;
+    }
+
+    const registrations = [];
+    if (config.telegram.botToken) {
+      registrations.push(['telegram', () => telegramApiService.setMyCommands(this.toTelegramCommands())]);
+    }
+    if (config.discord.botToken && config.discord.applicationId) {
+      registrations.push(['discord', () => discordApiService.setApplicationCommands(this.toDiscordCommands())]);
+    }
+
+    for (const [platform, registerCommands] of registrations) {
+      try {
+        await registerCommands();
+        logger.info('Bot commands registered', { platform, commands: this.list(platform).length });
+      } catch (error) {
+        logger.error('Failed to register bot commands', { platform, error: error.message });
+      }
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new CommandService();
@@ -1,28 +1,136 @@
 /**
  * Conversation State Service
  * Manages user conversation states for Tripetto workflows
+ *
+ * States are kept in a storage backend (config.conversations.backend) and written on every
+ * update, so a restart or deploy doesn't drop users mid-workflow; with the sqlite or redis
+ * backend they are picked up again on boot. Every write renews the entry's TTL to the
+ * session timeout, and ended conversations are kept for a minute for late lookups. If the
+ * configured backend can't be opened, states are kept in memory instead.
+ *
+ * Reading a state and writing it back is not atomic, so callers that change a conversation
+ * (starting it, answering a question) run under withLock(userId) to process one change at a time.
  */
 
 const logger = require('../utils/logger');
+const config = require('../config');
+const { createStore } = require('../storage');
 
 class ConversationStateService {
   constructor() {
-    // In-memory storage for conversation states
-    // In production, you'd use Redis or database
-    this.conversations = new Map();
-    
-    // Session timeout (30 minutes)
-    this.sessionTimeout = 30 * 60 * 1000;
-    
+    // Session timeout (30 minutes by default)
+    this.sessionTimeout = config.conversations.sessionTimeoutMinutes * 60 * 1000;
+
+    // How long an ended conversation stays retrievable
+    this.endedRetention = 60 * 1000;
+
+    this.store = this.createConversationStore(config.conversations.backend);
+
+    // userId -> tail of that user's queued changes
+    this.locks = new Map();
+
     // Cleanup expired conversations every 5 minutes
     this.cleanupInterval = setInterval(() => {
       this.cleanupExpiredConversations();
     }, 5 * 60 * 1000);
+    this.cleanupInterval.unref();
 
     logger.info('Conversation State Service initialized', {
+      backend: this.store.backend,
       sessionTimeout: this.sessionTimeout,
       cleanupInterval: '5 minutes'
     });
+
+    this.ready = this.restoreConversations();
+  }
+
+  /**
+   * Open the conversation store, falling back to memory when the backend is unavailable
+   * (e.g. its optional package is not installed) so workflows keep running without persistence
+   * @param {string} backend - Configured storage backend
+   * @returns {Object} Store instance
+   * @private
+   */
+  createConversationStore(backend) {
+    try {
+      return createStore('conversations', { backend, ttl: this.sessionTimeout });
+    } catch (error) {
+      logger.error('Conversation store unavailable, keeping conversations in memory', {
+        backend,
+        error: error.message
+      });
+      return createStore('conversations', { backend: 'memory', ttl: this.sessionTimeout });
+    }
+  }
+
+  /**
+   * Drop expired conversations left in the store and report the ones that carry over
+   * @returns {number} Number of active conversations restored
+   * @private
+   */
+  async restoreConversations() {
+    try {
+      await this.store.cleanup();
+
+      const restored = (await this.store.list())
+        .filter(({ value }) => value.isActive && !this.isExpired(value));
+
+      if (restored.length > 0) {
+        logger.info('Restored active conversations', {
+          backend: this.store.backend,
+          activeConversations: restored.length
+        });
+      }
+      return restored.length;
+
+    } catch (error) {
+      logger.error('Failed to restore conversations', {
+        backend: this.store.backend,
+        error: error.message
+      });
+      return 0;
+    }
+  }
+
+  /**
+   * Persist a conversation state
+   * @param {Object} state - Conversation state
+   * @param {number} ttl - Time to keep it, defaults to the session timeout
+   * @private
+   */
+  async saveConversation(state, ttl = this.sessionTimeout) {
+    await this.store.set(state.userId, state, ttl);
+  }
+
+  /**
+   * Run a function exclusively for a user's conversation
+   * Not reentrant: the function must not call withLock for the same user.
+   * @param {string} userId - User identifier
+   * @param {Function} fn - async () => result
+   * @returns {Promise} Result of fn
+   */
+  async withLock(userId, fn) {
+    const previous = this.locks.get(userId) || Promise.resolve();
+    const current = previous.then(() => fn());
+    const settled = current.catch(() => {});
+
+    this.locks.set(userId, settled);
+    settled.then(() => {
+      if (this.locks.get(userId) === settled) {
+        this.locks.delete(userId);
+      }
+    });
+
+    return current;
+  }
+
+  /**
+   * Whether a conversation has been idle for longer than the session timeout
+   * @param {Object} state - Conversation state
+   * @private
+   */
+  isExpired(state) {
+    return Date.now() - new Date(state.metadata.lastActivity).getTime() > this.sessionTimeout;
   }
 
   /**
@@ -34,8 +142,11 @@ class ConversationStateService {
    */
   async startConversation(userId, formId, formDefinition) {
     try {
+      await this.ready;
+
       // End any existing conversation for this user
-      if (this.conversations.has(userId)) {
+      const existing = await this.store.get(userId);
+      if (existing && existing.isActive) {
         await this.endConversation(userId, 'replaced');
       }
 
@@ -43,8 +154,7 @@ class ConversationStateService {
         userId,
         formId,
         formDefinition,
-        currentSectionIndex: 0,
-        currentNodeIndex: 0,
+        currentNodeKey: null,
         responses: {},
         metadata: {
           startedAt: new Date(),
@@ -55,7 +165,7 @@ class ConversationStateService {
         isActive: true
       };
 
-      this.conversations.set(userId, conversationState);
+      await this.saveConversation(conversationState);
 
       logger.info('Conversation started', {
         userId,
@@ -76,28 +186,28 @@ class ConversationStateService {
   }
 
   /**
-   * Get user's current conversation state
+   * Get user's current conversation state and mark it active now
    * @param {string} userId - User identifier
    * @returns {Object|null} Conversation state or null
    */
   async getUserConversationState(userId) {
-    const state = this.conversations.get(userId);
-    
+    await this.ready;
+    const state = await this.store.get(userId);
+
     if (state) {
       // Check if conversation has expired
-      const now = new Date();
-      const lastActivity = new Date(state.metadata.lastActivity);
-      const timeDiff = now - lastActivity;
-      
-      if (timeDiff > this.sessionTimeout) {
+      if (state.isActive && this.isExpired(state)) {
         await this.endConversation(userId, 'expired');
         return null;
       }
-      
+
       // Update last activity
-      state.metadata.lastActivity = now;
+      if (state.isActive) {
+        state.metadata.lastActivity = new Date();
+        await this.saveConversation(state);
+      }
     }
-    
+
     return state;
   }
 
@@ -110,7 +220,7 @@ class ConversationStateService {
   async updateConversationProgress(userId, updates) {
     try {
       const state = await this.getUserConversationState(userId);
-      
+
       if (!state) {
         throw new Error('No active conversation found');
       }
@@ -119,13 +229,9 @@ class ConversationStateService {
       if (updates.responses) {
         Object.assign(state.responses, updates.responses);
       }
-      
-      if (updates.currentSectionIndex !== undefined) {
-        state.currentSectionIndex = updates.currentSectionIndex;
-      }
-      
-      if (updates.currentNodeIndex !== undefined) {
-        state.currentNodeIndex = updates.currentNodeIndex;
+
+      if (updates.currentNodeKey !== undefined) {
+        state.currentNodeKey = updates.currentNodeKey;
       }
 
       // Update progress
@@ -139,6 +245,8 @@ class ConversationStateService {
         state.metadata.completedAt = new Date();
       }
 
+      await this.saveConversation(state);
+
       logger.debug('Conversation updated', {
         userId,
         progress: state.metadata.progress,
@@ -164,13 +272,13 @@ class ConversationStateService {
    */
   async endConversation(userId, reason = 'completed') {
     try {
-      const state = this.conversations.get(userId);
-      
+      const state = await this.store.get(userId);
+
       if (state) {
         state.isActive = false;
         state.metadata.endedAt = new Date();
         state.metadata.endReason = reason;
-        
+
         logger.info('Conversation ended', {
           userId,
           formId: state.formId,
@@ -178,11 +286,9 @@ class ConversationStateService {
           duration: state.metadata.endedAt - new Date(state.metadata.startedAt),
           progress: state.metadata.progress
         });
-        
-        // Remove from active conversations after a delay (for potential retrieval)
-        setTimeout(() => {
-          this.conversations.delete(userId);
-        }, 60000); // Keep for 1 minute
+
+        // Keep briefly for potential retrieval, then let the store expire it
+        await this.saveConversation(state, this.endedRetention);
       }
 
       return true;
@@ -198,25 +304,30 @@ class ConversationStateService {
   }
 
   /**
-   * Count total nodes in a form definition
+   * Count total nodes in a form definition, including the nodes inside branches
    * @param {Object} formDefinition - Tripetto form definition
    * @returns {number} Total number of nodes
    * @private
    */
   countTotalNodes(formDefinition) {
     try {
-      let count = 0;
-      
-      if (formDefinition.sections && Array.isArray(formDefinition.sections)) {
-        for (const section of formDefinition.sections) {
-          if (section.nodes && Array.isArray(section.nodes)) {
-            count += section.nodes.length;
+      const countSections = (sections) => {
+        let count = 0;
+        if (Array.isArray(sections)) {
+          for (const section of sections) {
+            if (section.nodes && Array.isArray(section.nodes)) {
+              count += section.nodes.length;
+            }
+            for (const branch of section.branches || []) {
+              count += countSections(branch.sections);
+            }
           }
         }
-      }
-      
-      return Math.max(count, 1); // At least 1 to avoid division by zero
-      
+        return count;
+      };
+
+      return Math.max(countSections(formDefinition.sections), 1); // At least 1 to avoid division by zero
+
     } catch (error) {
       logger.warn('Failed to count form nodes', { error: error.message });
       return 1;
@@ -225,27 +336,17 @@ class ConversationStateService {
 
   /**
    * Clean up expired conversations
+   * Entries expire with their TTL; this removes them from backends that don't do it themselves.
    * @private
    */
-  cleanupExpiredConversations() {
+  async cleanupExpiredConversations() {
     try {
-      const now = new Date();
-      let cleanedCount = 0;
-
-      for (const [userId, state] of this.conversations.entries()) {
-        const lastActivity = new Date(state.metadata.lastActivity);
-        const timeDiff = now - lastActivity;
-        
-        if (timeDiff > this.sessionTimeout) {
-          this.conversations.delete(userId);
-          cleanedCount++;
-        }
-      }
+      const cleanedCount = await this.store.cleanup();
 
       if (cleanedCount > 0) {
         logger.info('Cleaned up expired conversations', {
           cleanedCount,
-          activeConversations: this.conversations.size
+          activeConversations: await this.store.count()
         });
       }
 
@@ -258,15 +359,18 @@ class ConversationStateService {
    * Get service statistics
    * @returns {Object} Service statistics
    */
-  getStats() {
-    const activeConversations = Array.from(this.conversations.values())
-      .filter(state => state.isActive).length;
-    
-    const completedConversations = Array.from(this.conversations.values())
+  async getStats() {
+    const states = (await this.store.list()).map(({ value }) => value);
+
+    const activeConversations = states
+      .filter(state => state.isActive && !this.isExpired(state)).length;
+
+    const completedConversations = states
       .filter(state => !state.isActive && state.metadata.endReason === 'completed').length;
 
     return {
-      totalUsers: this.conversations.size,
+      backend: this.store.backend,
+      totalUsers: states.length,
       activeConversations,
       completedConversations,
       sessionTimeout: this.sessionTimeout
@@ -274,24 +378,18 @@ class ConversationStateService {
   }
 
   /**
-   * Get conversation state (simple getter)
+   * Get conversation state without touching its activity time
    * @param {string} userId - User identifier
    * @returns {Object|null} Conversation state or null
    */
-  getConversation(userId) {
-    const state = this.conversations.get(userId);
-    
-    if (state) {
-      // Check if conversation has expired
-      const now = new Date();
-      const lastActivity = new Date(state.metadata.lastActivity);
-      const timeDiff = now - lastActivity;
-      
-      if (timeDiff > this.sessionTimeout) {
-        return null; // Expired
-      }
+  async getConversation(userId) {
+    await this.ready;
+    const state = await this.store.get(userId);
+
+    if (state && state.isActive && this.isExpired(state)) {
+      return null; // Expired
     }
-    
+
     return state || null;
   }
 
@@ -303,10 +401,10 @@ class ConversationStateService {
       clearInterval(this.cleanupInterval);
       this.cleanupInterval = null;
     }
-    
+
     logger.info('Conversation State Service shutdown');
   }
 }
 
 // Export singleton instance
-module.exports = new ConversationStateService();
\ No newline at end of file
+module.exports = new ConversationStateService();
@@ -0,0 +1,389 @@
+/**
+ * Delivery Queue Service
+ * Durable outbound queue per target (platform + channel/chat/group).
+ *
+ * Jobs for the same target are delivered strictly in order. Transient failures
+ * (network errors, 429, 5xx) are retried with exponential backoff, honoring
+ * Telegram's retry_after and HTTP Retry-After. Jobs that run out of attempts,
+ * or fail permanently, are moved to a persistent dead-letter store.
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { createStore } = require('../storage');
+
+// Network errors worth retrying
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'];
+
+class DeliveryQueueService {
+  constructor() {
+    this.settings = config.delivery;
+    this.jobStore = createStore('delivery_queue', { backend: this.settings.backend });
+    this.deadLetterStore = createStore('dead_letters', {
+      backend: this.settings.backend,
+      ttl: this.settings.deadLetterTtlDays * 24 * 60 * 60 * 1000
+    });
+
+    // targetKey -> { jobs: [], running: boolean, timer }
+    this.queues = new Map();
+    this.handler = null;
+    this.started = false;
+    this.lastSequence = 0;
+    this.stats = {
+      delivered: 0,
+      retried: 0,
+      deadLettered: 0
+    };
+
+    logger.info('Delivery queue service initialized', {
+      backend: this.jobStore.backend,
+      maxAttempts: this.settings.maxAttempts
+    });
+  }
+
+  /**
+   * Register the function that performs a delivery
+   * It must throw on failure so the queue can decide whether to retry.
+   * @param {Function} handler - async (target, message, part) => result
+   */
+  setDeliveryHandler(handler) {
+    this.handler = handler;
+  }
+
+  /**
+   * Resume jobs persisted before the last shutdown and start processing
+   */
+  async start() {
+    if (this.started) return;
+    this.started = true;
+
+    try {
+      const pending = (await this.jobStore.list('job:'))
+        .map(entry => entry.value)
+        .sort((a, b) => a.sequence - b.sequence);
+
+      pending.forEach(job => this.getQueue(job.targetKey).jobs.push(job));
+      this.queues.forEach((queue, targetKey) => this.processQueue(targetKey));
+
+      if (pending.length > 0) {
+        logger.info('Resumed pending deliveries', { count: pending.length, targets: this.queues.size });
+      }
+    } catch (error) {
+      logger.error('Failed to resume pending deliveries', { error: error.message });
+    }
+  }
+
+  /**
+   * Queue a message for delivery to a target
+   * @param {Object} target - Bridge target (platform + channelId/chatId/groupId)
+   * @param {Object} message - Standardized source message
+   * @param {Object|null} part - Which part of the message this job delivers (text or one attachment)
+   * @returns {Object} Queued job
+   */
+  async enqueue(target, message, part = null) {
+    const targetKey = this.getTargetKey(target);
+    const job = {
+      id: crypto.randomUUID(),
+      targetKey,
+      target,
+      message,
+      part,
+      attempts: 0,
+      sequence: this.nextSequence(),
+      createdAt: new Date().toISOString(),
+      nextAttemptAt: 0,
+      lastError: null
+    };
+
+    await this.jobStore.set(`job:${job.id}`, job);
+    this.getQueue(targetKey).jobs.push(job);
+
+    if (this.started) {
+      this.processQueue(targetKey);
+    }
+
+    return job;
+  }
+
+  /**
+   * Monotonic ordering key that also orders jobs persisted across restarts
+   * @private
+   */
+  nextSequence() {
+    this.lastSequence = Math.max(Date.now(), this.lastSequence + 1);
+    return this.lastSequence;
+  }
+
+  /**
+   * Key identifying a target queue
+   * @private
+   */
+  getTargetKey(target) {
+    return `${target.platform}:${target.channelId || target.chatId || target.groupId}`;
+  }
+
+  /**
+   * @private
+   */
+  getQueue(targetKey) {
+    if (!this.queues.has(targetKey)) {
+      this.queues.set(targetKey, { jobs: [], running: false, timer: null });
+    }
+    return this.queues.get(targetKey);
+  }
+
+  /**
+   * Deliver queued jobs for one target in order
+   * A job waiting for its retry blocks the jobs behind it to keep ordering.
+   * @private
+   */
+  async processQueue(targetKey) {
+    const queue = this.getQueue(targetKey);
+    if (queue.running || !this.handler) return;
+    queue.running = true;
+
+    try {
+      while (queue.jobs.length > 0) {
+        const job = queue.jobs[0];
+        const wait = job.nextAttemptAt - Date.now();
+
+        if (wait > 0) {
+          clearTimeout(queue.timer);
+          queue.timer = setTimeout(() => this.processQueue(targetKey), wait);
+          queue.timer.unref();
+          return;
+        }
+
+        job.attempts++;
+
+        try {
+          await this.handler(job.target, job.message, job.part);
+
+          queue.jobs.shift();
+          await this.jobStore.delete(`job:${job.id}`);
+          this.stats.delivered++;
+
+        } catch (error) {
+          const delay = this.getRetryDelay(error, job.attempts);
+          job.lastError = this.describeError(error);
+
+          if (delay === null || job.attempts >= this.settings.maxAttempts) {
+            queue.jobs.shift();
+            await this.moveToDeadLetters(job);
+            continue;
+          }
+
+          job.nextAttemptAt = Date.now() + delay;
+          await this.jobStore.set(`job:${job.id}`, job);
+          this.stats.retried++;
+
+          logger.warn('Delivery failed, will retry', {
+            targetKey,
+            jobId: job.id,
+            attempt: job.attempts,
+            retryInMs: delay,
+            error: job.lastError.message,
+            status: job.lastError.status
+          });
+        }
+      }
+    } catch (error) {
+      logger.error('Delivery queue processing failed', { targetKey, error: error.message });
+    } finally {
+      queue.running = false;
+    }
+
+    if (queue.jobs.length === 0) {
+      this.queues.delete(targetKey);
+    }
+  }
+
+  /**
+   * Decide whether a failure is transient and how long to wait
+   * @param {Error} error - Delivery error
+   * @param {number} attempt - Attempt number that just failed (1-based)
+   * @returns {number|null} Delay in ms, or null if the failure is permanent
+   */
+  getRetryDelay(error, attempt) {
+    const status = error.response?.status ?? error.status;
+    const backoff = Math.min(
+      this.settings.baseDelayMs * Math.pow(2, attempt - 1),
+      this.settings.maxDelayMs
+    );
+    // Spread retries of many queues hitting the same outage
+    const jittered = Math.round(backoff * (0.8 + Math.random() * 0.4));
+
+    if (status === 429) {
+      const hinted = this.getRetryAfter(error);
+      return hinted !== null ? Math.min(hinted, this.settings.maxDelayMs) : jittered;
+    }
+
+    if (status >= 500) {
+      return jittered;
+    }
+
+    if (status === undefined && (RETRYABLE_CODES.includes(error.code) || error.request)) {
+      return jittered;
+    }
+
+    return null;
+  }
+
+  /**
+   * Read the server's retry hint (Telegram retry_after, Retry-After header, discord.js retryAfter)
+   * @returns {number|null} Delay in ms
+   * @private
+   */
+  getRetryAfter(error) {
+    const telegramRetry = error.response?.data?.parameters?.retry_after;
+    if (telegramRetry !== undefined) {
+      return Number(telegramRetry) * 1000;
+    }
+
+    const header = error.response?.headers?.['retry-after'];
+    if (header !== undefined) {
+      const seconds = Number(header);
+      if (!Number.isNaN(seconds)) {
+        return seconds * 1000;
+      }
+      const date = Date.parse(header);
+      if (!Number.isNaN(date)) {
+        return Math.max(date - Date.now(), 0);
+      }
+    }
+
+    if (typeof error.retryAfter === 'number') {
+      return error.retryAfter;
+    }
+
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  describeError(error) {
+    return {
+      message: error.message,
+      status: error.response?.status ?? error.status,
+      code: error.code,
+      data: error.response?.data,
+      at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Move a job that can't be delivered to the dead-letter store
+   * @private
+   */
+  async moveToDeadLetters(job) {
+    const deadLetter = {
+      ...job,
+      deadLetteredAt: new Date().toISOString()
+    };
+
+    await this.deadLetterStore.set(`dead:${job.id}`, deadLetter);
+    await this.jobStore.delete(`job:${job.id}`);
+    this.stats.deadLettered++;
+
+    logger.error('Delivery moved to dead letters', {
+      jobId: job.id,
+      targetKey: job.targetKey,
+      messageId: job.message?.id,
+      attempts: job.attempts,
+      error: job.lastError?.message,
+      status: job.lastError?.status
+    });
+  }
+
+  /**
+   * List dead letters, oldest first
+   * @returns {Array} Dead letters
+   */
+  async listDeadLetters() {
+    return (await this.deadLetterStore.list('dead:'))
+      .map(entry => entry.value)
+      .sort((a, b) => a.sequence - b.sequence);
+  }
+
+  /**
+   * Get a single dead letter
+   * @param {string} id - Job ID
+   */
+  async getDeadLetter(id) {
+    return this.deadLetterStore.get(`dead:${id}`);
+  }
+
+  /**
+   * Put a dead letter back on its queue
+   * @param {string} id - Job ID
+   * @returns {Object|null} Re-queued job or null if not found
+   */
+  async retryDeadLetter(id) {
+    const deadLetter = await this.getDeadLetter(id);
+    if (!deadLetter) return null;
+
+    await this.deadLetterStore.delete(`dead:${id}`);
+    const job = await this.enqueue(deadLetter.target, deadLetter.message, deadLetter.part);
+
+    logger.info('Dead letter re-queued', { deadLetterId: id, jobId: job.id, targetKey: job.targetKey });
+    return job;
+  }
+
+  /**
+   * Re-queue every dead letter
+   * @returns {number} Number of jobs re-queued
+   */
+  async retryAllDeadLetters() {
+    const deadLetters = await this.listDeadLetters();
+    for (const deadLetter of deadLetters) {
+      await this.retryDeadLetter(deadLetter.id);
+    }
+    return deadLetters.length;
+  }
+
+  /**
+   * Remove a dead letter
+   * @param {string} id - Job ID
+   * @returns {boolean} Whether it existed
+   */
+  async deleteDeadLetter(id) {
+    return this.deadLetterStore.delete(`dead:${id}`);
+  }
+
+  /**
+   * Remove all dead letters
+   * @returns {number} Number of dead letters removed
+   */
+  async purgeDeadLetters() {
+    const deadLetters = await this.listDeadLetters();
+    for (const deadLetter of deadLetters) {
+      await this.deadLetterStore.delete(`dead:${deadLetter.id}`);
+    }
+
+    logger.info('Dead letters purged', { count: deadLetters.length });
+    return deadLetters.length;
+  }
+
+  /**
+   * Get queue statistics
+   */
+  async getStats() {
+    const queues = {};
+    this.queues.forEach((queue, targetKey) => {
+      queues[targetKey] = queue.jobs.length;
+    });
+
+    return {
+      backend: this.jobStore.backend,
+      pending: Object.values(queues).reduce((sum, depth) => sum + depth, 0),
+      queues,
+      deadLetters: await this.deadLetterStore.count(),
+      ...this.stats
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new DeliveryQueueService();
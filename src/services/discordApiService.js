@@ -7,11 +7,39 @@ const { REST } = require('@discordjs/rest');
 const { Routes } = require('discord.js');
 const logger = require('../utils/logger');
 const config = require('../config');
+const { RateLimiter } = require('../utils/rateLimiter');
+const { createStore } = require('../storage');
+const markup = require('../markup');
+
+// Name of the webhooks created in bridged channels
+const WEBHOOK_NAME = 'CometChat Bridge';
+
+// Discord error code for a deleted or invalid webhook
+const UNKNOWN_WEBHOOK = 10015;
 
 class DiscordApiService {
   constructor() {
     this.botToken = config.discord.botToken;
     this.applicationId = config.discord.applicationId;
+
+    // The first segment of a bot token is the base64-encoded bot user ID
+    this.botUserId = this.botToken
+      ? Buffer.from(this.botToken.split('.')[0], 'base64').toString('utf8')
+      : null;
+
+    // Channel webhooks used to post as the original author
+    //   channel:<channelId> -> { id, token }
+    //   webhook:<webhookId> -> { channelId }
+    this.webhookStore = createStore('discord_webhooks');
+    this.webhookRequests = new Map();
+
+    // Proactive limits on top of the REST client's own 429 handling
+    const limits = config.rateLimits.discord;
+    this.rateLimiter = new RateLimiter('discord', {
+      enabled: config.rateLimits.enabled,
+      global: limits.global,
+      perKey: () => limits.channel
+    });
     
     if (!this.botToken) {
       logger.error('Discord bot token not configured');
@@ -31,8 +59,9 @@ class DiscordApiService {
    * Send text message to Discord channel
    * @param {string} channelId - Discord channel ID
    * @param {Object} message - Message object with text and metadata
+   * @param {Object} options - { replyToMessageId } to send as a native reply
    */
-  async sendMessage(channelId, message) {
+  async sendMessage(channelId, message, options = {}) {
     try {
       if (!this.botToken) {
         throw new Error('Discord bot token not configured');
@@ -42,14 +71,16 @@ class DiscordApiService {
       
       const payload = {
         content: messageContent,
-        allowed_mentions: {
-          parse: [] // Disable all mentions to prevent spam
-        }
+        // Only linked users mentioned in the message are pinged
+        allowed_mentions: this.getAllowedMentions(message.allowedUserIds),
+        ...this.getMessageReference(options)
       };
 
-      const response = await this.rest.post(Routes.channelMessages(channelId), {
-        body: payload
-      });
+      const response = await this.rateLimiter.schedule(channelId, () =>
+        this.rest.post(Routes.channelMessages(channelId), {
+          body: payload
+        })
+      );
 
       logger.info('Message sent to Discord', {
         channelId,
@@ -94,9 +125,11 @@ class DiscordApiService {
         }
       };
 
-      const response = await this.rest.post(Routes.channelMessages(channelId), {
-        body: payload
-      });
+      const response = await this.rateLimiter.schedule(channelId, () =>
+        this.rest.post(Routes.channelMessages(channelId), {
+          body: payload
+        })
+      );
 
       logger.info('Embed sent to Discord', {
         channelId,
@@ -122,42 +155,99 @@ class DiscordApiService {
   }
 
   /**
-   * Send file to Discord channel
+   * Upload a file to Discord channel
    * @param {string} channelId - Discord channel ID
-   * @param {string} fileUrl - URL of the file
-   * @param {string} filename - Name of the file
+   * @param {Object} file - { buffer, name, contentType, size }
    * @param {string} content - Optional message content
+   * @param {Object} options - { replyToMessageId } to send as a native reply,
+   *   { allowedUserIds } for users the content may ping
    */
-  async sendFile(channelId, fileUrl, filename, content = '') {
+  async sendFile(channelId, file, content = '', options = {}) {
     try {
       if (!this.botToken) {
         throw new Error('Discord bot token not configured');
       }
 
-      // For now, send as URL in message content
-      // TODO: Implement proper file upload with FormData
-      const messageContent = content ? 
-        `${content}\n${fileUrl}` : 
-        `📎 ${filename}: ${fileUrl}`;
+      const payload = {
+        content,
+        allowed_mentions: this.getAllowedMentions(options.allowedUserIds),
+        ...this.getMessageReference(options)
+      };
+
+      const response = await this.rateLimiter.schedule(channelId, () =>
+        this.rest.post(Routes.channelMessages(channelId), {
+          body: payload,
+          files: [{
+            name: file.name,
+            data: file.buffer,
+            contentType: file.contentType
+          }]
+        })
+      );
+
+      logger.info('File sent to Discord', {
+        channelId,
+        messageId: response.id,
+        name: file.name,
+        size: file.size
+      });
 
-      return await this.sendMessage(channelId, messageContent);
+      return {
+        success: true,
+        messageId: response.id,
+        platform: 'discord',
+        channelId
+      };
 
     } catch (error) {
       logger.error('Failed to send Discord file', {
         channelId,
-        fileUrl,
-        error: error.message
+        name: file.name,
+        error: error.message,
+        status: error.status
       });
 
       throw error;
     }
   }
 
+  /**
+   * Allowed mentions for bridged content
+   * Everything is suppressed except users resolved from linked identities.
+   * @param {Array} userIds - Discord user IDs that may be pinged
+   * @private
+   */
+  getAllowedMentions(userIds = []) {
+    return {
+      parse: [],
+      users: [...new Set(userIds)].slice(0, 100),
+      replied_user: false
+    };
+  }
+
+  /**
+   * Message reference for a native reply
+   * Sending still succeeds if the replied-to message was deleted in the meantime.
+   * @private
+   */
+  getMessageReference(options) {
+    if (!options.replyToMessageId) {
+      return {};
+    }
+
+    return {
+      message_reference: {
+        message_id: String(options.replyToMessageId),
+        fail_if_not_exists: false
+      }
+    };
+  }
+
   /**
    * Edit a message in Discord channel
    * @param {string} channelId - Discord channel ID
    * @param {string} messageId - Message ID to edit
-   * @param {string} content - New message content
+   * @param {string|Object} content - New message content, or a formatted message
    */
   async editMessage(channelId, messageId, content) {
     try {
@@ -166,20 +256,20 @@ class DiscordApiService {
       }
 
       const payload = {
-        content: content,
-        allowed_mentions: {
-          parse: []
-        }
+        content: typeof content === 'string' ? content : content.text,
+        allowed_mentions: this.getAllowedMentions(content.allowedUserIds)
       };
 
-      const response = await this.rest.patch(Routes.channelMessage(channelId, messageId), {
-        body: payload
-      });
+      const response = await this.rateLimiter.schedule(channelId, () =>
+        this.rest.patch(Routes.channelMessage(channelId, messageId), {
+          body: payload
+        })
+      );
 
       logger.info('Discord message edited', {
         channelId,
         messageId,
-        contentLength: content.length
+        contentLength: payload.content.length
       });
 
       return {
@@ -200,6 +290,332 @@ class DiscordApiService {
     }
   }
 
+  /**
+   * Delete a message from Discord channel
+   * @param {string} channelId - Discord channel ID
+   * @param {string} messageId - Message ID to delete
+   */
+  async deleteMessage(channelId, messageId) {
+    try {
+      if (!this.botToken) {
+        throw new Error('Discord bot token not configured');
+      }
+
+      await this.rateLimiter.schedule(channelId, () =>
+        this.rest.delete(Routes.channelMessage(channelId, messageId))
+      );
+
+      logger.info('Discord message deleted', { channelId, messageId });
+
+      return {
+        success: true,
+        messageId,
+        platform: 'discord',
+        channelId
+      };
+
+    } catch (error) {
+      logger.error('Failed to delete Discord message', {
+        channelId,
+        messageId,
+        error: error.message
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Add the bot's reaction to a message
+   * @param {string} channelId - Discord channel ID
+   * @param {string} messageId - Message ID to react to
+   * @param {string} emoji - Unicode emoji
+   */
+  async addReaction(channelId, messageId, emoji) {
+    return this.setOwnReaction(channelId, messageId, emoji, true);
+  }
+
+  /**
+   * Remove the bot's reaction from a message
+   * @param {string} channelId - Discord channel ID
+   * @param {string} messageId - Message ID the reaction is on
+   * @param {string} emoji - Unicode emoji
+   */
+  async removeReaction(channelId, messageId, emoji) {
+    return this.setOwnReaction(channelId, messageId, emoji, false);
+  }
+
+  /**
+   * Add or remove the bot's reaction
+   * @private
+   */
+  async setOwnReaction(channelId, messageId, emoji, present) {
+    try {
+      if (!this.botToken) {
+        throw new Error('Discord bot token not configured');
+      }
+
+      const route = Routes.channelMessageOwnReaction(channelId, messageId, encodeURIComponent(emoji));
+      await this.rateLimiter.schedule(channelId, () =>
+        present ? this.rest.put(route) : this.rest.delete(route)
+      );
+
+      logger.info(present ? 'Discord reaction added' : 'Discord reaction removed', { channelId, messageId, emoji });
+
+      return {
+        success: true,
+        messageId,
+        platform: 'discord',
+        channelId
+      };
+
+    } catch (error) {
+      logger.error(present ? 'Failed to add Discord reaction' : 'Failed to remove Discord reaction', {
+        channelId,
+        messageId,
+        emoji,
+        error: error.message
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the application's global slash commands
+   * @param {Array} commands - Application command definitions
+   */
+  async setApplicationCommands(commands) {
+    try {
+      if (!this.botToken || !this.applicationId) {
+        throw new Error('Discord bot token or application ID not configured');
+      }
+
+      const registered = await this.rest.put(Routes.applicationCommands(this.applicationId), { body: commands });
+      return { success: true, platform: 'discord', commands: registered.length };
+    } catch (error) {
+      logger.error('Failed to register Discord application commands', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the bridge webhook of a channel, reusing or creating it as needed
+   * Needs the Manage Webhooks permission in the channel.
+   * @param {string} channelId - Discord channel ID
+   * @returns {Object} { id, token }
+   */
+  async getChannelWebhook(channelId) {
+    const cached = await this.webhookStore.get(`channel:${channelId}`);
+    if (cached) {
+      return cached;
+    }
+
+    // Concurrent sends to a new channel share one lookup
+    if (!this.webhookRequests.has(channelId)) {
+      const request = this.findOrCreateWebhook(channelId)
+        .finally(() => this.webhookRequests.delete(channelId));
+      this.webhookRequests.set(channelId, request);
+    }
+
+    return this.webhookRequests.get(channelId);
+  }
+
+  /**
+   * @private
+   */
+  async findOrCreateWebhook(channelId) {
+    if (!this.botToken) {
+      throw new Error('Discord bot token not configured');
+    }
+
+    const existing = await this.rateLimiter.schedule(channelId, () =>
+      this.rest.get(Routes.channelWebhooks(channelId))
+    );
+
+    // Reuse one of ours, so a lost cache doesn't pile up webhooks
+    let webhook = existing.find(candidate =>
+      candidate.token &&
+      ((this.applicationId && candidate.application_id === this.applicationId) || candidate.user?.id === this.botUserId)
+    );
+
+    if (!webhook) {
+      webhook = await this.rateLimiter.schedule(channelId, () =>
+        this.rest.post(Routes.channelWebhooks(channelId), {
+          body: { name: WEBHOOK_NAME }
+        })
+      );
+      logger.info('Discord webhook created', { channelId, webhookId: webhook.id });
+    }
+
+    const entry = { id: webhook.id, token: webhook.token };
+    await this.webhookStore.set(`channel:${channelId}`, entry);
+    await this.webhookStore.set(`webhook:${webhook.id}`, { channelId });
+
+    return entry;
+  }
+
+  /**
+   * Whether a webhook is one the bridge posts through
+   * @param {string} webhookId - Discord webhook ID
+   */
+  async isBridgeWebhook(webhookId) {
+    return !!(webhookId && await this.webhookStore.get(`webhook:${webhookId}`));
+  }
+
+  /**
+   * Run a request against a channel's webhook, recreating it once if it was deleted
+   * @private
+   */
+  async withWebhook(channelId, request) {
+    const webhook = await this.getChannelWebhook(channelId);
+
+    try {
+      return await this.rateLimiter.schedule(channelId, () => request(webhook));
+    } catch (error) {
+      if (error.code !== UNKNOWN_WEBHOOK) throw error;
+
+      logger.warn('Discord webhook no longer exists, recreating', { channelId, webhookId: webhook.id });
+      await this.webhookStore.delete(`channel:${channelId}`);
+      await this.webhookStore.delete(`webhook:${webhook.id}`);
+
+      const replacement = await this.getChannelWebhook(channelId);
+      return this.rateLimiter.schedule(channelId, () => request(replacement));
+    }
+  }
+
+  /**
+   * Send a message through the channel webhook, as its original author
+   * Webhook messages can't be native replies; replies use the quoted fallback instead.
+   * @param {string} channelId - Discord channel ID
+   * @param {Object} message - Formatted webhook message (see formatWebhookMessage)
+   * @param {Object|null} file - Optional { buffer, name, contentType, size } to upload
+   */
+  async sendWebhookMessage(channelId, message, file = null) {
+    try {
+      let webhookId;
+      const response = await this.withWebhook(channelId, webhook => {
+        webhookId = webhook.id;
+        return this.rest.post(Routes.webhook(webhook.id, webhook.token), {
+          body: {
+            content: message.text,
+            username: message.username,
+            ...(message.avatarUrl ? { avatar_url: message.avatarUrl } : {}),
+            allowed_mentions: this.getAllowedMentions(message.allowedUserIds)
+          },
+          ...(file ? { files: [{ name: file.name, data: file.buffer, contentType: file.contentType }] } : {}),
+          query: new URLSearchParams({ wait: 'true' }),
+          auth: false
+        });
+      });
+
+      logger.info('Webhook message sent to Discord', {
+        channelId,
+        messageId: response.id,
+        hasFile: !!file
+      });
+
+      return {
+        success: true,
+        messageId: response.id,
+        webhookId,
+        platform: 'discord',
+        channelId
+      };
+
+    } catch (error) {
+      logger.error('Failed to send Discord webhook message', {
+        channelId,
+        error: error.message,
+        status: error.status
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Edit a message sent through a channel webhook
+   * @param {string} channelId - Discord channel ID
+   * @param {string} webhookId - Webhook the message was sent with
+   * @param {string} messageId - Message ID to edit
+   * @param {Object} message - Formatted webhook message
+   */
+  async editWebhookMessage(channelId, webhookId, messageId, message) {
+    try {
+      const webhook = await this.getChannelWebhook(channelId);
+      if (webhook.id !== webhookId) {
+        throw new Error('Message was sent through a webhook that no longer exists');
+      }
+
+      await this.rateLimiter.schedule(channelId, () =>
+        this.rest.patch(Routes.webhookMessage(webhook.id, webhook.token, messageId), {
+          body: {
+            content: message.text,
+            allowed_mentions: this.getAllowedMentions(message.allowedUserIds)
+          },
+          auth: false
+        })
+      );
+
+      logger.info('Discord webhook message edited', { channelId, messageId });
+
+      return {
+        success: true,
+        messageId,
+        platform: 'discord',
+        channelId
+      };
+
+    } catch (error) {
+      logger.error('Failed to edit Discord webhook message', {
+        channelId,
+        messageId,
+        error: error.message
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a message sent through a channel webhook
+   * Falls back to deleting as the bot (needs Manage Messages) if the webhook was replaced.
+   * @param {string} channelId - Discord channel ID
+   * @param {string} webhookId - Webhook the message was sent with
+   * @param {string} messageId - Message ID to delete
+   */
+  async deleteWebhookMessage(channelId, webhookId, messageId) {
+    const webhook = await this.getChannelWebhook(channelId);
+    if (webhook.id !== webhookId) {
+      return this.deleteMessage(channelId, messageId);
+    }
+
+    try {
+      await this.rateLimiter.schedule(channelId, () =>
+        this.rest.delete(Routes.webhookMessage(webhook.id, webhook.token, messageId), { auth: false })
+      );
+
+      logger.info('Discord webhook message deleted', { channelId, messageId });
+
+      return {
+        success: true,
+        messageId,
+        platform: 'discord',
+        channelId
+      };
+
+    } catch (error) {
+      logger.error('Failed to delete Discord webhook message', {
+        channelId,
+        messageId,
+        error: error.message
+      });
+
+      throw error;
+    }
+  }
+
   /**
    * Get channel information
    * @param {string} channelId - Discord channel ID
@@ -217,6 +633,22 @@ class DiscordApiService {
     }
   }
 
+  /**
+   * Get a message from a channel
+   * Attachment URLs in the response are freshly signed by Discord's CDN.
+   * @param {string} channelId - Discord channel ID
+   * @param {string} messageId - Discord message ID
+   */
+  async getMessage(channelId, messageId) {
+    if (!this.rest) {
+      throw new Error('Discord bot token not configured');
+    }
+
+    return this.rateLimiter.schedule(channelId, () =>
+      this.rest.get(Routes.channelMessage(channelId, messageId))
+    );
+  }
+
   /**
    * Test if service is working
    */
@@ -238,13 +670,22 @@ class DiscordApiService {
     }
   }
 
+  /**
+   * Get outbound rate limiter statistics
+   */
+  getStats() {
+    return {
+      rateLimiter: this.rateLimiter.getStats()
+    };
+  }
+
   /**
    * Format message for Discord
    * @param {Object} sourceMessage - Original message
    */
   formatMessage(sourceMessage) {
-    const author = sourceMessage.author.name;
-    const content = sourceMessage.content.text;
+    const author = markup.escape(sourceMessage.author.name, 'discord');
+    const content = markup.convert(sourceMessage, 'discord');
     const sourcePlatform = sourceMessage.source.charAt(0).toUpperCase() + sourceMessage.source.slice(1);
     
     // Format for Discord with platform emoji
@@ -255,20 +696,55 @@ class DiscordApiService {
     };
     
     const emoji = platformEmojis[sourceMessage.source] || '🌐';
-    const formattedContent = `${emoji} **[${sourcePlatform}]** ${author}: ${content}`;
+    // Quotes only render at the start of a line
+    const separator = content.startsWith('> ') ? '\n' : ' ';
+    const formattedContent = `${emoji} **[${sourcePlatform}]** ${author}:${separator}${content}`;
     
     return {
-      text: formattedContent
+      text: formattedContent,
+      allowedUserIds: Object.values(sourceMessage.resolvedMentions || {}).map(account => account.id)
     };
   }
 
+  /**
+   * Format message for posting through a channel webhook
+   * The author's name and avatar replace the bridge header.
+   * @param {Object} sourceMessage - Original message
+   * @returns {Object} { text, username, avatarUrl, allowedUserIds }
+   */
+  formatWebhookMessage(sourceMessage) {
+    const sourcePlatform = sourceMessage.source.charAt(0).toUpperCase() + sourceMessage.source.slice(1);
+    const author = sourceMessage.author.displayName || sourceMessage.author.name || 'Unknown';
+
+    return {
+      text: markup.convert(sourceMessage, 'discord'),
+      username: this.getWebhookUsername(`${author} (${sourcePlatform})`),
+      avatarUrl: sourceMessage.author.avatar || null,
+      allowedUserIds: Object.values(sourceMessage.resolvedMentions || {}).map(account => account.id)
+    };
+  }
+
+  /**
+   * Make a name acceptable as a webhook username
+   * Discord rejects names containing "discord" or "clyde" and anything over 80 characters.
+   * @private
+   */
+  getWebhookUsername(name) {
+    const safe = name
+      .replace(/(disc)(ord)/gi, '$1\u200b$2')
+      .replace(/(cly)(de)/gi, '$1\u200b$2')
+      .trim();
+
+    return Array.from(safe).slice(0, 80).join('') || 'Unknown';
+  }
+
   /**
    * Create embed for rich message display
    * @param {Object} sourceMessage - Original message
    */
   createEmbed(sourceMessage) {
     const author = sourceMessage.author.name;
-    const content = sourceMessage.content.text;
+    const content = markup.convert(sourceMessage, 'discord');
     const sourcePlatform = sourceMessage.source.charAt(0).toUpperCase() + sourceMessage.source.slice(1);
     
     const platformColors = {
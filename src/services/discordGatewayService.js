@@ -4,12 +4,15 @@
  * Follows the same architecture pattern as other services
  */
 
-const { Client, GatewayIntentBits, Events } = require('discord.js');
+const { Client, GatewayIntentBits, Events, Partials, MessageType, MessageFlags } = require('discord.js');
 const logger = require('../utils/logger');
 const config = require('../config');
+const commandService = require('./commandService');
+const markup = require('../markup');
 
 // Import message router for cross-platform messaging
 const messageRouter = require('./messageRouterService');
+const discordApiService = require('./discordApiService');
 
 class DiscordGatewayService {
   constructor() {
@@ -32,8 +35,11 @@ class DiscordGatewayService {
         intents: [
           GatewayIntentBits.Guilds,                    // Access to guild info
           GatewayIntentBits.GuildMessages,             // Read guild messages
+          GatewayIntentBits.GuildMessageReactions,     // Reaction add/remove events
           GatewayIntentBits.MessageContent             // Read message content (REQUIRES PRIVILEGED INTENT)
-        ]
+        ],
+        // Receive edits/deletes/reactions for messages sent before the cache was warm
+        partials: [Partials.Message, Partials.Channel, Partials.Reaction, Partials.User]
       });
 
       // Setup event listeners
@@ -82,6 +88,20 @@ class DiscordGatewayService {
       await this.handleMessageDelete(message);
     });
 
+    // Slash commands
+    this.client.on(Events.InteractionCreate, async (interaction) => {
+      await this.handleInteraction(interaction);
+    });
+
+    // Reaction events
+    this.client.on(Events.MessageReactionAdd, async (reaction, user) => {
+      await this.handleReaction(reaction, user, 'add');
+    });
+
+    this.client.on(Events.MessageReactionRemove, async (reaction, user) => {
+      await this.handleReaction(reaction, user, 'remove');
+    });
+
     // Error handling
     this.client.on('error', (error) => {
       logger.error('Discord Gateway error', { error: error.message });
@@ -99,8 +119,9 @@ class DiscordGatewayService {
    * @param {Object} message - Discord message object
    */
   async handleMessage(message) {
-    // Skip messages from bots to prevent loops
-    if (message.author.bot) {
+    // Our own messages and bridged webhook echoes never need routing; other bots are
+    // filtered by the router
+    if (message.author.id === this.client.user?.id || await discordApiService.isBridgeWebhook(message.webhookId)) {
       return;
     }
 
@@ -139,67 +160,231 @@ class DiscordGatewayService {
       timestamp: message.createdAt
     });
 
-    // Enhanced console log for development with prominent channel/guild IDs
-    console.log(`\n🔥 DISCORD MESSAGE RECEIVED 🔥`);
-    console.log(`� CHANNEL ID: ${message.channel.id}`);
-    console.log(`🏰 GUILD ID: ${message.guild?.id || 'N/A'}`);
-    console.log(`👤 Author: ${message.author.username}#${message.author.discriminator}`);
-    console.log(`💬 Content: ${message.content}`);
-    console.log(`� Channel: ${message.channel.name}`);
-    console.log(`🏠 Guild: ${message.guild?.name || 'DM'}`);
-    console.log(`⏰ Time: ${message.createdAt}`);
-    console.log(`\n🔗 FOR BRIDGE CONFIG:`);
-    console.log(`   channelId: '${message.channel.id}',`);
-    console.log(`   guildId: '${message.guild?.id || 'N/A'}',`);
-    console.log(`=====================================\n`);
+    // Bot commands are answered here and never bridged
+    const invocation = commandService.parse(message.content, 'discord');
+    if (invocation) {
+      await this.handleCommand(message, invocation);
+      return;
+    }
 
     // Route message to other platforms
     await this.routeMessage(message);
   }
 
+  /**
+   * Answer a bot command typed as a message
+   * Private replies are sent by direct message so nobody else in the channel sees them.
+   * @param {Object} message - Discord message object
+   * @param {Object} invocation - { command, args } from the command service
+   */
+  async handleCommand(message, invocation) {
+    const noPings = { parse: [], repliedUser: false };
+
+    try {
+      const reply = await commandService.execute(invocation.command, {
+        platform: 'discord',
+        account: this.getAccount(message.author, message.member),
+        chat: { id: message.channelId, type: message.guild ? 'guild' : 'dm', isPrivate: !message.guild },
+        args: invocation.args
+      });
+      const text = markup.escape(reply.text, 'discord');
+
+      if (!reply.private || !message.guild) {
+        await message.reply({ content: text, allowedMentions: noPings });
+        return;
+      }
+
+      try {
+        await message.author.send(text);
+        await message.reply({ content: 'I sent you the answer in a direct message.', allowedMentions: noPings });
+      } catch (dmError) {
+        await message.reply({
+          content: 'I could not send you a direct message. Allow DMs from server members and try again.',
+          allowedMentions: noPings
+        });
+      }
+
+    } catch (error) {
+      logger.error('Failed to answer Discord command', {
+        command: invocation.command.name,
+        messageId: message.id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Answer a slash command
+   * Private replies are ephemeral, so only the user who ran the command sees them.
+   * @param {Object} interaction - Discord interaction
+   */
+  async handleInteraction(interaction) {
+    if (!interaction.isChatInputCommand()) return;
+
+    const command = commandService.get(interaction.commandName);
+    if (!command) return;
+
+    try {
+      const args = {};
+      interaction.options.data.forEach(option => {
+        args[option.name] = String(option.value);
+      });
+
+      const reply = await commandService.execute(command, {
+        platform: 'discord',
+        account: this.getAccount(interaction.user, interaction.member),
+        chat: { id: interaction.channelId, type: interaction.guildId ? 'guild' : 'dm', isPrivate: !interaction.guildId },
+        args
+      });
+
+      await interaction.reply({
+        content: markup.escape(reply.text, 'discord'),
+        allowedMentions: { parse: [] },
+        ...(reply.private ? { flags: MessageFlags.Ephemeral } : {})
+      });
+
+    } catch (error) {
+      logger.error('Failed to answer Discord slash command', {
+        command: interaction.commandName,
+        interactionId: interaction.id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Command account of a Discord user
+   * @private
+   */
+  getAccount(user, member) {
+    return {
+      platform: 'discord',
+      id: user.id,
+      name: member?.displayName || user.displayName || user.username,
+      username: user.username,
+      avatar: user.displayAvatarURL()
+    };
+  }
+
+  /**
+   * Convert Discord message to standard message format
+   * @param {Object} discordMessage - Discord message object
+   * @param {Object|null} referencedMessage - Message being replied to, if fetched
+   * @returns {Object} Standardized message
+   */
+  toStandardMessage(discordMessage, referencedMessage = null) {
+    return {
+      id: `discord_${discordMessage.id}`,
+      source: 'discord',
+      author: {
+        id: discordMessage.author.id,
+        name: `${discordMessage.author.username}#${discordMessage.author.discriminator}`,
+        displayName: discordMessage.author.displayName || discordMessage.author.username,
+        isBot: discordMessage.author.bot,
+        avatar: discordMessage.author.displayAvatarURL()
+      },
+      content: {
+        text: discordMessage.content,
+        attachments: discordMessage.attachments.size > 0 ? 
+          Array.from(discordMessage.attachments.values()).map(att => ({
+            id: att.id,
+            name: att.name,
+            url: att.url,
+            // CDN URLs expire; these let the media proxy fetch a fresh one later
+            channelId: discordMessage.channelId,
+            messageId: discordMessage.id,
+            size: att.size,
+            contentType: att.contentType
+          })) : [],
+        embeds: discordMessage.embeds.length > 0 ? discordMessage.embeds : [],
+        mentions: this.getMentions(discordMessage)
+      },
+      replyTo: this.getReplyTo(discordMessage, referencedMessage),
+      channel: {
+        id: discordMessage.channel.id,
+        name: discordMessage.channel.name,
+        type: discordMessage.channel.type
+      },
+      guild: discordMessage.guild ? {
+        id: discordMessage.guild.id,
+        name: discordMessage.guild.name
+      } : null,
+      timestamp: discordMessage.createdAt,
+      platform: {
+        messageUrl: `https://discord.com/channels/${discordMessage.guild?.id || '@me'}/${discordMessage.channel.id}/${discordMessage.id}`,
+        applicationId: discordMessage.applicationId || null,
+        webhookId: discordMessage.webhookId || null
+      }
+    };
+  }
+
+  /**
+   * Collect the users, roles and channels a message mentions, with their display names
+   * @param {Object} discordMessage - Discord message object
+   * @returns {Array} Mentions [{ kind, id, name, username }]
+   */
+  getMentions(discordMessage) {
+    const mentions = discordMessage.mentions;
+    if (!mentions) return [];
+
+    const users = Array.from(mentions.users?.values() || []).map(user => {
+      const member = mentions.members?.get(user.id);
+      return {
+        kind: 'user',
+        id: user.id,
+        name: member?.displayName || user.displayName || user.username,
+        username: user.username
+      };
+    });
+    const roles = Array.from(mentions.roles?.values() || []).map(role => ({
+      kind: 'role',
+      id: role.id,
+      name: role.name
+    }));
+    const channels = Array.from(mentions.channels?.values() || []).map(channel => ({
+      kind: 'channel',
+      id: channel.id,
+      name: channel.name
+    }));
+
+    return [...users, ...roles, ...channels];
+  }
+
+  /**
+   * Describe the message a Discord reply refers to
+   * @param {Object} discordMessage - Discord message object
+   * @param {Object|null} referencedMessage - Message being replied to, if fetched
+   * @returns {Object|null} { platform, channelId, messageId, author, text }
+   */
+  getReplyTo(discordMessage, referencedMessage) {
+    // Forwards and crossposts also carry a reference but are not replies
+    if (discordMessage.type !== MessageType.Reply || !discordMessage.reference?.messageId) {
+      return null;
+    }
+
+    return {
+      platform: 'discord',
+      channelId: discordMessage.reference.channelId,
+      messageId: discordMessage.reference.messageId,
+      author: referencedMessage
+        ? referencedMessage.author.displayName || referencedMessage.author.username
+        : null,
+      text: referencedMessage ? referencedMessage.content : null
+    };
+  }
+
   /**
    * Convert Discord message to standard format and route to other platforms
    * @param {Object} discordMessage - Discord message object
    */
   async routeMessage(discordMessage) {
     try {
-      // Convert to standard message format
-      const standardMessage = {
-        id: `discord_${discordMessage.id}`,
-        source: 'discord',
-        author: {
-          id: discordMessage.author.id,
-          name: `${discordMessage.author.username}#${discordMessage.author.discriminator}`,
-          displayName: discordMessage.author.displayName || discordMessage.author.username,
-          isBot: discordMessage.author.bot,
-          avatar: discordMessage.author.displayAvatarURL()
-        },
-        content: {
-          text: discordMessage.content,
-          attachments: discordMessage.attachments.size > 0 ? 
-            Array.from(discordMessage.attachments.values()).map(att => ({
-              id: att.id,
-              name: att.name,
-              url: att.url,
-              size: att.size,
-              contentType: att.contentType
-            })) : [],
-          embeds: discordMessage.embeds.length > 0 ? discordMessage.embeds : []
-        },
-        channel: {
-          id: discordMessage.channel.id,
-          name: discordMessage.channel.name,
-          type: discordMessage.channel.type
-        },
-        guild: discordMessage.guild ? {
-          id: discordMessage.guild.id,
-          name: discordMessage.guild.name
-        } : null,
-        timestamp: discordMessage.createdAt,
-        platform: {
-          messageUrl: `https://discord.com/channels/${discordMessage.guild?.id || '@me'}/${discordMessage.channel.id}/${discordMessage.id}`
-        }
-      };
+      // The replied-to message provides the excerpt used when no bridged copy is known
+      const referencedMessage = discordMessage.type === MessageType.Reply
+        ? await discordMessage.fetchReference().catch(() => null)
+        : null;
+
+      const standardMessage = this.toStandardMessage(discordMessage, referencedMessage);
 
       // Route to message router
       await messageRouter.routeMessage(standardMessage);
@@ -215,24 +400,29 @@ class DiscordGatewayService {
 
   /**
    * Handle message updates
+   * Mirrors the new content to the bridged copies of the message
    */
   async handleMessageUpdate(oldMessage, newMessage) {
     try {
-      // Skip bot messages
-      if (newMessage.author?.bot) return;
+      // Uncached messages arrive as partials; fetch the full message to get author and content
+      if (newMessage.partial) {
+        newMessage = await newMessage.fetch();
+      }
+
+      // Our own edits never need routing; other bots are filtered by the router like new messages
+      if (newMessage.author?.id === this.client.user?.id) return;
+
+      // Embed unfurls also fire updates; only content changes need bridging
+      if (!oldMessage.partial && oldMessage.content === newMessage.content) return;
 
       logger.discord('message_updated', {
         messageId: newMessage.id,
         authorId: newMessage.author?.id,
-        channelId: newMessage.channelId
+        channelId: newMessage.channelId,
+        contentLength: newMessage.content?.length
       });
 
-      console.log('\n✏️ DISCORD MESSAGE EDITED:');
-      console.log(`📝 Message ID: ${newMessage.id}`);
-      console.log(`👤 Author: ${newMessage.author?.username}`);
-      console.log(`📢 Channel: #${newMessage.channel?.name}`);
-      console.log(`📄 New Content: ${newMessage.content}`);
-      console.log('─'.repeat(60));
+      await messageRouter.routeEdit(this.toStandardMessage(newMessage));
 
     } catch (error) {
       logger.error('Error handling Discord message update', { error: error.message });
@@ -241,24 +431,62 @@ class DiscordGatewayService {
 
   /**
    * Handle message deletions
+   * Removes the bridged copies of the message (works for uncached messages too)
    */
   async handleMessageDelete(message) {
     try {
+      // Our own messages are never sources; bridged copies are skipped by the router
+      if (message.author?.id === this.client.user?.id) return;
+
       logger.discord('message_deleted', {
         messageId: message.id,
         channelId: message.channelId
       });
 
-      console.log('\n🗑️ DISCORD MESSAGE DELETED:');
-      console.log(`📝 Message ID: ${message.id}`);
-      console.log(`📢 Channel: #${message.channel?.name}`);
-      console.log('─'.repeat(60));
+      await messageRouter.routeDelete({
+        platform: 'discord',
+        channelId: message.channelId,
+        messageId: message.id
+      });
 
     } catch (error) {
       logger.error('Error handling Discord message delete', { error: error.message });
     }
   }
 
+  /**
+   * Handle a reaction added to or removed from a message
+   * Custom server emoji have no equivalent on other platforms and are not mirrored.
+   * @param {Object} reaction - Discord MessageReaction (may be partial)
+   * @param {Object} user - User who reacted
+   * @param {string} action - 'add' or 'remove'
+   */
+  async handleReaction(reaction, user, action) {
+    try {
+      // Our own mirrored reactions, and other bots', are never sources
+      if (user.bot || user.id === this.client.user?.id) return;
+      if (reaction.emoji.id || !reaction.emoji.name) return;
+
+      logger.discord(action === 'add' ? 'reaction_added' : 'reaction_removed', {
+        messageId: reaction.message.id,
+        channelId: reaction.message.channelId,
+        emoji: reaction.emoji.name
+      });
+
+      await messageRouter.routeReaction({
+        platform: 'discord',
+        channelId: reaction.message.channelId,
+        messageId: reaction.message.id,
+        userId: user.id,
+        emoji: reaction.emoji.name,
+        action
+      });
+
+    } catch (error) {
+      logger.error('Error handling Discord reaction', { error: error.message });
+    }
+  }
+
   /**
    * Send message to Discord channel (for future use)
    */
@@ -5,6 +5,11 @@
 
 const logger = require('../utils/logger');
 const config = require('../config');
+const commandService = require('./commandService');
+const markup = require('../markup');
+
+// Interaction response flag: only the invoking user sees the reply
+const EPHEMERAL = 64;
 
 class DiscordService {
   constructor() {
@@ -54,38 +59,69 @@ class DiscordService {
     return {
       processed: true,
       action: 'ping_verified',
-      type: 'PONG'
+      type: 'PONG',
+      response: { type: 1 } // PONG
     };
   }
 
   /**
    * Handle slash command interactions
+   * Commands come from the shared command registry; the reply is returned as the
+   * interaction response (ephemeral when it is private).
    */
   async handleSlashCommand(webhookData) {
     const { data, member, user, guild_id, channel_id } = webhookData;
     const commandName = data?.name;
+    const invoker = member?.user || user;
 
     logger.discord('slash_command', {
       command: commandName,
-      userId: member?.user?.id || user?.id,
+      userId: invoker?.id,
       guildId: guild_id,
       channelId: channel_id
     });
 
-    switch (commandName) {
-      case 'help':
-        return await this.handleHelpCommand(webhookData);
-      case 'ping':
-        return await this.handlePingCommand(webhookData);
-      case 'chat':
-        return await this.handleChatCommand(webhookData);
-      default:
-        return {
-          processed: true,
-          action: 'unknown_command',
-          command: commandName
-        };
+    const command = commandService.get(commandName);
+    if (!command || !invoker) {
+      return {
+        processed: true,
+        action: 'unknown_command',
+        command: commandName,
+        response: this.createInteractionResponse(4, {
+          content: 'Unknown command.',
+          flags: EPHEMERAL
+        })
+      };
     }
+
+    const args = {};
+    (data.options || []).forEach(option => {
+      args[option.name] = String(option.value);
+    });
+
+    const reply = await commandService.execute(command, {
+      platform: 'discord',
+      account: {
+        platform: 'discord',
+        id: invoker.id,
+        name: member?.nick || invoker.global_name || invoker.username,
+        username: invoker.username,
+        avatar: invoker.avatar ? `https://cdn.discordapp.com/avatars/${invoker.id}/${invoker.avatar}.png` : null
+      },
+      chat: { id: channel_id, type: guild_id ? 'guild' : 'dm', isPrivate: !guild_id },
+      args
+    });
+
+    return {
+      processed: true,
+      action: 'command_processed',
+      command: commandName,
+      response: this.createInteractionResponse(4, { // CHANNEL_MESSAGE_WITH_SOURCE
+        content: markup.escape(reply.text, 'discord'),
+        allowed_mentions: { parse: [] },
+        ...(reply.private ? { flags: EPHEMERAL } : {})
+      })
+    };
   }
 
   /**
@@ -108,7 +144,8 @@ class DiscordService {
       processed: true,
       action: 'message_component_processed',
       customId,
-      componentType
+      componentType,
+      response: { type: 6 } // DEFERRED_UPDATE_MESSAGE (acknowledge without changes)
     };
   }
 
@@ -128,11 +165,14 @@ class DiscordService {
       guildId: guild_id
     });
 
+    const choices = []; // Return autocomplete choices
+
     return {
       processed: true,
       action: 'autocomplete_processed',
       command: commandName,
-      choices: [] // Return autocomplete choices
+      choices,
+      response: this.createInteractionResponse(8, { choices }) // APPLICATION_COMMAND_AUTOCOMPLETE_RESULT
     };
   }
 
@@ -155,79 +195,8 @@ class DiscordService {
     return {
       processed: true,
       action: 'modal_submit_processed',
-      customId
-    };
-  }
-
-  /**
-   * Handle /help command
-   */
-  async handleHelpCommand(webhookData) {
-    logger.discord('help_command', {
-      userId: webhookData.member?.user?.id || webhookData.user?.id,
-      guildId: webhookData.guild_id
-    });
-
-    // TODO: Send help message via Discord API
-    return {
-      processed: true,
-      action: 'help_command_processed',
-      response: {
-        type: 4, // CHANNEL_MESSAGE_WITH_SOURCE
-        data: {
-          content: 'Hello! This is the CometChat Discord integration. Use /ping to test the connection.',
-          flags: 64 // EPHEMERAL
-        }
-      }
-    };
-  }
-
-  /**
-   * Handle /ping command
-   */
-  async handlePingCommand(webhookData) {
-    logger.discord('ping_command', {
-      userId: webhookData.member?.user?.id || webhookData.user?.id,
-      guildId: webhookData.guild_id
-    });
-
-    return {
-      processed: true,
-      action: 'ping_command_processed',
-      response: {
-        type: 4, // CHANNEL_MESSAGE_WITH_SOURCE
-        data: {
-          content: 'Pong! 🏓 CometChat Discord integration is working.',
-          flags: 64 // EPHEMERAL
-        }
-      }
-    };
-  }
-
-  /**
-   * Handle /chat command
-   */
-  async handleChatCommand(webhookData) {
-    const { data } = webhookData;
-    const message = data?.options?.find(opt => opt.name === 'message')?.value;
-
-    logger.discord('chat_command', {
-      userId: webhookData.member?.user?.id || webhookData.user?.id,
-      guildId: webhookData.guild_id,
-      messageLength: message?.length
-    });
-
-    // TODO: Process chat message with CometChat
-    return {
-      processed: true,
-      action: 'chat_command_processed',
-      response: {
-        type: 4, // CHANNEL_MESSAGE_WITH_SOURCE
-        data: {
-          content: `Message received: "${message || 'No message provided'}"\n\nCometChat integration coming soon!`,
-          flags: 64 // EPHEMERAL
-        }
-      }
+      customId,
+      response: { type: 6 } // DEFERRED_UPDATE_MESSAGE (acknowledge without changes)
     };
   }
 
@@ -0,0 +1,412 @@
+/**
+ * Identity Service
+ * Links the accounts one person uses on different platforms, so bridged messages can show
+ * one display name and avatar for them and mentions can be translated between platforms.
+ *
+ * Accounts are linked with a one-time code: `/link` on one platform issues a code that is
+ * redeemed with `/link <code>` on another.
+ *
+ * Keys:
+ *   identity:<identityId>              -> { id, displayName, avatar, accounts: { <platform>: account }, createdAt, updatedAt }
+ *   account:<platform>:<accountId>     -> { identityId }
+ *   username:<platform>:<username>     -> { identityId } (lowercase; Telegram @mentions carry no user ID)
+ *   code:<code>                        -> { account, expiresAt } (expires after linkCodeTtlMinutes)
+ *
+ * An account is { platform, id, name, username, avatar }.
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { createStore } = require('../storage');
+
+// No 0/O or 1/I so codes survive being read aloud or retyped
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+const PLATFORM_NAMES = {
+  discord: 'Discord',
+  telegram: 'Telegram',
+  cometchat: 'CometChat'
+};
+
+class IdentityService {
+  constructor() {
+    this.store = createStore('identities', { backend: config.identities.backend });
+    this.codeTtl = config.identities.linkCodeTtlMinutes * 60 * 1000;
+
+    // Serializes link/unlink so concurrent changes can't split an identity
+    this.queue = Promise.resolve();
+
+    // Drop expired link codes every hour
+    this.cleanupInterval = setInterval(() => {
+      this.cleanup();
+    }, 60 * 60 * 1000);
+    this.cleanupInterval.unref();
+
+    logger.info('Identity service initialized', {
+      backend: this.store.backend,
+      linkCodeTtlMinutes: config.identities.linkCodeTtlMinutes
+    });
+  }
+
+  /**
+   * Get the identity an account belongs to
+   * @param {string} platform - discord, telegram or cometchat
+   * @param {string} accountId - User ID on that platform
+   * @returns {Object|null} Identity
+   */
+  async getIdentity(platform, accountId) {
+    const entry = await this.store.get(`account:${platform}:${accountId}`);
+    return entry ? this.store.get(`identity:${entry.identityId}`) : null;
+  }
+
+  /**
+   * Get an identity by its ID
+   * @param {string} identityId - Identity ID
+   * @returns {Object|null} Identity
+   */
+  async getIdentityById(identityId) {
+    return this.store.get(`identity:${identityId}`);
+  }
+
+  /**
+   * List all identities
+   * @returns {Array} Identities
+   */
+  async listIdentities() {
+    const entries = await this.store.list('identity:');
+    return entries.map(entry => entry.value);
+  }
+
+  /**
+   * Find an identity by username (case-insensitive)
+   * @param {string} platform - Platform the username belongs to
+   * @param {string} username - Username without the leading @
+   * @returns {Object|null} Identity
+   */
+  async findByUsername(platform, username) {
+    const entry = await this.store.get(`username:${platform}:${username.toLowerCase()}`);
+    return entry ? this.store.get(`identity:${entry.identityId}`) : null;
+  }
+
+  /**
+   * Get the account a user has linked on another platform
+   * @param {string} platform - Known account's platform
+   * @param {string} accountId - Known account's user ID
+   * @param {string} targetPlatform - Platform to look up
+   * @returns {Object|null} Account on the target platform
+   */
+  async getLinkedAccount(platform, accountId, targetPlatform) {
+    const identity = await this.getIdentity(platform, accountId);
+    return identity?.accounts[targetPlatform] || null;
+  }
+
+  /**
+   * Get the identity of a message author, keeping the stored account details current
+   * @param {string} platform - Source platform
+   * @param {Object} author - Standardized message author
+   * @returns {Object|null} Identity, or null if the author hasn't linked accounts
+   */
+  async getProfile(platform, author) {
+    const identity = await this.getIdentity(platform, author.id);
+    if (!identity) return null;
+
+    const current = identity.accounts[platform];
+    const latest = this.toAccount({ platform, ...author });
+    if (current && (current.name !== latest.name || current.avatar !== latest.avatar)) {
+      await this.exclusive(async () => {
+        const fresh = await this.getIdentityById(identity.id);
+        if (!fresh?.accounts[platform]) return;
+        fresh.accounts[platform] = { ...fresh.accounts[platform], name: latest.name, avatar: latest.avatar };
+        await this.saveIdentity(fresh);
+      });
+    }
+
+    return identity;
+  }
+
+  /**
+   * Issue a one-time link code for an account
+   * Issuing a new code replaces the account's previous one.
+   * @param {Object} account - Account requesting the code
+   * @returns {Object} { code, expiresAt }
+   */
+  async createLinkCode(account) {
+    const pendingKey = `pending:${account.platform}:${account.id}`;
+    const previous = await this.store.get(pendingKey);
+    if (previous) {
+      await this.store.delete(`code:${previous.code}`);
+    }
+
+    const code = Array.from(crypto.randomBytes(CODE_LENGTH), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    const expiresAt = new Date(Date.now() + this.codeTtl).toISOString();
+
+    await this.store.set(`code:${code}`, { account: this.toAccount(account), expiresAt }, this.codeTtl);
+    await this.store.set(pendingKey, { code }, this.codeTtl);
+
+    logger.info('Link code issued', { platform: account.platform, accountId: account.id });
+    return { code, expiresAt };
+  }
+
+  /**
+   * Redeem a link code, linking the redeeming account with the one that issued the code
+   * @param {string} code - Link code
+   * @param {Object} account - Account redeeming the code
+   * @returns {Object} Resulting identity
+   * @throws {Error} code LINK_CODE_INVALID or LINK_SAME_PLATFORM
+   */
+  async redeemLinkCode(code, account) {
+    const normalized = String(code || '').trim().toUpperCase();
+    const entry = normalized ? await this.store.get(`code:${normalized}`) : null;
+
+    if (!entry) {
+      throw this.createLinkError('LINK_CODE_INVALID', 'Link code is invalid or has expired');
+    }
+    if (entry.account.platform === account.platform) {
+      throw this.createLinkError('LINK_SAME_PLATFORM', 'Link codes must be redeemed on a different platform');
+    }
+
+    await this.store.delete(`code:${normalized}`);
+    await this.store.delete(`pending:${entry.account.platform}:${entry.account.id}`);
+
+    return this.linkAccounts(entry.account, account);
+  }
+
+  /**
+   * Handle a `/link` command from any platform
+   * @param {Object} account - Account that sent the command
+   * @param {string} argument - Text after the command (a code, or empty to request one)
+   * @returns {Object} { text, private } - Reply text, and whether it must only be shown to the sender
+   */
+  async handleLinkCommand(account, argument = '') {
+    if (!argument.trim()) {
+      const { code } = await this.createLinkCode(account);
+      return {
+        private: true,
+        text: `Your link code is ${code}. Within ${config.identities.linkCodeTtlMinutes} minutes, ` +
+          `send "/link ${code}" from your account on another platform to link the two.`
+      };
+    }
+
+    try {
+      const identity = await this.redeemLinkCode(argument, account);
+      const accounts = Object.entries(identity.accounts)
+        .map(([platform, linked]) => `${PLATFORM_NAMES[platform] || platform} (${linked.name || linked.id})`)
+        .join(', ');
+      return { private: false, text: `Accounts linked: ${accounts}.` };
+    } catch (error) {
+      if (!error.code?.startsWith('LINK_')) throw error;
+      return { private: false, text: `${error.message}. Send /link to get a new code.` };
+    }
+  }
+
+  /**
+   * Link two accounts as belonging to the same person
+   * Existing identities of either account are merged; an account already linked on the
+   * same platform is replaced.
+   * @param {Object} first - Account
+   * @param {Object} second - Account
+   * @returns {Object} Resulting identity
+   */
+  async linkAccounts(first, second) {
+    return this.exclusive(async () => {
+      const existing = [
+        await this.getIdentity(first.platform, first.id),
+        await this.getIdentity(second.platform, second.id)
+      ].filter(Boolean);
+
+      const identity = existing[0] || {
+        id: crypto.randomUUID(),
+        displayName: null,
+        avatar: null,
+        accounts: {},
+        createdAt: new Date().toISOString()
+      };
+
+      // Fold a second identity into the first
+      if (existing[1] && existing[1].id !== identity.id) {
+        Object.assign(identity.accounts, existing[1].accounts);
+        await this.store.delete(`identity:${existing[1].id}`);
+      }
+
+      for (const account of [first, second]) {
+        const previous = identity.accounts[account.platform];
+        if (previous && previous.id !== String(account.id)) {
+          await this.removeAccountKeys(account.platform, previous);
+        }
+        identity.accounts[account.platform] = this.toAccount(account);
+      }
+
+      // The account that asked for the code sets the profile until an admin changes it
+      identity.displayName = identity.displayName || first.name || second.name || null;
+      identity.avatar = identity.avatar ||
+        Object.values(identity.accounts).map(account => account.avatar).find(Boolean) || null;
+      identity.updatedAt = new Date().toISOString();
+      await this.saveIdentity(identity);
+
+      logger.info('Accounts linked', {
+        identityId: identity.id,
+        platforms: Object.keys(identity.accounts)
+      });
+
+      return identity;
+    });
+  }
+
+  /**
+   * Remove an account from its identity
+   * @param {string} platform - Account platform
+   * @param {string} accountId - Account user ID
+   * @returns {Object|null} Remaining identity, or null if the account wasn't linked
+   */
+  async unlinkAccount(platform, accountId) {
+    return this.exclusive(async () => {
+      const identity = await this.getIdentity(platform, accountId);
+      if (!identity) return null;
+
+      await this.removeAccountKeys(platform, identity.accounts[platform]);
+      delete identity.accounts[platform];
+
+      // A single account is not a link anymore
+      if (Object.keys(identity.accounts).length < 2) {
+        await this.removeIdentity(identity);
+        return { ...identity, accounts: {} };
+      }
+
+      identity.updatedAt = new Date().toISOString();
+      await this.saveIdentity(identity);
+
+      logger.info('Account unlinked', { identityId: identity.id, platform });
+      return identity;
+    });
+  }
+
+  /**
+   * Delete an identity and unlink all of its accounts
+   * @param {string} identityId - Identity ID
+   * @returns {boolean} Whether the identity existed
+   */
+  async deleteIdentity(identityId) {
+    return this.exclusive(async () => {
+      const identity = await this.getIdentityById(identityId);
+      if (!identity) return false;
+
+      await this.removeIdentity(identity);
+      return true;
+    });
+  }
+
+  /**
+   * Change the display name or avatar shown for an identity
+   * @param {string} identityId - Identity ID
+   * @param {Object} profile - { displayName, avatar }
+   * @returns {Object|null} Updated identity
+   */
+  async updateProfile(identityId, profile) {
+    return this.exclusive(async () => {
+      const identity = await this.getIdentityById(identityId);
+      if (!identity) return null;
+
+      if (profile.displayName !== undefined) identity.displayName = profile.displayName || null;
+      if (profile.avatar !== undefined) identity.avatar = profile.avatar || null;
+      identity.updatedAt = new Date().toISOString();
+
+      await this.store.set(`identity:${identity.id}`, identity);
+      logger.info('Identity profile updated', { identityId });
+      return identity;
+    });
+  }
+
+  /**
+   * @private
+   */
+  toAccount(account) {
+    return {
+      platform: account.platform,
+      id: String(account.id),
+      name: account.displayName || account.name || null,
+      username: account.username || null,
+      avatar: account.avatar || null
+    };
+  }
+
+  /**
+   * @private
+   */
+  async saveIdentity(identity) {
+    await this.store.set(`identity:${identity.id}`, identity);
+
+    for (const [platform, account] of Object.entries(identity.accounts)) {
+      await this.store.set(`account:${platform}:${account.id}`, { identityId: identity.id });
+      if (account.username) {
+        await this.store.set(`username:${platform}:${account.username.toLowerCase()}`, { identityId: identity.id });
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  async removeIdentity(identity) {
+    for (const [platform, account] of Object.entries(identity.accounts)) {
+      await this.removeAccountKeys(platform, account);
+    }
+    await this.store.delete(`identity:${identity.id}`);
+    logger.info('Identity removed', { identityId: identity.id });
+  }
+
+  /**
+   * @private
+   */
+  async removeAccountKeys(platform, account) {
+    if (!account) return;
+    await this.store.delete(`account:${platform}:${account.id}`);
+    if (account.username) {
+      await this.store.delete(`username:${platform}:${account.username.toLowerCase()}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  createLinkError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Run a change after all previously queued changes
+   * @private
+   */
+  exclusive(fn) {
+    const result = this.queue.then(fn);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Remove expired link codes
+   */
+  async cleanup() {
+    try {
+      await this.store.cleanup();
+    } catch (error) {
+      logger.error('Failed to clean up link codes', { error: error.message });
+    }
+  }
+
+  /**
+   * Get identity statistics
+   */
+  async getStats() {
+    return {
+      backend: this.store.backend,
+      identities: (await this.store.list('identity:')).length
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new IdentityService();
@@ -0,0 +1,299 @@
+/**
+ * Message Mapping Service
+ * Remembers which message on each target platform is the bridged copy of a source message,
+ * so edits, deletes, replies and reactions can be mirrored to the right copies later.
+ *
+ * A message reference is { platform, channelId, messageId } where channelId is the
+ * Discord channel, Telegram chat or CometChat group the message lives in.
+ */
+
+const logger = require('../utils/logger');
+const config = require('../config');
+const { createStore } = require('../storage');
+
+class MessageMappingService {
+  constructor() {
+    this.ttl = config.messageMapping.ttlHours * 60 * 60 * 1000;
+    this.store = createStore('message_mappings', {
+      backend: config.messageMapping.backend,
+      ttl: this.ttl
+    });
+
+    // Serializes read-modify-write per source message (targets are delivered in parallel)
+    this.locks = new Map();
+
+    // Drop expired mappings every hour
+    this.cleanupInterval = setInterval(() => {
+      this.cleanup();
+    }, 60 * 60 * 1000);
+    this.cleanupInterval.unref();
+
+    logger.info('Message mapping service initialized', {
+      backend: this.store.backend,
+      ttlHours: config.messageMapping.ttlHours
+    });
+  }
+
+  /**
+   * Build a message reference from a standardized message
+   * @param {Object} message - Standardized message (id is `<platform>_<messageId>`)
+   * @returns {Object} Message reference
+   */
+  getSourceRef(message) {
+    const prefix = `${message.source}_`;
+    const messageId = message.id.startsWith(prefix) ? message.id.slice(prefix.length) : message.id;
+
+    return {
+      platform: message.source,
+      channelId: String(message.channel.id),
+      messageId: String(messageId)
+    };
+  }
+
+  /**
+   * Key identifying a message reference (also used as its store key)
+   * @param {string} platform - Message platform
+   * @param {string} channelId - Channel/chat/group ID
+   * @param {string} messageId - Message ID
+   * @returns {string} `<platform>:<channelId>:<messageId>`
+   */
+  refKey(platform, channelId, messageId) {
+    return `${platform}:${channelId}:${messageId}`;
+  }
+
+  /**
+   * Record that a source message was delivered to a target platform
+   * @param {Object} message - Standardized source message
+   * @param {Object} target - Bridge target (platform + channelId/chatId/groupId)
+   * @param {Object} result - API service result containing messageId
+   * @returns {Object|null} Stored mapping
+   */
+  async recordDelivery(message, target, result) {
+    if (!result || result.messageId === undefined || result.messageId === null) {
+      return null;
+    }
+
+    const source = this.getSourceRef(message);
+    const copy = {
+      platform: target.platform,
+      channelId: String(target.channelId || target.chatId || target.groupId),
+      messageId: String(result.messageId),
+      bridgeId: target.bridgeId,
+      // Discord copies posted through a channel webhook are edited and deleted through it
+      ...(result.webhookId ? { webhookId: String(result.webhookId) } : {}),
+      // CometChat copies sent as a mirrored user are edited and deleted on their behalf
+      ...(result.senderUid ? { senderUid: result.senderUid } : {})
+    };
+
+    return this.addCopy(source, copy);
+  }
+
+  /**
+   * Add a copy to the mapping of a source message
+   * @param {Object} source - Source message reference
+   * @param {Object} copy - Copy message reference
+   * @returns {Object} Stored mapping
+   */
+  async addCopy(source, copy) {
+    const sourceKey = this.refKey(source.platform, source.channelId, source.messageId);
+
+    return this.withLock(sourceKey, async () => {
+      const mapping = (await this.store.get(`source:${sourceKey}`)) || {
+        source,
+        copies: [],
+        createdAt: new Date().toISOString()
+      };
+
+      // Replace an existing copy on the same platform/channel (e.g. after a resend)
+      mapping.copies = mapping.copies.filter(existing =>
+        !(existing.platform === copy.platform && existing.channelId === copy.channelId)
+      );
+      mapping.copies.push(copy);
+
+      await this.store.set(`source:${sourceKey}`, mapping);
+      await this.store.set(`copy:${this.refKey(copy.platform, copy.channelId, copy.messageId)}`, { source });
+
+      logger.debug('Message mapping recorded', {
+        source: sourceKey,
+        copy: this.refKey(copy.platform, copy.channelId, copy.messageId)
+      });
+
+      return mapping;
+    });
+  }
+
+  /**
+   * Get the bridged copies of a source message
+   * @param {string} platform - Source platform
+   * @param {string} channelId - Source channel/chat/group ID
+   * @param {string} messageId - Source message ID
+   * @returns {Array} Copy references (empty if unknown)
+   */
+  async getCopies(platform, channelId, messageId) {
+    const mapping = await this.store.get(`source:${this.refKey(platform, channelId, messageId)}`);
+    return mapping ? mapping.copies : [];
+  }
+
+  /**
+   * Get the original message a bridged copy was created from
+   * @param {string} platform - Copy platform
+   * @param {string} channelId - Copy channel/chat/group ID
+   * @param {string} messageId - Copy message ID
+   * @returns {Object|null} Source message reference
+   */
+  async getOriginal(platform, channelId, messageId) {
+    const entry = await this.store.get(`copy:${this.refKey(platform, channelId, messageId)}`);
+    return entry ? entry.source : null;
+  }
+
+  /**
+   * Find every other message in the same bridged family, whether the given
+   * message is the original or one of its copies
+   * @param {string} platform - Platform of the known message
+   * @param {string} channelId - Channel/chat/group of the known message
+   * @param {string} messageId - Known message ID
+   * @returns {Object|null} { original, related } where related excludes the given message
+   */
+  async findRelated(platform, channelId, messageId) {
+    const key = this.refKey(platform, String(channelId), String(messageId));
+    const original = (await this.store.get(`source:${key}`))
+      ? { platform, channelId: String(channelId), messageId: String(messageId) }
+      : await this.getOriginal(platform, String(channelId), String(messageId));
+
+    if (!original) return null;
+
+    const copies = await this.getCopies(original.platform, original.channelId, original.messageId);
+    const related = [original, ...copies].filter(ref =>
+      this.refKey(ref.platform, ref.channelId, ref.messageId) !== key
+    );
+
+    return { original, related };
+  }
+
+  /**
+   * Find the message that stands for a given message in another chat
+   * @param {Object} ref - Known message { platform, channelId, messageId }
+   * @param {string} platform - Platform of the chat to look in
+   * @param {string} channelId - Channel/chat/group to look in
+   * @returns {Object|null} Reference to the original or copy in that chat
+   */
+  async findInChannel(ref, platform, channelId) {
+    if (ref.platform === platform && String(ref.channelId) === String(channelId)) {
+      return { platform, channelId: String(channelId), messageId: String(ref.messageId) };
+    }
+
+    const family = await this.findRelated(ref.platform, ref.channelId, ref.messageId);
+    return family?.related.find(candidate =>
+      candidate.platform === platform && candidate.channelId === String(channelId)
+    ) || null;
+  }
+
+  /**
+   * Record a reaction added to or removed from a message of a bridged family
+   * Reactions are tracked per original message, keyed by normalized emoji, with the
+   * message each user reacted on, so the router can tell which copies need the bot's reaction.
+   * @param {Object} original - Original message reference of the family
+   * @param {Object} reaction - { emoji, key, userKey, location } (key is the normalized emoji)
+   * @param {string} action - 'add' or 'remove'
+   * @returns {Object} { before, after } reaction state snapshots
+   */
+  async recordReaction(original, reaction, action) {
+    const sourceKey = this.refKey(original.platform, original.channelId, original.messageId);
+
+    return this.withLock(sourceKey, async () => {
+      const before = (await this.store.get(`reactions:${sourceKey}`)) || {};
+      const after = JSON.parse(JSON.stringify(before));
+      const entry = after[reaction.key] || { emoji: reaction.emoji, reactors: {}, updatedAt: null };
+
+      if (action === 'add') {
+        entry.reactors[reaction.userKey] = reaction.location;
+        entry.updatedAt = new Date().toISOString();
+        after[reaction.key] = entry;
+      } else {
+        delete entry.reactors[reaction.userKey];
+        if (Object.keys(entry.reactors).length > 0) {
+          after[reaction.key] = entry;
+        } else {
+          delete after[reaction.key];
+        }
+      }
+
+      if (Object.keys(after).length > 0) {
+        await this.store.set(`reactions:${sourceKey}`, after);
+      } else {
+        await this.store.delete(`reactions:${sourceKey}`);
+      }
+
+      return { before, after };
+    });
+  }
+
+  /**
+   * Remove a source message and all its copies from the store
+   * @param {string} platform - Source platform
+   * @param {string} channelId - Source channel/chat/group ID
+   * @param {string} messageId - Source message ID
+   */
+  async deleteMapping(platform, channelId, messageId) {
+    const sourceKey = this.refKey(platform, channelId, messageId);
+
+    return this.withLock(sourceKey, async () => {
+      const mapping = await this.store.get(`source:${sourceKey}`);
+      if (!mapping) return false;
+
+      for (const copy of mapping.copies) {
+        await this.store.delete(`copy:${this.refKey(copy.platform, copy.channelId, copy.messageId)}`);
+      }
+      await this.store.delete(`source:${sourceKey}`);
+      await this.store.delete(`reactions:${sourceKey}`);
+      return true;
+    });
+  }
+
+  /**
+   * Run a function exclusively for a key
+   * @private
+   */
+  async withLock(key, fn) {
+    const previous = this.locks.get(key) || Promise.resolve();
+    const current = previous.then(() => fn());
+    const settled = current.catch(() => {});
+
+    this.locks.set(key, settled);
+    settled.then(() => {
+      if (this.locks.get(key) === settled) {
+        this.locks.delete(key);
+      }
+    });
+
+    return current;
+  }
+
+  /**
+   * Remove expired mappings
+   */
+  async cleanup() {
+    try {
+      const removed = await this.store.cleanup();
+      if (removed > 0) {
+        logger.info('Cleaned up expired message mappings', { removed });
+      }
+    } catch (error) {
+      logger.error('Failed to clean up message mappings', { error: error.message });
+    }
+  }
+
+  /**
+   * Get mapping statistics
+   */
+  async getStats() {
+    return {
+      backend: this.store.backend,
+      ttlHours: config.messageMapping.ttlHours,
+      sourceMessages: (await this.store.list('source:')).length
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new MessageMappingService();
@@ -5,6 +5,13 @@
 
 const logger = require('../utils/logger');
 const bridgeConfig = require('./bridgeConfigService');
+const messageMapping = require('./messageMappingService');
+const deliveryQueue = require('./deliveryQueueService');
+const attachmentService = require('./attachmentService');
+const identityService = require('./identityService');
+const cometChatMirrorService = require('./cometChatMirrorService');
+const markup = require('../markup');
+const reactionEmoji = require('../utils/reactionEmoji');
 
 // Import API services
 const telegramApiService = require('./telegramApiService');
@@ -17,6 +24,9 @@ class MessageRouterService {
     this.telegramService = telegramApiService;
     this.discordService = discordApiService;
     this.cometChatService = cometChatApiService;
+
+    // Deliveries go through the outbound queue, which retries transient failures
+    deliveryQueue.setDeliveryHandler((target, message, part) => this.sendToTarget(target, message, part));
     
     logger.info('Message router service initialized with API services', {
       telegram: !!this.telegramService,
@@ -31,6 +41,13 @@ class MessageRouterService {
   async getStats() {
     const stats = {
       bridgeConfig: bridgeConfig.getConfigSummary(),
+      messageMapping: await messageMapping.getStats(),
+      deliveryQueue: await deliveryQueue.getStats(),
+      rateLimits: {
+        telegram: this.telegramService.getStats().rateLimiter,
+        discord: this.discordService.getStats().rateLimiter,
+        cometchat: this.cometChatService.getStats().rateLimiter
+      },
       servicesConnected: {
         telegram: !!this.telegramService,
         discord: !!this.discordService,
@@ -73,17 +90,22 @@ class MessageRouterService {
         return;
       }
 
-      // Prevent routing bot messages to avoid loops
-      if (this.isBotMessage(message)) {
-        logger.debug('Skipping bot message to prevent loops', {
+      const sourceId = this.extractPlatformId(message);
+      const settings = bridgeConfig.getBridgeSettings(message.source, sourceId);
+
+      // Prevent loops: never re-bridge what we produced, and honor the bridge's author filters
+      const skipReason = await this.getSkipReason(message, settings);
+      if (skipReason) {
+        logger.debug('Skipping message', {
           platform: message.source,
-          author: message.author.name
+          author: message.author.name,
+          authorId: message.author.id,
+          reason: skipReason
         });
         return;
       }
 
       // Get target platforms for this message
-      const sourceId = this.extractPlatformId(message);
       const targets = bridgeConfig.getTargetPlatforms(message.source, sourceId);
 
       if (targets.length === 0) {
@@ -94,14 +116,20 @@ class MessageRouterService {
         return;
       }
 
-      // Route to each target platform
-      const routingPromises = targets.map(target => 
-        this.sendToTarget(target, message)
-      );
+      // Text and each attachment are separate jobs, so a failed upload retries on its own
+      const parts = this.getDeliveryParts(message, settings);
+      const outgoing = await this.withIdentity(message);
+
+      // Queue for each target platform (delivered in order per target, with retries)
+      const routingPromises = targets.map(async target => {
+        for (const part of parts) {
+          await deliveryQueue.enqueue(target, outgoing, part);
+        }
+      });
 
       await Promise.allSettled(routingPromises);
 
-      logger.info('Message routed successfully', {
+      logger.info('Message queued for delivery', {
         source: message.source,
         sourceId,
         targetCount: targets.length,
@@ -117,58 +145,683 @@ class MessageRouterService {
     }
   }
 
+  /**
+   * Split a message into delivery parts
+   * The text part carries notices for attachments that are not relayed; an attachment-only
+   * message puts the bridge header on its first attachment instead.
+   * @param {Object} message - Standardized message
+   * @param {Object|null} settings - Settings of the bridge the message belongs to
+   * @returns {Array} Parts: { type: 'text', omitted } or { type: 'attachment', index, maxBytes, withHeader }
+   */
+  getDeliveryParts(message, settings) {
+    const attachments = message.content.attachments || [];
+    const maxBytes = attachmentService.getMaxBytes(settings);
+    const relayFiles = settings?.syncFiles !== false;
+    const parts = [];
+    const omitted = [];
+
+    attachments.forEach((attachment, index) => {
+      if (!relayFiles) {
+        omitted.push({ index, reason: 'disabled' });
+      } else if (attachment.size > maxBytes) {
+        omitted.push({ index, reason: 'too_large' });
+      } else {
+        parts.push({ type: 'attachment', index, maxBytes, withHeader: false });
+      }
+    });
+
+    if (message.content.text || omitted.length > 0 || parts.length === 0) {
+      parts.unshift({ type: 'text', omitted });
+    } else {
+      parts[0].withHeader = true;
+    }
+
+    return parts;
+  }
+
   /**
    * Send message to a target platform
+   * Called by the delivery queue; throws on failure so the queue can retry or dead-letter
    * @param {Object} target - Target platform configuration
    * @param {Object} message - Source message
+   * @param {Object|null} part - Delivery part (defaults to the text)
    */
-  async sendToTarget(target, message) {
+  async sendToTarget(target, message, part = null) {
     try {
-      let formattedMessage;
-      let result;
-      
-      switch (target.platform) {
-        case 'discord':
-          formattedMessage = this.discordService.formatMessage(message);
-          result = await this.discordService.sendMessage(target.channelId, formattedMessage);
-          break;
+      // The first part delivered carries the bridge header, the reply and the mapping
+      const isPrimary = !part || part.type === 'text' || part.withHeader;
 
-        case 'telegram':
-          formattedMessage = this.telegramService.formatMessage(message);
-          result = await this.telegramService.sendMessage(target.chatId, formattedMessage);
-          break;
+      // Resolved at delivery time, once earlier messages on this target have been mapped
+      const reply = isPrimary ? await this.resolveReply(message, target, !this.usesWebhooks(target)) : {};
+      const outgoing = await this.resolveMentions(
+        reply.quote ? { ...message, quote: reply.quote } : message,
+        target.platform
+      );
+      const options = { replyToMessageId: reply.replyToMessageId };
 
-        case 'cometchat':
-          formattedMessage = this.cometChatService.formatMessage(message);
-          result = await this.cometChatService.sendMessage(target.groupId, formattedMessage);
-          break;
-
-        default:
-          logger.warn('Unknown target platform', { platform: target.platform });
-          return;
-      }
+      const result = part?.type === 'attachment'
+        ? await this.sendAttachment(target, outgoing, part, options)
+        : await this.sendText(target, this.withAttachmentNotices(outgoing, part?.omitted || []), options);
 
       logger.debug('Message sent to target', {
         platform: target.platform,
         targetId: target.channelId || target.chatId || target.groupId,
-        messageId: result.messageId
+        part: part?.type || 'text',
+        messageId: result?.messageId
       });
 
+      // Remember the copy that carries the header so edits, deletes and reactions can be mirrored later
+      if (isPrimary) {
+        try {
+          await messageMapping.recordDelivery(message, target, result);
+        } catch (mappingError) {
+          logger.error('Failed to record message mapping', {
+            platform: target.platform,
+            messageId: message.id,
+            error: mappingError.message
+          });
+        }
+      }
+
       return result;
 
     } catch (error) {
       logger.error('Failed to send to target platform', {
         platform: target.platform,
         error: error.message,
+        status: error.response?.status ?? error.status,
         targetId: target.channelId || target.chatId || target.groupId
       });
-      
-      // Don't throw error to prevent one platform failure from stopping others
-      return {
-        success: false,
+
+      throw error;
+    }
+  }
+
+  /**
+   * Send the formatted text of a message to a target platform
+   * @param {Object} target - Target platform configuration
+   * @param {Object} message - Source message
+   * @param {Object} options - { replyToMessageId } for a native reply
+   */
+  async sendText(target, message, options = {}) {
+    switch (target.platform) {
+      case 'discord':
+        if (this.usesWebhooks(target)) {
+          return this.discordService.sendWebhookMessage(target.channelId, this.discordService.formatWebhookMessage(message));
+        }
+        return this.discordService.sendMessage(target.channelId, this.discordService.formatMessage(message), options);
+
+      case 'telegram':
+        return this.telegramService.sendMessage(target.chatId, this.telegramService.formatMessage(message), options);
+
+      case 'cometchat': {
+        const senderUid = await this.getCometChatSender(target, message);
+        return this.cometChatService.sendMessage(
+          target.groupId,
+          this.cometChatService.formatMessage(message, { header: !senderUid }),
+          { ...options, senderUid }
+        );
+      }
+
+      default:
+        throw new Error(`Unknown target platform: ${target.platform}`);
+    }
+  }
+
+  /**
+   * Relay one attachment to a target platform
+   * Discord and Telegram get a native upload; CometChat gets a media message that links the file.
+   * Attachments that can't be relayed fall back to a text notice.
+   * @param {Object} target - Target platform configuration
+   * @param {Object} message - Source message
+   * @param {Object} part - Attachment delivery part
+   * @param {Object} options - { replyToMessageId } for a native reply
+   */
+  async sendAttachment(target, message, part, options = {}) {
+    const attachment = message.content.attachments?.[part.index];
+    if (!attachment) {
+      throw new Error(`Attachment ${part.index} not found on message ${message.id}`);
+    }
+
+    // Attachments go out without the message text, which is delivered by the text part
+    const captionSource = { ...message, content: { ...message.content, text: '' } };
+    const sendNotice = reason => this.sendText(target, this.withAttachmentNotices(captionSource, [{ index: part.index, reason }]), options);
+
+    if (target.platform === 'cometchat') {
+      const url = attachmentService.getShareableUrl(attachment, message.source);
+      if (!url) {
+        return sendNotice('unavailable');
+      }
+
+      const senderUid = await this.getCometChatSender(target, message);
+      const caption = this.cometChatService.formatMessage(captionSource, { header: !senderUid });
+      return this.cometChatService.sendMediaMessage(target.groupId, {
+        url,
+        name: attachment.name,
+        contentType: attachment.contentType,
+        size: attachment.size,
+        kind: attachmentService.getKind(attachment)
+      }, part.withHeader ? caption : { text: '', metadata: caption.metadata }, { ...options, senderUid });
+    }
+
+    let file;
+    try {
+      file = await attachmentService.download(attachment, message.source, part.maxBytes);
+    } catch (error) {
+      if (error.code === 'ATTACHMENT_TOO_LARGE') {
+        return sendNotice('too_large');
+      }
+      throw error;
+    }
+
+    switch (target.platform) {
+      case 'discord':
+        if (this.usesWebhooks(target)) {
+          return this.discordService.sendWebhookMessage(
+            target.channelId,
+            this.discordService.formatWebhookMessage(captionSource),
+            file
+          );
+        }
+        return this.discordService.sendFile(
+          target.channelId,
+          file,
+          part.withHeader ? this.discordService.formatMessage(captionSource).text : '',
+          options
+        );
+
+      case 'telegram':
+        return this.telegramService.sendFile(
+          target.chatId,
+          file,
+          part.withHeader ? this.telegramService.formatMessage(captionSource).text : '',
+          options
+        );
+
+      default:
+        throw new Error(`Unknown target platform: ${target.platform}`);
+    }
+  }
+
+  /**
+   * Whether a bridge posts to a Discord target through channel webhooks
+   * @param {Object} target - Target platform configuration
+   */
+  usesWebhooks(target) {
+    return target.platform === 'discord' &&
+      bridgeConfig.getBridge(target.bridgeId)?.settings?.discordWebhooks === true;
+  }
+
+  /**
+   * Get the CometChat user a message is sent as
+   * Bridges with `cometchatMirrorUsers` send as a mirrored user of the author; if that user
+   * can't be provisioned the message still goes out as the bot.
+   * @param {Object} target - Target platform configuration
+   * @param {Object} message - Source message
+   * @returns {string|null} Mirrored user uid, or null to send as the bot
+   */
+  async getCometChatSender(target, message) {
+    if (message.source === 'cometchat' ||
+        bridgeConfig.getBridge(target.bridgeId)?.settings?.cometchatMirrorUsers !== true) {
+      return null;
+    }
+
+    try {
+      return await cometChatMirrorService.ensureUser(message.source, message.author, target.groupId);
+    } catch (error) {
+      logger.warn('Failed to provision mirrored CometChat user, sending as the bot', {
+        platform: message.source,
+        authorId: message.author.id,
+        groupId: target.groupId,
         error: error.message,
-        platform: target.platform
+        status: error.response?.status
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Work out how a reply is shown on a target
+   * @param {Object} message - Source message
+   * @param {Object} target - Target platform configuration
+   * @param {boolean} native - Whether the target message can be a native reply
+   * @returns {Object} { replyToMessageId } for a native reply, { quote } when the replied-to
+   *   message has no counterpart on the target, or {} for a message that is not a reply
+   */
+  async resolveReply(message, target, native = true) {
+    if (!message.replyTo) {
+      return {};
+    }
+
+    const targetId = String(target.channelId || target.chatId || target.groupId);
+
+    try {
+      const counterpart = native && await messageMapping.findInChannel(message.replyTo, target.platform, targetId);
+      if (counterpart) {
+        return { replyToMessageId: counterpart.messageId };
+      }
+    } catch (error) {
+      logger.warn('Failed to look up replied-to message', {
+        messageId: message.id,
+        error: error.message
+      });
+    }
+
+    const { author, text } = message.replyTo;
+    if (!author && !text) {
+      return {};
+    }
+
+    return { quote: { author, text: this.getExcerpt(text) } };
+  }
+
+  /**
+   * Show a linked author with their identity's display name and avatar
+   * @param {Object} message - Source message
+   * @returns {Object} Message with the author updated (and `identityId` set) when linked
+   */
+  async withIdentity(message) {
+    try {
+      const identity = await identityService.getProfile(message.source, message.author);
+      if (!identity) {
+        return message;
+      }
+
+      return {
+        ...message,
+        author: {
+          ...message.author,
+          name: identity.displayName || message.author.name,
+          displayName: identity.displayName || message.author.displayName,
+          avatar: identity.avatar || message.author.avatar,
+          identityId: identity.id
+        }
       };
+    } catch (error) {
+      logger.warn('Failed to look up author identity', {
+        messageId: message.id,
+        error: error.message
+      });
+      return message;
+    }
+  }
+
+  /**
+   * Look up the accounts mentioned users have linked on a target platform
+   * @param {Object} message - Source message
+   * @param {string} targetPlatform - Platform the message is rendered for
+   * @returns {Object} Message with `resolvedMentions` (mention key -> linked account)
+   */
+  async resolveMentions(message, targetPlatform) {
+    const mentions = (message.content?.mentions || []).filter(mention => mention.kind === 'user');
+    if (mentions.length === 0) {
+      return message;
+    }
+
+    const resolvedMentions = {};
+    for (const mention of mentions) {
+      try {
+        const identity = mention.id
+          ? await identityService.getIdentity(message.source, mention.id)
+          : await identityService.findByUsername(message.source, mention.username);
+        const account = identity?.accounts[targetPlatform];
+        if (account) {
+          resolvedMentions[markup.mentionKey(mention)] = account;
+        }
+      } catch (error) {
+        logger.warn('Failed to resolve mention', {
+          messageId: message.id,
+          error: error.message
+        });
+      }
+    }
+
+    return { ...message, resolvedMentions };
+  }
+
+  /**
+   * Shorten replied-to text to a single-line excerpt
+   * @param {string|null} text - Full text
+   * @param {number} maxLength - Maximum excerpt length
+   */
+  getExcerpt(text, maxLength = 100) {
+    const singleLine = (text || '').replace(/\s+/g, ' ').trim();
+    return singleLine.length > maxLength ? `${singleLine.slice(0, maxLength - 1)}…` : singleLine;
+  }
+
+  /**
+   * Append a line per attachment that is not relayed as a file
+   * @param {Object} message - Source message
+   * @param {Array} omitted - [{ index, reason }] with reason disabled, too_large or unavailable
+   * @returns {Object} Message with the notices added to its text
+   */
+  withAttachmentNotices(message, omitted) {
+    if (omitted.length === 0) {
+      return message;
+    }
+
+    const reasons = {
+      disabled: '',
+      too_large: ' (too large to relay)',
+      unavailable: ' (could not be relayed)'
+    };
+
+    const notices = omitted.map(({ index, reason }) => {
+      const attachment = message.content.attachments[index];
+      const url = attachmentService.getShareableUrl(attachment, message.source);
+      return `📎 ${attachment.name || 'file'}${reasons[reason] || ''}${url ? `: ${url}` : ''}`;
+    });
+
+    const text = [message.content.text, ...notices].filter(Boolean).join('\n');
+    return { ...message, content: { ...message.content, text } };
+  }
+
+  /**
+   * Mirror an edited source message to its bridged copies
+   * @param {Object} message - Standardized message with the new content
+   */
+  async routeEdit(message) {
+    try {
+      if (!this.isValidMessage(message)) {
+        logger.warn('Invalid edited message format', { messageId: message?.id });
+        return;
+      }
+
+      // Same filters as new messages: only edits of messages we bridged in the first place
+      const settings = bridgeConfig.getBridgeSettings(message.source, this.extractPlatformId(message));
+      const skipReason = await this.getSkipReason(message, settings);
+      if (skipReason) {
+        logger.debug('Skipping edited message', {
+          platform: message.source,
+          authorId: message.author.id,
+          messageId: message.id,
+          reason: skipReason
+        });
+        return;
+      }
+
+      const source = messageMapping.getSourceRef(message);
+      const copies = await messageMapping.getCopies(source.platform, source.channelId, source.messageId);
+
+      if (copies.length === 0) {
+        logger.debug('No bridged copies found for edited message', { messageId: message.id });
+        return;
+      }
+
+      const outgoing = await this.withIdentity(message);
+      const results = await Promise.allSettled(copies.map(copy => this.editOnTarget(copy, outgoing)));
+
+      logger.info('Message edit routed', {
+        source: message.source,
+        messageId: message.id,
+        copies: copies.length,
+        failed: results.filter(r => r.status === 'rejected').length
+      });
+
+    } catch (error) {
+      logger.error('Message edit routing failed', {
+        messageId: message?.id,
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  }
+
+  /**
+   * Edit a bridged copy on its platform, keeping the bridge header formatting
+   * @param {Object} copy - Copy reference from the message mapping store
+   * @param {Object} message - Standardized source message with the new content
+   */
+  async editOnTarget(copy, message) {
+    try {
+      // Keep the quoted excerpt of a reply that couldn't be sent natively
+      const { quote } = await this.resolveReply(message, copy, !copy.webhookId);
+      if (quote) {
+        message = { ...message, quote };
+      }
+      message = await this.resolveMentions(message, copy.platform);
+
+      switch (copy.platform) {
+        case 'discord':
+          if (copy.webhookId) {
+            return await this.discordService.editWebhookMessage(
+              copy.channelId,
+              copy.webhookId,
+              copy.messageId,
+              this.discordService.formatWebhookMessage(message)
+            );
+          }
+          return await this.discordService.editMessage(
+            copy.channelId,
+            copy.messageId,
+            this.discordService.formatMessage(message)
+          );
+
+        case 'telegram':
+          return await this.telegramService.editMessage(
+            copy.channelId,
+            copy.messageId,
+            this.telegramService.formatMessage(message)
+          );
+
+        case 'cometchat':
+          return await this.cometChatService.editMessage(
+            copy.messageId,
+            this.cometChatService.formatMessage(message, { header: !copy.senderUid }),
+            copy.channelId,
+            copy.senderUid
+          );
+
+        default:
+          logger.warn('Unknown copy platform for edit', { platform: copy.platform });
+          return null;
+      }
+
+    } catch (error) {
+      logger.error('Failed to edit bridged copy', {
+        platform: copy.platform,
+        targetId: copy.channelId,
+        messageId: copy.messageId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the bridged copies of a deleted source message
+   * @param {Object} source - Source reference { platform, channelId, messageId }
+   */
+  async routeDelete(source) {
+    try {
+      // Deleting one of our bridged copies must not cascade; the author is often unknown here,
+      // so provenance comes from the mapping store alone
+      if (await messageMapping.getOriginal(source.platform, String(source.channelId), String(source.messageId))) {
+        logger.debug('Skipping delete of a bridged copy', source);
+        return;
+      }
+
+      const copies = await messageMapping.getCopies(source.platform, String(source.channelId), String(source.messageId));
+
+      if (copies.length === 0) {
+        logger.debug('No bridged copies found for deleted message', source);
+        return;
+      }
+
+      const results = await Promise.allSettled(copies.map(copy => this.deleteOnTarget(copy)));
+
+      await messageMapping.deleteMapping(source.platform, String(source.channelId), String(source.messageId));
+
+      logger.info('Message delete routed', {
+        ...source,
+        copies: copies.length,
+        failed: results.filter(r => r.status === 'rejected').length
+      });
+
+    } catch (error) {
+      logger.error('Message delete routing failed', {
+        ...source,
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  }
+
+  /**
+   * Delete a bridged copy on its platform
+   * @param {Object} copy - Copy reference from the message mapping store
+   */
+  async deleteOnTarget(copy) {
+    try {
+      switch (copy.platform) {
+        case 'discord':
+          return copy.webhookId
+            ? await this.discordService.deleteWebhookMessage(copy.channelId, copy.webhookId, copy.messageId)
+            : await this.discordService.deleteMessage(copy.channelId, copy.messageId);
+
+        case 'telegram':
+          return await this.telegramService.deleteMessage(copy.channelId, copy.messageId);
+
+        case 'cometchat':
+          return await this.cometChatService.deleteMessage(copy.messageId, false, copy.channelId, copy.senderUid);
+
+        default:
+          logger.warn('Unknown copy platform for delete', { platform: copy.platform });
+          return null;
+      }
+
+    } catch (error) {
+      logger.error('Failed to delete bridged copy', {
+        platform: copy.platform,
+        targetId: copy.channelId,
+        messageId: copy.messageId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Mirror a reaction added to or removed from a bridged message
+   * Every message of the family carries the bot's reaction while someone in another chat
+   * reacted with that emoji. Telegram bots only get one reaction per message, so the most
+   * recent emoji Telegram supports is shown there.
+   * @param {Object} reaction - { platform, channelId, messageId, userId, emoji, action: 'add'|'remove' }
+   */
+  async routeReaction(reaction) {
+    const ref = {
+      platform: reaction.platform,
+      channelId: String(reaction.channelId),
+      messageId: String(reaction.messageId)
+    };
+
+    try {
+      const key = reactionEmoji.normalize(reaction.emoji);
+      const family = key ? await messageMapping.findRelated(ref.platform, ref.channelId, ref.messageId) : null;
+
+      if (!family) {
+        logger.debug('No bridged messages found for reaction', ref);
+        return;
+      }
+
+      const location = messageMapping.refKey(ref.platform, ref.channelId, ref.messageId);
+      const { before, after } = await messageMapping.recordReaction(family.original, {
+        emoji: reaction.emoji,
+        key,
+        userKey: `${reaction.platform}:${reaction.userId}`,
+        location
+      }, reaction.action);
+
+      // The original has no bridge of its own; the bridge of the copy reacted on decides for it
+      const copies = await messageMapping.getCopies(family.original.platform, family.original.channelId, family.original.messageId);
+      const reactedBridgeId = copies.find(copy =>
+        messageMapping.refKey(copy.platform, copy.channelId, copy.messageId) === location
+      )?.bridgeId;
+
+      const targets = family.related.filter(target => this.syncsReactions(target.bridgeId || reactedBridgeId));
+      const results = await Promise.allSettled(targets.map(target => this.reactOnTarget(target, before, after)));
+
+      logger.info('Reaction routed', {
+        ...ref,
+        emoji: reaction.emoji,
+        action: reaction.action,
+        targets: targets.length,
+        failed: results.filter(r => r.status === 'rejected').length
+      });
+
+    } catch (error) {
+      logger.error('Reaction routing failed', {
+        ...ref,
+        emoji: reaction.emoji,
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  }
+
+  /**
+   * Whether a bridge mirrors reactions (on unless `syncReactions` is false)
+   * @param {string} bridgeId - Bridge ID
+   */
+  syncsReactions(bridgeId) {
+    return bridgeConfig.getBridge(bridgeId)?.settings?.syncReactions !== false;
+  }
+
+  /**
+   * Bring the bot's reactions on one message of a family in line with the reaction state
+   * @param {Object} ref - Message reference (original or copy)
+   * @param {Object} before - Reaction state before the change
+   * @param {Object} after - Reaction state after the change
+   */
+  async reactOnTarget(ref, before, after) {
+    const location = messageMapping.refKey(ref.platform, ref.channelId, ref.messageId);
+
+    // Emoji someone reacted with outside this message, oldest first, in the platform's form
+    const wanted = state => [...new Set(Object.values(state)
+      .filter(entry => Object.values(entry.reactors).some(reactedOn => reactedOn !== location))
+      .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt))
+      .map(entry => reactionEmoji.toPlatformReaction(entry.emoji, ref.platform))
+      .filter(Boolean))];
+
+    const previous = wanted(before);
+    const next = wanted(after);
+
+    try {
+      if (ref.platform === 'telegram') {
+        const current = previous[previous.length - 1];
+        const latest = next[next.length - 1];
+        if (current === latest) return null;
+        return await this.telegramService.setMessageReaction(ref.channelId, ref.messageId, latest ? [latest] : []);
+      }
+
+      const added = next.filter(emoji => !previous.includes(emoji));
+      const removed = previous.filter(emoji => !next.includes(emoji));
+
+      for (const emoji of added) {
+        if (ref.platform === 'discord') {
+          await this.discordService.addReaction(ref.channelId, ref.messageId, emoji);
+        } else if (ref.platform === 'cometchat') {
+          await this.cometChatService.addReaction(ref.messageId, emoji, ref.channelId);
+        }
+      }
+      for (const emoji of removed) {
+        if (ref.platform === 'discord') {
+          await this.discordService.removeReaction(ref.channelId, ref.messageId, emoji);
+        } else if (ref.platform === 'cometchat') {
+          await this.cometChatService.removeReaction(ref.messageId, emoji, ref.channelId);
+        }
+      }
+
+      return { added, removed };
+
+    } catch (error) {
+      logger.error('Failed to mirror reaction', {
+        platform: ref.platform,
+        targetId: ref.channelId,
+        messageId: ref.messageId,
+        error: error.message
+      });
+      throw error;
     }
   }
 
@@ -222,50 +875,70 @@ class MessageRouterService {
       message.author &&
       message.author.name &&
       message.content &&
-      message.content.text &&
+      (message.content.text || message.content.attachments?.length > 0) &&
       message.channel &&
       message.channel.id
     );
   }
 
   /**
-   * Check if message is from a bot to prevent loops
-   * @param {Object} message - Message to check
+   * Decide whether a message must not be bridged
+   * @param {Object} message - Standardized message
+   * @param {Object|null} settings - Settings of the bridge the message belongs to
+   * @returns {string|null} Reason for skipping, or null to route it
    */
-  isBotMessage(message) {
-    // Enhanced bot detection to prevent routing loops
-    const botNames = [
-      'cometchat bot',
-      'cometchat-bot', 
-      'telegram bot',
-      'discord bot',
-      'bridge bot',
-      'bot'
-    ];
-    
-    const authorName = message.author.name.toLowerCase();
-    const isBotByName = botNames.some(botName => authorName.includes(botName));
-    const isBotByFlag = message.author.isBot === true;
-    
-    // Additional check: if message contains bridge format indicators
-    const messageText = message.content.text.toLowerCase();
-    const hasBridgeFormat = messageText.includes('[cometchat]') || 
-                           messageText.includes('[telegram]') || 
-                           messageText.includes('[discord]');
-    
-    const isBot = isBotByName || isBotByFlag || hasBridgeFormat;
-    
-    if (isBot) {
-      logger.debug('Bot message detected, skipping routing', {
-        platform: message.source,
-        author: message.author.name,
-        isBot: message.author.isBot,
-        hasBridgeFormat,
-        messagePreview: message.content.text.substring(0, 50)
-      });
+  async getSkipReason(message, settings) {
+    if (await this.isOwnMessage(message)) {
+      return 'bridge_message';
     }
-    
-    return isBot;
+
+    const authorKey = `${message.source}:${message.author.id}`;
+    const denyList = settings?.denyList || [];
+    const allowList = settings?.allowList || [];
+
+    if (denyList.includes(authorKey)) {
+      return 'author_denied';
+    }
+
+    // Other bots are bridged unless a bridge opts out with bridgeBots: false (allowList still applies)
+    if (settings?.bridgeBots === false && message.author.isBot === true && !allowList.includes(authorKey)) {
+      return 'bot_not_allowed';
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a message was produced by this bridge
+   * Uses provenance markers rather than author names or message text
+   * @param {Object} message - Standardized message
+   */
+  async isOwnMessage(message) {
+    switch (message.source) {
+      case 'discord':
+        if (message.author.id === this.discordService.botUserId) return true;
+        if (message.platform?.applicationId && message.platform.applicationId === this.discordService.applicationId) return true;
+        if (await this.discordService.isBridgeWebhook(message.platform?.webhookId)) return true;
+        break;
+
+      case 'telegram':
+        if (message.author.id === this.telegramService.botId) return true;
+        break;
+
+      case 'cometchat':
+        if (message.content.metadata?.source === 'bridge') return true;
+        if (message.author.id === this.cometChatService.botUid) return true;
+        if (message.author.id === this.cometChatService.assistantUid) return true;
+        if (cometChatMirrorService.isMirrorUid(message.author.id)) return true;
+        break;
+
+      default:
+        break;
+    }
+
+    // Any message we recorded as a bridged copy
+    const source = messageMapping.getSourceRef(message);
+    return !!(await messageMapping.getOriginal(source.platform, source.channelId, source.messageId));
   }
 }
 
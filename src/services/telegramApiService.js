@@ -4,13 +4,49 @@
  */
 
 const axios = require('axios');
+const FormData = require('form-data');
 const logger = require('../utils/logger');
 const config = require('../config');
+const { RateLimiter } = require('../utils/rateLimiter');
+const markup = require('../markup');
+
+// Upload method and form field per attachment kind
+const UPLOAD_METHODS = {
+  image: { method: 'sendPhoto', field: 'photo' },
+  animation: { method: 'sendAnimation', field: 'animation' },
+  video: { method: 'sendVideo', field: 'video' },
+  audio: { method: 'sendAudio', field: 'audio' },
+  file: { method: 'sendDocument', field: 'document' }
+};
+
+// Telegram rejects photos above 10 MB; larger images go as documents
+const MAX_PHOTO_BYTES = 10 * 1024 * 1024;
+
+// Rate limiter key for requests that don't target a chat (getFile, getMe, setMyCommands)
+const BOT_REQUESTS = 'bot';
 
 class TelegramApiService {
   constructor() {
     this.botToken = config.telegram.botToken;
     this.baseUrl = `https://api.telegram.org/bot${this.botToken}`;
+
+    // The bot's user ID is the part of the token before the colon
+    this.botId = this.botToken ? this.botToken.split(':')[0] : null;
+
+    // Known once getBotInfo() has run (at startup); used to recognize /command@botname
+    this.botUsername = null;
+
+    // Group chats have negative IDs and a much tighter per-chat limit; bot-level requests
+    // only count against the global limit
+    const limits = config.rateLimits.telegram;
+    this.rateLimiter = new RateLimiter('telegram', {
+      enabled: config.rateLimits.enabled,
+      global: limits.global,
+      perKey: chatId => {
+        if (chatId === BOT_REQUESTS) return null;
+        return String(chatId).startsWith('-') ? limits.group : limits.private;
+      }
+    });
     
     if (!this.botToken) {
       logger.error('Telegram bot token not configured');
@@ -26,8 +62,9 @@ class TelegramApiService {
    * Send text message to Telegram chat
    * @param {string} chatId - Telegram chat ID
    * @param {Object} message - Message object with text and metadata
+   * @param {Object} options - { replyToMessageId } to send as a native reply
    */
-  async sendMessage(chatId, message) {
+  async sendMessage(chatId, message, options = {}) {
     try {
       if (!this.botToken) {
         throw new Error('Telegram bot token not configured');
@@ -39,10 +76,13 @@ class TelegramApiService {
         chat_id: chatId,
         text: messageText,
         parse_mode: 'HTML',
-        disable_web_page_preview: true
+        disable_web_page_preview: true,
+        ...this.getReplyParameters(options)
       };
 
-      const response = await axios.post(`${this.baseUrl}/sendMessage`, payload);
+      const response = await this.rateLimiter.schedule(chatId, () =>
+        axios.post(`${this.baseUrl}/sendMessage`, payload)
+      );
 
       logger.info('Message sent to Telegram', {
         chatId,
@@ -69,6 +109,153 @@ class TelegramApiService {
     }
   }
 
+  /**
+   * Edit the text of a message in a Telegram chat
+   * @param {string} chatId - Telegram chat ID
+   * @param {string|number} messageId - Message ID to edit
+   * @param {Object} message - Message object with text and metadata
+   */
+  async editMessage(chatId, messageId, message) {
+    try {
+      if (!this.botToken) {
+        throw new Error('Telegram bot token not configured');
+      }
+
+      const messageText = typeof message === 'string' ? message : message.text;
+
+      const payload = {
+        chat_id: chatId,
+        message_id: Number(messageId),
+        text: messageText,
+        parse_mode: 'HTML',
+        disable_web_page_preview: true
+      };
+
+      await this.rateLimiter.schedule(chatId, () =>
+        axios.post(`${this.baseUrl}/editMessageText`, payload)
+      );
+
+      logger.info('Telegram message edited', {
+        chatId,
+        messageId,
+        textLength: messageText.length
+      });
+
+      return {
+        success: true,
+        messageId,
+        platform: 'telegram',
+        chatId
+      };
+
+    } catch (error) {
+      // Editing to identical content is not a failure for bridging purposes
+      if (error.response?.data?.description?.includes('message is not modified')) {
+        return {
+          success: true,
+          messageId,
+          platform: 'telegram',
+          chatId,
+          unchanged: true
+        };
+      }
+
+      logger.error('Failed to edit Telegram message', {
+        chatId,
+        messageId,
+        error: error.message,
+        status: error.response?.status,
+        data: error.response?.data
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a message from a Telegram chat
+   * @param {string} chatId - Telegram chat ID
+   * @param {string|number} messageId - Message ID to delete
+   */
+  async deleteMessage(chatId, messageId) {
+    try {
+      if (!this.botToken) {
+        throw new Error('Telegram bot token not configured');
+      }
+
+      await this.rateLimiter.schedule(chatId, () =>
+        axios.post(`${this.baseUrl}/deleteMessage`, {
+          chat_id: chatId,
+          message_id: Number(messageId)
+        })
+      );
+
+      logger.info('Telegram message deleted', { chatId, messageId });
+
+      return {
+        success: true,
+        messageId,
+        platform: 'telegram',
+        chatId
+      };
+
+    } catch (error) {
+      logger.error('Failed to delete Telegram message', {
+        chatId,
+        messageId,
+        error: error.message,
+        status: error.response?.status,
+        data: error.response?.data
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Set the bot's reaction on a message
+   * Bots can have one reaction per message, from Telegram's fixed set of emoji.
+   * @param {string} chatId - Telegram chat ID
+   * @param {string|number} messageId - Message ID to react to
+   * @param {Array} emojis - Emoji to react with (empty to remove the reaction)
+   */
+  async setMessageReaction(chatId, messageId, emojis = []) {
+    try {
+      if (!this.botToken) {
+        throw new Error('Telegram bot token not configured');
+      }
+
+      await this.rateLimiter.schedule(chatId, () =>
+        axios.post(`${this.baseUrl}/setMessageReaction`, {
+          chat_id: chatId,
+          message_id: Number(messageId),
+          reaction: emojis.map(emoji => ({ type: 'emoji', emoji }))
+        })
+      );
+
+      logger.info('Telegram reaction set', { chatId, messageId, emojis });
+
+      return {
+        success: true,
+        messageId,
+        platform: 'telegram',
+        chatId
+      };
+
+    } catch (error) {
+      logger.error('Failed to set Telegram reaction', {
+        chatId,
+        messageId,
+        emojis,
+        error: error.message,
+        status: error.response?.status,
+        data: error.response?.data
+      });
+
+      throw error;
+    }
+  }
+
   /**
    * Send photo to Telegram chat
    * @param {string} chatId - Telegram chat ID
@@ -88,7 +275,9 @@ class TelegramApiService {
         parse_mode: 'HTML'
       };
 
-      const response = await axios.post(`${this.baseUrl}/sendPhoto`, payload);
+      const response = await this.rateLimiter.schedule(chatId, () =>
+        axios.post(`${this.baseUrl}/sendPhoto`, payload)
+      );
 
       logger.info('Photo sent to Telegram', {
         chatId,
@@ -133,7 +322,9 @@ class TelegramApiService {
         parse_mode: 'HTML'
       };
 
-      const response = await axios.post(`${this.baseUrl}/sendDocument`, payload);
+      const response = await this.rateLimiter.schedule(chatId, () =>
+        axios.post(`${this.baseUrl}/sendDocument`, payload)
+      );
 
       logger.info('Document sent to Telegram', {
         chatId,
@@ -159,12 +350,117 @@ class TelegramApiService {
     }
   }
 
+  /**
+   * Upload a file to Telegram chat using the method that matches its kind
+   * @param {string} chatId - Telegram chat ID
+   * @param {Object} file - { buffer, name, contentType, size, kind }
+   * @param {string} caption - Caption (HTML)
+   * @param {Object} options - { replyToMessageId } to send as a native reply
+   */
+  async sendFile(chatId, file, caption = '', options = {}) {
+    try {
+      if (!this.botToken) {
+        throw new Error('Telegram bot token not configured');
+      }
+
+      let kind = file.kind;
+      if (file.contentType === 'image/gif') {
+        kind = 'animation';
+      } else if (kind === 'image' && file.size > MAX_PHOTO_BYTES) {
+        kind = 'file';
+      }
+      const { method, field } = UPLOAD_METHODS[kind] || UPLOAD_METHODS.file;
+
+      // A form stream can only be sent once, so it is built inside the scheduled request
+      const response = await this.rateLimiter.schedule(chatId, () => {
+        const form = new FormData();
+        form.append('chat_id', String(chatId));
+        form.append(field, file.buffer, { filename: file.name, contentType: file.contentType });
+        if (caption) {
+          form.append('caption', caption);
+          form.append('parse_mode', 'HTML');
+        }
+        Object.entries(this.getReplyParameters(options)).forEach(([key, value]) =>
+          form.append(key, JSON.stringify(value))
+        );
+
+        return axios.post(`${this.baseUrl}/${method}`, form, {
+          headers: form.getHeaders(),
+          maxBodyLength: Infinity
+        });
+      });
+
+      logger.info('File sent to Telegram', {
+        chatId,
+        messageId: response.data.result.message_id,
+        method,
+        name: file.name,
+        size: file.size
+      });
+
+      return {
+        success: true,
+        messageId: response.data.result.message_id,
+        platform: 'telegram',
+        chatId
+      };
+
+    } catch (error) {
+      logger.error('Failed to send Telegram file', {
+        chatId,
+        name: file.name,
+        error: error.message,
+        status: error.response?.status,
+        data: error.response?.data
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Reply parameters for a send request
+   * Sending still succeeds if the replied-to message was deleted in the meantime.
+   * @private
+   */
+  getReplyParameters(options) {
+    if (!options.replyToMessageId) {
+      return {};
+    }
+
+    return {
+      reply_parameters: {
+        message_id: Number(options.replyToMessageId),
+        allow_sending_without_reply: true
+      }
+    };
+  }
+
+  /**
+   * Get a download URL for a file sent to the bot
+   * The URL contains the bot token and must not be shared or logged.
+   * @param {string} fileId - Telegram file_id
+   */
+  async getFileUrl(fileId) {
+    if (!this.botToken) {
+      throw new Error('Telegram bot token not configured');
+    }
+
+    const response = await this.rateLimiter.schedule(BOT_REQUESTS, () =>
+      axios.post(`${this.baseUrl}/getFile`, { file_id: fileId })
+    );
+    return `https://api.telegram.org/file/bot${this.botToken}/${response.data.result.file_path}`;
+  }
+
   /**
    * Get bot information
    */
   async getBotInfo() {
     try {
-      const response = await axios.get(`${this.baseUrl}/getMe`);
+      const response = await this.rateLimiter.schedule(BOT_REQUESTS, () =>
+        axios.get(`${this.baseUrl}/getMe`)
+      );
+      this.botUsername = response.data.result.username;
       return response.data.result;
     } catch (error) {
       logger.error('Failed to get Telegram bot info', {
@@ -174,6 +470,30 @@ class TelegramApiService {
     }
   }
 
+  /**
+   * Set the command list shown in Telegram's command menu
+   * @param {Array} commands - [{ command, description }]
+   */
+  async setMyCommands(commands) {
+    try {
+      if (!this.botToken) {
+        throw new Error('Telegram bot token not configured');
+      }
+
+      await this.rateLimiter.schedule(BOT_REQUESTS, () =>
+        axios.post(`${this.baseUrl}/setMyCommands`, { commands })
+      );
+      return { success: true, platform: 'telegram', commands: commands.length };
+    } catch (error) {
+      logger.error('Failed to set Telegram bot commands', {
+        error: error.message,
+        status: error.response?.status,
+        data: error.response?.data
+      });
+      throw error;
+    }
+  }
+
   /**
    * Test if service is working
    */
@@ -193,16 +513,25 @@ class TelegramApiService {
     }
   }
 
+  /**
+   * Get outbound rate limiter statistics
+   */
+  getStats() {
+    return {
+      rateLimiter: this.rateLimiter.getStats()
+    };
+  }
+
   /**
    * Format message for Telegram (HTML parsing)
    * @param {Object} sourceMessage - Original message
    */
   formatMessage(sourceMessage) {
-    const author = sourceMessage.author.name;
-    const content = sourceMessage.content.text;
+    const author = markup.escape(sourceMessage.author.name, 'telegram');
+    const content = markup.convert(sourceMessage, 'telegram');
     const sourcePlatform = sourceMessage.source.charAt(0).toUpperCase() + sourceMessage.source.slice(1);
     
-    // Basic HTML formatting for Telegram
+    // User text is converted from the source markup and escaped for HTML parse mode
     const formattedContent = `<b>[${sourcePlatform}]</b> <i>${author}:</i>\n${content}`;
     
     return {
@@ -5,6 +5,9 @@
 
 const logger = require('../utils/logger');
 const config = require('../config');
+const commandService = require('./commandService');
+const telegramApiService = require('./telegramApiService');
+const markup = require('../markup');
 
 class TelegramService {
   constructor() {
@@ -16,12 +19,20 @@ class TelegramService {
    */
   async processWebhook(webhookData) {
     try {
-      const { update_id, message, callback_query } = webhookData;
+      const { update_id, message, edited_message, message_reaction, callback_query } = webhookData;
 
       if (message) {
         return await this.handleMessage(message);
       }
 
+      if (edited_message) {
+        return await this.handleEditedMessage(edited_message);
+      }
+
+      if (message_reaction) {
+        return await this.handleMessageReaction(message_reaction);
+      }
+
       if (callback_query) {
         return await this.handleCallbackQuery(callback_query);
       }
@@ -64,6 +75,51 @@ class TelegramService {
     };
   }
 
+  /**
+   * Handle edited Telegram message
+   * Bridged copies are updated by the controller through the message router
+   */
+  async handleEditedMessage(message) {
+    const { message_id, from, chat, text, edit_date } = message;
+
+    logger.telegram('message_edited', {
+      messageId: message_id,
+      fromId: from?.id,
+      chatId: chat?.id,
+      editDate: edit_date,
+      textPreview: text?.substring(0, 50) + (text?.length > 50 ? '...' : '')
+    });
+
+    return {
+      processed: true,
+      messageId: message_id,
+      action: 'edited_message_processed'
+    };
+  }
+
+  /**
+   * Handle a change to a user's reactions on a message
+   * Only delivered when the bot is an administrator and `message_reaction` is in allowed_updates.
+   * Reactions are mirrored by the controller through the message router
+   */
+  async handleMessageReaction(messageReaction) {
+    const { message_id, chat, user, actor_chat, old_reaction, new_reaction } = messageReaction;
+
+    logger.telegram('message_reaction', {
+      messageId: message_id,
+      chatId: chat?.id,
+      fromId: user?.id || actor_chat?.id,
+      oldReaction: old_reaction?.length || 0,
+      newReaction: new_reaction?.length || 0
+    });
+
+    return {
+      processed: true,
+      messageId: message_id,
+      action: 'message_reaction_processed'
+    };
+  }
+
   /**
    * Handle text message
    */
@@ -85,6 +141,7 @@ class TelegramService {
 
   /**
    * Handle Telegram commands
+   * Registered commands are answered here; the controller keeps them from being bridged.
    */
   async handleCommand(message) {
     const { text, from, chat } = message;
@@ -96,53 +153,70 @@ class TelegramService {
       chatId: chat?.id
     });
 
-    switch (command) {
-      case '/start':
-        return await this.handleStartCommand(message);
-      case '/help':
-        return await this.handleHelpCommand(message);
-      default:
-        return {
-          processed: true,
-          messageId: message.message_id,
-          action: 'unknown_command',
-          command
-        };
+    const invocation = commandService.parse(text, 'telegram');
+    if (!invocation || !from) {
+      return {
+        processed: true,
+        messageId: message.message_id,
+        action: 'unknown_command',
+        command
+      };
     }
-  }
 
-  /**
-   * Handle /start command
-   */
-  async handleStartCommand(message) {
-    logger.telegram('start_command', {
-      fromId: message.from?.id,
-      chatId: message.chat?.id
-    });
+    try {
+      const reply = await commandService.execute(invocation.command, {
+        platform: 'telegram',
+        account: {
+          platform: 'telegram',
+          id: from.id.toString(),
+          name: `${from.first_name} ${from.last_name || ''}`.trim(),
+          username: from.username
+        },
+        chat: { id: chat.id.toString(), type: chat.type, isPrivate: chat.type === 'private' },
+        args: invocation.args
+      });
+
+      await this.sendCommandReply(message, reply);
+
+    } catch (error) {
+      logger.error('Failed to answer Telegram command', {
+        command,
+        messageId: message.message_id,
+        error: error.message
+      });
+    }
 
-    // TODO: Send welcome message via Telegram API
     return {
       processed: true,
       messageId: message.message_id,
-      action: 'start_command_processed'
+      action: 'command_processed',
+      command: invocation.command.name
     };
   }
 
   /**
-   * Handle /help command
+   * Send a command reply
+   * Private replies to group commands go to the user's private chat with the bot, which
+   * only works once they have started it.
+   * @param {Object} message - Telegram message with the command
+   * @param {Object} reply - { text, private }
    */
-  async handleHelpCommand(message) {
-    logger.telegram('help_command', {
-      fromId: message.from?.id,
-      chatId: message.chat?.id
-    });
+  async sendCommandReply(message, reply) {
+    const { chat, from } = message;
+    let text = reply.text;
 
-    // TODO: Send help message via Telegram API
-    return {
-      processed: true,
-      messageId: message.message_id,
-      action: 'help_command_processed'
-    };
+    if (reply.private && chat.type !== 'private') {
+      try {
+        await telegramApiService.sendMessage(from.id, markup.escape(text, 'telegram'));
+        text = 'I sent you the answer in a private message.';
+      } catch (error) {
+        text = 'I could not send you a private message. Start a private chat with me and send the command there.';
+      }
+    }
+
+    await telegramApiService.sendMessage(chat.id, markup.escape(text, 'telegram'), {
+      replyToMessageId: message.message_id
+    });
   }
 
   /**
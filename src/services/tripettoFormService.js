@@ -0,0 +1,267 @@
+/**
+ * Tripetto Form Service
+ * Registry of Tripetto workflows loaded from a directory (config.tripetto.formsDir) holding
+ * Tripetto Studio exports and a manifest:
+ *
+ *   manifest.json (or manifest.yaml)
+ *   {
+ *     "forms": [
+ *       {
+ *         "id": "chronious-care",
+ *         "name": "ChroniusCare Virtual Assistant",
+ *         "trigger": "/care",                 // command that starts the workflow
+ *         "description": "...",
+ *         "channels": ["cometchat"],          // platforms the trigger works on (only cometchat so far)
+ *         "file": "chronious-care.json",      // optional, defaults to <id>.json
+ *         "enabled": true                     // optional
+ *       }
+ *     ]
+ *   }
+ *
+ * The manifest and every export are validated on each load. The directory is reloaded
+ * when it changes on disk, on SIGHUP or via the admin API; an invalid edit is rejected
+ * and the previous forms keep running. Conversations already in progress keep the
+ * definition they started with.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const YAML = require('yaml');
+const logger = require('../utils/logger');
+const Validator = require('../utils/validator');
+const config = require('../config');
+
+const MANIFEST_FILES = ['manifest.json', 'manifest.yaml', 'manifest.yml'];
+
+class TripettoFormService extends EventEmitter {
+  constructor() {
+    super();
+
+    this.formsDir = path.resolve(config.tripetto.formsDir);
+    this.forms = new Map();
+    this.loadedAt = null;
+    this.lastError = null;
+    this.watcher = null;
+    this.reloadTimer = null;
+
+    try {
+      this.load();
+    } catch (error) {
+      // Nothing to fall back to on startup; run without workflows until the directory is fixed
+      logger.error('Tripetto forms could not be loaded, no workflows available', {
+        formsDir: this.formsDir,
+        error: error.message,
+        errors: error.errors
+      });
+    }
+  }
+
+  /**
+   * Read and validate the manifest and the form exports it lists
+   * @returns {Map} Validated forms by id
+   * @private
+   */
+  readForms() {
+    const manifestFile = MANIFEST_FILES.find(file => fs.existsSync(path.join(this.formsDir, file)));
+    if (!manifestFile) {
+      throw new Error(`No manifest found in ${this.formsDir} (expected ${MANIFEST_FILES.join(' or ')})`);
+    }
+
+    let manifest;
+    try {
+      const raw = fs.readFileSync(path.join(this.formsDir, manifestFile), 'utf8');
+      manifest = manifestFile.endsWith('.json') ? JSON.parse(raw) : YAML.parse(raw);
+    } catch (error) {
+      throw new Error(`${manifestFile}: ${error.message}`);
+    }
+
+    const validation = Validator.validateTripettoManifest(manifest);
+    const errors = validation.errors.map(error => `${manifestFile}: ${error}`);
+    const forms = new Map();
+
+    if (validation.isValid) {
+      manifest.forms.forEach(entry => {
+        const file = entry.file || `${entry.id}.json`;
+        let definition;
+
+        try {
+          definition = JSON.parse(fs.readFileSync(path.join(this.formsDir, file), 'utf8'));
+        } catch (error) {
+          errors.push(`${file}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`);
+          return;
+        }
+
+        const formValidation = Validator.validateTripettoForm(definition);
+        if (!formValidation.isValid) {
+          errors.push(...formValidation.errors.map(error => `${file}: ${error}`));
+          return;
+        }
+
+        forms.set(entry.id, {
+          id: entry.id,
+          name: entry.name,
+          trigger: entry.trigger,
+          description: entry.description || '',
+          channels: entry.channels,
+          enabled: entry.enabled !== false,
+          file,
+          definition
+        });
+      });
+    }
+
+    if (errors.length > 0) {
+      const error = new Error(`Invalid Tripetto forms: ${errors.join('; ')}`);
+      error.name = 'ValidationError';
+      error.errors = errors;
+      throw error;
+    }
+
+    return forms;
+  }
+
+  /**
+   * Load forms from the forms directory
+   * Throws (leaving the current forms untouched) if the manifest or any export is invalid
+   */
+  load() {
+    const forms = this.readForms();
+
+    this.forms = forms;
+    this.loadedAt = new Date();
+    this.lastError = null;
+
+    logger.info('Tripetto forms loaded', {
+      formsDir: this.formsDir,
+      forms: [...this.forms.keys()],
+      triggers: this.getAvailableTriggers()
+    });
+
+    this.emit('reloaded', this.getAllForms());
+    return this.getAllForms();
+  }
+
+  /**
+   * Reload forms, keeping the previous good set on failure
+   * @returns {boolean} Whether the new forms were applied
+   */
+  reload() {
+    try {
+      this.load();
+      return true;
+    } catch (error) {
+      this.lastError = {
+        message: error.message,
+        errors: error.errors || [],
+        at: new Date().toISOString()
+      };
+
+      logger.error('Rejected Tripetto forms, keeping previous forms', {
+        formsDir: this.formsDir,
+        errors: error.errors || [error.message],
+        activeForms: this.forms.size
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Watch the forms directory and reload when an export or the manifest changes
+   */
+  watch() {
+    if (this.watcher) return;
+
+    try {
+      this.watcher = fs.watch(this.formsDir, (eventType, changedFile) => {
+        if (changedFile && !/\.(json|ya?ml)$/i.test(changedFile)) return;
+
+        // Publishing usually touches several files; reload once they settle
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => {
+          logger.info('Tripetto forms changed, reloading', { formsDir: this.formsDir, changedFile });
+          this.reload();
+        }, 500);
+      });
+      this.watcher.unref();
+
+      logger.info('Watching Tripetto forms directory', { formsDir: this.formsDir });
+    } catch (error) {
+      this.watcher = null;
+      logger.error('Failed to watch Tripetto forms directory', {
+        formsDir: this.formsDir,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Stop watching the forms directory
+   */
+  stopWatching() {
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  /**
+   * Get an enabled form by id
+   * @param {string} formId - Form identifier
+   * @returns {Object|null} Form or null
+   */
+  getFormDefinition(formId) {
+    const form = this.forms.get(formId);
+    return form && form.enabled ? form : null;
+  }
+
+  /**
+   * Get all forms, including disabled ones
+   * @returns {Array} Forms
+   */
+  getAllForms() {
+    return [...this.forms.values()];
+  }
+
+  /**
+   * Get the enabled form started by a trigger command
+   * @param {string} trigger - Trigger command (e.g., "/care")
+   * @param {string} channel - Platform the command was sent on; any platform when omitted
+   * @returns {Object|null} Form or null if not found
+   */
+  getFormByTrigger(trigger, channel = null) {
+    const command = String(trigger || '').toLowerCase();
+    return this.getAllForms().find(form =>
+      form.enabled &&
+      form.trigger.toLowerCase() === command &&
+      (!channel || form.channels.includes(channel))
+    ) || null;
+  }
+
+  /**
+   * Get the trigger commands of the enabled forms
+   * @param {string} channel - Only forms available on this platform
+   * @returns {Array} Trigger commands
+   */
+  getAvailableTriggers(channel = null) {
+    return this.getAllForms()
+      .filter(form => form.enabled && (!channel || form.channels.includes(channel)))
+      .map(form => form.trigger);
+  }
+
+  /**
+   * Get forms summary (without the definitions)
+   */
+  getSummary() {
+    return {
+      formsDir: this.formsDir,
+      loadedAt: this.loadedAt,
+      lastError: this.lastError,
+      forms: this.getAllForms().map(({ definition, ...form }) => form)
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new TripettoFormService();
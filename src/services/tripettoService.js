@@ -5,7 +5,8 @@
 
 const logger = require('../utils/logger');
 const conversationStateService = require('./conversationStateService');
-const { getFormDefinition, getFormByTrigger, getAvailableTriggers } = require('../config/tripettoForms');
+const tripettoBlocks = require('../tripetto/blocks');
+const tripettoFormService = require('./tripettoFormService');
 
 class TripettoService {
   constructor() {
@@ -23,64 +24,84 @@ class TripettoService {
    */
   async startWorkflow(userId, formId = null, trigger = null) {
     try {
-      // Check if user already has an active conversation
-      const existingState = conversationStateService.getConversation(userId);
-      if (existingState && existingState.isActive) {
-        return {
-          type: 'error',
-          message: `You already have an active workflow. Type 'cancel' to start a new one.`,
-          currentForm: existingState.formId
-        };
-      }
-
-      // Determine form to use
-      let form;
-      if (trigger) {
-        form = getFormByTrigger(trigger);
-        if (!form) {
+      // Serialized with the user's other workflow changes, like processUserResponse
+      return await conversationStateService.withLock(userId, async () => {
+        // Check if user already has an active conversation
+        const existingState = await conversationStateService.getConversation(userId);
+        if (existingState && existingState.isActive) {
           return {
             type: 'error',
-            message: `Unknown command: ${trigger}`,
-            availableCommands: getAvailableTriggers()
+            message: `You already have an active workflow. Type 'cancel' to start a new one.`,
+            currentForm: existingState.formId
           };
         }
-      } else if (formId) {
-        form = getFormDefinition(formId);
+
+        // Determine form to use
+        let form;
+        if (trigger) {
+          form = tripettoFormService.getFormByTrigger(trigger);
+          if (!form) {
+            return {
+              type: 'error',
+              message: `Unknown command: ${trigger}`,
+              availableCommands: tripettoFormService.getAvailableTriggers()
+            };
+          }
+        } else if (formId) {
+          form = tripettoFormService.getFormDefinition(formId);
+          if (!form) {
+            return {
+              type: 'error',
+              message: `Form not found: ${formId}`
+            };
+          }
+        } else {
+          // Default to the first enabled form in the manifest
+          form = tripettoFormService.getAllForms().find(entry => entry.enabled);
+        }
+
         if (!form) {
+          throw new Error('No valid form found');
+        }
+
+        // Start the conversation
+        // Start conversation with state management
+        const conversationState = await conversationStateService.startConversation(
+          userId, 
+          form.id, 
+          form.definition
+        );
+
+        const firstStep = this.determineNextStep(form.definition, conversationState.responses);
+        if (firstStep.isComplete) {
+          await conversationStateService.endConversation(userId, 'completed');
           return {
-            type: 'error',
-            message: `Form not found: ${formId}`
+            type: 'completion',
+            formId: form.id,
+            formName: form.name,
+            message: this.withNotes(firstStep, firstStep.completionMessage),
+            responses: {},
+            completedAt: new Date()
           };
         }
-      } else {
-        // Default to chronious care form
-        form = getFormDefinition('chronious-care');
-      }
 
-      if (!form) {
-        throw new Error('No valid form found');
-      }
+        await conversationStateService.updateConversationProgress(userId, {
+          currentNodeKey: firstStep.key
+        });
 
-      // Start the conversation
-      // Start conversation with state management
-      const conversationState = await conversationStateService.startConversation(
-        userId, 
-        form.id, 
-        form.definition
-      );
+        // Get the initial message
+        const initialMessage = this.getInitialMessage(form.definition, firstStep);
 
-      // Get the initial message
-      const initialMessage = this.getInitialMessage(form.definition);
-
-      return {
-        type: 'question',
-        formId: form.id,
-        formName: form.name,
-        message: initialMessage.text,
-        question: initialMessage.question,
-        options: initialMessage.options,
-        progress: 0
-      };
+        return {
+          type: 'question',
+          formId: form.id,
+          formName: form.name,
+          message: initialMessage.text,
+          question: initialMessage.question,
+          options: initialMessage.options,
+          progress: 0
+        };
+      });
 
     } catch (error) {
       logger.error('Failed to start Tripetto workflow', {
@@ -106,77 +127,84 @@ class TripettoService {
    */
   async processUserResponse(userId, userInput) {
     try {
-      const conversationState = await conversationStateService.getUserConversationState(userId);
+      // One answer at a time per user, so quick replies or webhook retries can't overwrite each other's step
+      return await conversationStateService.withLock(userId, async () => {
+        const conversationState = await conversationStateService.getUserConversationState(userId);
       
-      if (!conversationState || !conversationState.isActive) {
-        return {
-          type: 'error',
-          message: 'No active workflow found. Use `/care` to start the ChroniusCare assistant.'
-        };
-      }
+        if (!conversationState || !conversationState.isActive) {
+          return {
+            type: 'error',
+            message: `No active workflow found. Start one with ${tripettoFormService.getAvailableTriggers().join(', ') || 'a workflow command'}.`
+          };
+        }
 
-      // Handle special commands
-      if (userInput.toLowerCase().trim() === 'cancel') {
-        await conversationStateService.endConversation(userId, 'cancelled');
-        return {
-          type: 'cancelled',
-          message: 'Workflow cancelled. You can start a new one anytime with `/care`.'
-        };
-      }
+        // Handle special commands
+        if (userInput.toLowerCase().trim() === 'cancel') {
+          await conversationStateService.endConversation(userId, 'cancelled');
+          const trigger = tripettoFormService.getFormDefinition(conversationState.formId)?.trigger;
+          return {
+            type: 'cancelled',
+            message: `Workflow cancelled. You can start a new one anytime${trigger ? ` with ${trigger}` : ''}.`
+          };
+        }
 
-      // Process the response based on current state
-      const currentQuestion = this.getCurrentQuestion(conversationState);
-      if (!currentQuestion) {
-        throw new Error('No current question found');
-      }
+        // Process the response based on current state
+        const currentQuestion = this.getCurrentQuestion(conversationState);
+        if (!currentQuestion) {
+          throw new Error('No current question found');
+        }
 
-      // Validate and process the response
-      const processedResponse = this.processResponse(currentQuestion, userInput);
-      if (processedResponse.error) {
-        return {
-          type: 'validation_error',
-          message: processedResponse.error,
-          question: currentQuestion
-        };
-      }
+        // Validate and process the response
+        const processedResponse = this.processResponse(currentQuestion, userInput);
+        if (processedResponse.error) {
+          return {
+            type: 'validation_error',
+            message: processedResponse.error,
+            question: currentQuestion
+          };
+        }
 
-      // Store the response
-      const responses = { [currentQuestion.nodeId]: processedResponse.value };
+        // Store the response
+        const responses = { [currentQuestion.key]: processedResponse.value };
       
-      // Determine next step based on branching logic
-      const nextStep = this.determineNextStep(conversationState, processedResponse.value);
+        // Determine next step based on branching logic
+        const nextStep = this.determineNextStep(conversationState.formDefinition, {
+          ...conversationState.responses,
+          ...responses
+        });
       
-      // Update conversation state
-      await conversationStateService.updateConversationProgress(userId, {
-        responses: responses,
-        currentSectionIndex: nextStep.sectionIndex,
-        currentNodeIndex: nextStep.nodeIndex,
-        isComplete: nextStep.isComplete
-      });
-
-      if (nextStep.isComplete) {
-        // Workflow completed
-        await conversationStateService.endConversation(userId, 'completed');
+        // Update conversation state
+        const updatedState = await conversationStateService.updateConversationProgress(userId, {
+          responses: responses,
+          currentNodeKey: nextStep.isComplete ? null : nextStep.key,
+          isComplete: nextStep.isComplete
+        });
+
+        if (nextStep.isComplete) {
+          // Workflow completed
+          await conversationStateService.endConversation(userId, 'completed');
         
-        return {
-          type: 'completion',
-          message: nextStep.completionMessage || 'Thank you! Your request has been processed.',
-          formId: conversationState.formId,
-          responses: conversationState.responses,
-          completedAt: new Date()
-        };
-      } else {
-        // Get next question
-        const nextQuestion = this.getQuestionAtStep(conversationState.formDefinition, nextStep);
+          return {
+            type: 'completion',
+            message: this.withNotes(nextStep, nextStep.completionMessage || 'Thank you! Your request has been processed.'),
+            formId: conversationState.formId,
+            responses: updatedState.responses,
+            completedAt: new Date()
+          };
+        } else {
+          // Get next question
+          const nextQuestion = this.getQuestionAtStep(nextStep);
+          const answered = Object.keys(updatedState.responses).length;
         
-        return {
-          type: 'question',
-          message: nextQuestion.text,
-          question: nextQuestion.question,
-          options: nextQuestion.options,
-          progress: Math.round(((nextStep.sectionIndex + nextStep.nodeIndex + 1) / this.getTotalSteps(conversationState.formDefinition)) * 100)
-        };
-      }
+          return {
+            type: 'question',
+            message: nextQuestion.text,
+            question: nextQuestion.question,
+            options: nextQuestion.options,
+            progress: Math.min(99, Math.round((answered / this.getTotalSteps(conversationState.formDefinition)) * 100))
+          };
+        }
+      });
 
     } catch (error) {
       logger.error('Failed to process user response', {
@@ -196,45 +224,23 @@ class TripettoService {
   /**
    * Get the initial message from form definition
    * @param {Object} formDefinition - Tripetto form definition
+   * @param {Object} step - First step from determineNextStep
    * @returns {Object} Initial message object
    * @private
    */
-  getInitialMessage(formDefinition) {
+  getInitialMessage(formDefinition, step) {
     try {
+      const firstQuestion = this.getQuestionAtStep(step);
       let messageText = '';
-      
+
       // Add prologue if available
       if (formDefinition.prologue && formDefinition.prologue.title) {
         messageText = formDefinition.prologue.title + '\n\n';
       }
 
-      // Get first question
-      const firstSection = formDefinition.sections[0];
-      const firstNode = firstSection.nodes[0];
-      
-      messageText += firstNode.name;
-
-      // Extract choices if it's a multiple choice question
-      const options = [];
-      if (firstNode.block && firstNode.block.type === '@tripetto/block-multiple-choice') {
-        for (let i = 0; i < firstNode.block.choices.length; i++) {
-          const choice = firstNode.block.choices[i];
-          options.push({
-            id: choice.id,
-            text: `${i + 1}. ${choice.name}`,
-            value: choice.name
-          });
-        }
-      }
-
       return {
-        text: messageText,
-        question: {
-          nodeId: firstNode.id,
-          type: firstNode.block?.type || 'text',
-          text: firstNode.name
-        },
-        options: options
+        ...firstQuestion,
+        text: messageText + firstQuestion.text
       };
 
     } catch (error) {
@@ -255,14 +261,18 @@ class TripettoService {
    */
   getCurrentQuestion(conversationState) {
     try {
-      const section = conversationState.formDefinition.sections[conversationState.currentSectionIndex];
-      const node = section.nodes[conversationState.currentNodeIndex];
-      
+      const step = this.determineNextStep(conversationState.formDefinition, conversationState.responses);
+      if (step.isComplete) {
+        return null;
+      }
+
       return {
-        nodeId: node.id,
-        type: node.block?.type || 'text',
-        text: node.name,
-        block: node.block
+        nodeId: step.node.id,
+        key: step.key,
+        type: step.node.block?.type || 'static',
+        text: step.node.name,
+        block: step.node.block,
+        node: step.node
       };
 
     } catch (error) {
@@ -280,47 +290,7 @@ class TripettoService {
    */
   processResponse(question, userInput) {
     try {
-      const input = userInput.trim();
-
-      if (question.type === '@tripetto/block-multiple-choice') {
-        // Handle multiple choice responses
-        const choices = question.block.choices;
-        
-        // Try to match by number (1, 2, 3, etc.)
-        const choiceNumber = parseInt(input);
-        if (choiceNumber >= 1 && choiceNumber <= choices.length) {
-          const selectedChoice = choices[choiceNumber - 1];
-          return {
-            value: selectedChoice.id,
-            displayValue: selectedChoice.name
-          };
-        }
-        
-        // Try to match by text
-        const matchedChoice = choices.find(choice => 
-          choice.name.toLowerCase() === input.toLowerCase() ||
-          input.toLowerCase().includes(choice.name.toLowerCase().substring(0, 3))
-        );
-        
-        if (matchedChoice) {
-          return {
-            value: matchedChoice.id,
-            displayValue: matchedChoice.name
-          };
-        }
-        
-        // No match found
-        const optionsList = choices.map((choice, index) => `${index + 1}. ${choice.name}`).join('\n');
-        return {
-          error: `Please select one of the options:\n${optionsList}`
-        };
-      }
-
-      // Default text response
-      return {
-        value: input,
-        displayValue: input
-      };
+      return tripettoBlocks.parse(question.node, userInput);
 
     } catch (error) {
       logger.error('Failed to process response', { error: error.message });
@@ -331,53 +301,44 @@ class TripettoService {
   }
 
   /**
-   * Determine next step based on current state and response
-   * @param {Object} conversationState - Current conversation state
-   * @param {string} responseValue - User's response value
-   * @returns {Object} Next step information
+   * Determine the next step of a conversation
+   * Replays the form from the start against the answers given so far, the way the
+   * Tripetto runner walks it: after a section's nodes every matching branch is followed
+   * in order, the branch culling mode decides how its conditions combine, and at the end
+   * of a branch the runner continues, jumps to a later section or aborts the form.
+   * @param {Object} formDefinition - Tripetto form definition
+   * @param {Object} responses - Answers given so far, keyed by node key
+   * @returns {Object} Next step { isComplete: false, node, key, notes } or completion information;
+   *   `notes` are the static nodes passed since the last answered question
    * @private
    */
-  determineNextStep(conversationState, responseValue) {
+  determineNextStep(formDefinition, responses = {}) {
     try {
-      const currentSection = conversationState.formDefinition.sections[conversationState.currentSectionIndex];
-      
-      // Check for branches based on the response
-      if (currentSection.branches) {
-        for (const branch of currentSection.branches) {
-          if (this.evaluateBranchCondition(branch, responseValue)) {
-            if (branch.jump === 'abort') {
-              return {
-                isComplete: true,
-                completionMessage: 'Thank you! Your request has been noted.'
-              };
-            }
-            // Handle other branch logic here
-          }
-        }
-      }
-
-      // Default: move to next node or section
-      let nextSectionIndex = conversationState.currentSectionIndex;
-      let nextNodeIndex = conversationState.currentNodeIndex + 1;
-
-      // Check if we need to move to next section
-      if (nextNodeIndex >= currentSection.nodes.length) {
-        nextSectionIndex++;
-        nextNodeIndex = 0;
-      }
+      const notes = [];
+      const outcome = this.walkSections(formDefinition.sections || [], responses, [], notes);
 
-      // Check if we've reached the end
-      if (nextSectionIndex >= conversationState.formDefinition.sections.length) {
+      if (outcome.pending) {
         return {
-          isComplete: true,
-          completionMessage: 'Thank you for completing the workflow!'
+          isComplete: false,
+          node: outcome.pending.node,
+          key: outcome.pending.key,
+          notes
         };
       }
 
+      if (outcome.jump) {
+        logger.warn('Tripetto branch jumps to an unknown section, ending workflow', { target: outcome.jump });
+      }
+
+      // "Jump to end" shows the branch's own epilogue, falling back to the form's
+      const epilogue = (outcome.abort && outcome.epilogue) || formDefinition.epilogue;
       return {
-        sectionIndex: nextSectionIndex,
-        nodeIndex: nextNodeIndex,
-        isComplete: false
+        isComplete: true,
+        aborted: !!outcome.abort,
+        notes,
+        completionMessage: epilogue?.title || (outcome.abort
+          ? 'Thank you! Your request has been noted.'
+          : 'Thank you for completing the workflow!')
       };
 
     } catch (error) {
@@ -390,59 +351,196 @@ class TripettoService {
   }
 
   /**
-   * Evaluate branch condition
+   * Walk a list of sections (the form itself or the sections of a branch)
+   * @param {Array} sections - Sections to walk
+   * @param {Object} responses - Answers keyed by node key
+   * @param {Array} context - Iteration context (condition ids of enclosing "each" branches)
+   * @param {Array} notes - Collects the static nodes passed since the last answered question
+   * @returns {Object} { pending }, { abort, epilogue }, { jump } or { done }
+   * @private
+   */
+  walkSections(sections, responses, context, notes) {
+    let index = 0;
+
+    while (index < sections.length) {
+      const outcome = this.walkSection(sections[index], responses, context, notes);
+
+      if (outcome.jump) {
+        // Jumps only go forward; a target outside this list is resolved by an enclosing one
+        const target = sections.findIndex((section, i) => i > index && section.id === outcome.jump);
+        if (target === -1) {
+          return outcome;
+        }
+        index = target;
+        continue;
+      }
+
+      if (!outcome.done) {
+        return outcome;
+      }
+      index++;
+    }
+
+    return { done: true };
+  }
+
+  /**
+   * Walk a single section: its nodes first, then each of its branches in order
+   * @param {Object} section - Section definition
+   * @param {Object} responses - Answers keyed by node key
+   * @param {Array} context - Iteration context
+   * @param {Array} notes - Collects the static nodes passed since the last answered question
+   * @returns {Object} { pending }, { abort, epilogue }, { jump } or { done }
+   * @private
+   */
+  walkSection(section, responses, context, notes) {
+    for (const node of section.nodes || []) {
+      // Static text is shown along with the next question and never waits for an answer
+      if (tripettoBlocks.isStatic(node)) {
+        notes.push(node);
+        continue;
+      }
+
+      const key = this.getNodeKey(node.id, context);
+      if (!Object.prototype.hasOwnProperty.call(responses, key)) {
+        return { pending: { node, key } };
+      }
+      notes.length = 0;
+    }
+
+    for (const branch of section.branches || []) {
+      const iterations = this.getBranchIterations(branch, responses, context);
+      if (iterations.length === 0) {
+        continue;
+      }
+
+      for (const iteration of iterations) {
+        const outcome = this.walkSections(branch.sections || [], responses, iteration, notes);
+        if (!outcome.done) {
+          return outcome;
+        }
+      }
+
+      // End of branch: continue with the next branch or section unless told otherwise
+      if (branch.jump === 'abort') {
+        return { abort: true, epilogue: branch.epilogue };
+      }
+      if (branch.jump && branch.jump !== 'return') {
+        return { jump: branch.jump };
+      }
+    }
+
+    return { done: true };
+  }
+
+  /**
+   * Decide whether (and how often) a branch is followed
+   * A branch without conditions is always followed. Otherwise the culling mode applies:
+   * `first` (default) needs any condition to match, `all` every condition, `none` no
+   * condition, and `each` follows the branch once for every matching condition.
    * @param {Object} branch - Branch definition
-   * @param {string} responseValue - User's response
+   * @param {Object} responses - Answers keyed by node key
+   * @param {Array} context - Iteration context of the section the branch belongs to
+   * @returns {Array} One iteration context per pass through the branch (empty if not followed)
+   * @private
+   */
+  getBranchIterations(branch, responses, context) {
+    const conditions = branch.conditions || [];
+    if (conditions.length === 0) {
+      return [context];
+    }
+
+    const matches = conditions.filter(condition => this.evaluateBranchCondition(condition, responses, context));
+
+    switch (branch.culling) {
+      case 'each':
+        return matches.map(condition => [...context, condition.id]);
+      case 'all':
+        return matches.length === conditions.length ? [context] : [];
+      case 'none':
+        return matches.length === 0 ? [context] : [];
+      default:
+        return matches.length > 0 ? [context] : [];
+    }
+  }
+
+  /**
+   * Evaluate branch condition
+   * @param {Object} condition - Condition definition
+   * @param {Object} responses - Answers keyed by node key
+   * @param {Array} context - Iteration context
    * @returns {boolean} Whether condition is met
    * @private
    */
-  evaluateBranchCondition(branch, responseValue) {
+  evaluateBranchCondition(condition, responses, context) {
     try {
-      if (branch.conditions && branch.conditions.length > 0) {
-        const condition = branch.conditions[0];
-        if (condition.block && condition.block.choice) {
-          return condition.block.choice === responseValue;
-        }
+      const block = condition.block;
+      if (condition.disabled || !block) {
+        return false;
       }
-      return false;
+
+      const matches = tripettoBlocks.evaluateCondition(block, this.getResponse(responses, block.node, context));
+      if (matches === undefined) {
+        logger.warn('Unsupported Tripetto condition block', { type: block.type, conditionId: condition.id });
+        return false;
+      }
+
+      return matches;
+
     } catch (error) {
       logger.error('Failed to evaluate branch condition', { error: error.message });
       return false;
     }
   }
 
+  /**
+   * Key an answer is stored under
+   * Nodes inside an "each" branch are asked once per iteration, so the key carries the iteration.
+   * @param {string} nodeId - Node identifier
+   * @param {Array} context - Iteration context
+   * @returns {string} Response key
+   * @private
+   */
+  getNodeKey(nodeId, context) {
+    return context.length > 0 ? `${nodeId}@${context.join('/')}` : nodeId;
+  }
+
+  /**
+   * Look up the answer to a node, from the innermost iteration outwards
+   * @param {Object} responses - Answers keyed by node key
+   * @param {string} nodeId - Node identifier
+   * @param {Array} context - Iteration context
+   * @returns {*} Answer or undefined
+   * @private
+   */
+  getResponse(responses, nodeId, context) {
+    for (let depth = context.length; depth >= 0; depth--) {
+      const key = this.getNodeKey(nodeId, context.slice(0, depth));
+      if (Object.prototype.hasOwnProperty.call(responses, key)) {
+        return responses[key];
+      }
+    }
+    return undefined;
+  }
+
   /**
    * Get question at specific step
-   * @param {Object} formDefinition - Form definition
-   * @param {Object} step - Step information
+   * @param {Object} step - Pending step from determineNextStep
    * @returns {Object} Question object
    * @private
    */
-  getQuestionAtStep(formDefinition, step) {
+  getQuestionAtStep(step) {
     try {
-      const section = formDefinition.sections[step.sectionIndex];
-      const node = section.nodes[step.nodeIndex];
-      
-      let messageText = node.name;
-      const options = [];
-      
-      if (node.block && node.block.type === '@tripetto/block-multiple-choice') {
-        for (let i = 0; i < node.block.choices.length; i++) {
-          const choice = node.block.choices[i];
-          options.push({
-            id: choice.id,
-            text: `${i + 1}. ${choice.name}`,
-            value: choice.name
-          });
-        }
-      }
+      const node = step.node;
+      const { text, options } = tripettoBlocks.describe(node);
 
       return {
-        text: messageText,
+        text: this.withNotes(step, text),
         question: {
           nodeId: node.id,
-          type: node.block?.type || 'text',
-          text: node.name
+          type: node.block?.type || 'static',
+          text: node.name,
+          required: tripettoBlocks.isRequired(node)
         },
         options: options
       };
@@ -458,20 +556,30 @@ class TripettoService {
   }
 
   /**
-   * Get total steps in form
+   * Prefix a message with the static text passed on the way to it
+   * @param {Object} step - Step from determineNextStep
+   * @param {string} message - Question or closing message
+   * @returns {string} Message text
+   * @private
+   */
+  withNotes(step, message) {
+    const notes = (step.notes || []).map(node => tripettoBlocks.describe(node).text);
+    return [...notes, message].filter(Boolean).join('\n\n');
+  }
+
+  /**
+   * Get total steps in form, counting the questions of every branch
    * @param {Object} formDefinition - Form definition
    * @returns {number} Total steps
    * @private
    */
   getTotalSteps(formDefinition) {
     try {
-      let total = 0;
-      for (const section of formDefinition.sections) {
-        if (section.nodes) {
-          total += section.nodes.length;
-        }
-      }
-      return Math.max(total, 1);
+      const countNodes = (sections = []) => sections.reduce((total, section) =>
+        total + (section.nodes || []).filter(node => !tripettoBlocks.isStatic(node)).length +
+        (section.branches || []).reduce((sum, branch) => sum + countNodes(branch.sections), 0), 0);
+
+      return Math.max(countNodes(formDefinition.sections), 1);
     } catch (error) {
       return 1;
     }
@@ -481,10 +589,10 @@ class TripettoService {
    * Get service statistics
    * @returns {Object} Service statistics
    */
-  getStats() {
+  async getStats() {
     return {
-      conversationStats: conversationStateService.getStats(),
-      availableForms: getAvailableTriggers().length
+      conversationStats: await conversationStateService.getStats(),
+      availableForms: tripettoFormService.getAvailableTriggers().length
     };
   }
 
@@ -492,7 +600,7 @@ class TripettoService {
    * Get conversation statistics (alias for compatibility)
    * @returns {Object} Conversation statistics
    */
-  getStatistics() {
+  async getStatistics() {
     return conversationStateService.getStats();
   }
 
@@ -501,10 +609,10 @@ class TripettoService {
    * @param {string} userId - User ID to check
    * @returns {boolean} True if user has active conversation
    */
-  hasActiveConversation(userId) {
+  async hasActiveConversation(userId) {
     try {
-      const conversation = conversationStateService.getConversation(userId);
-      return conversation && !conversation.complete;
+      const conversation = await conversationStateService.getConversation(userId);
+      return !!conversation && conversation.isActive;
     } catch (error) {
       logger.error('Error checking active conversation:', { userId, error: error.message });
       return false;
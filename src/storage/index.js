@@ -0,0 +1,54 @@
+/**
+ * Storage Factory
+ * Creates namespaced key/value stores on the configured backend
+ *
+ * Every store exposes the same async interface:
+ *   get(key), set(key, value, ttl), delete(key), list(prefix), cleanup(), count()
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const MemoryStore = require('./memoryStore');
+const SqliteStore = require('./sqliteStore');
+const RedisStore = require('./redisStore');
+
+const backends = {
+  memory: MemoryStore,
+  sqlite: SqliteStore,
+  redis: RedisStore
+};
+
+/**
+ * Create a store
+ * @param {string} namespace - Logical store name (e.g. 'message_mappings')
+ * @param {Object} options - { backend, path, url, ttl }
+ * @returns {Object} Store instance
+ */
+function createStore(namespace, options = {}) {
+  const backend = options.backend || config.storage.backend;
+  const Store = backends[backend];
+
+  if (!Store) {
+    throw new Error(`Unknown storage backend: ${backend}`);
+  }
+
+  const store = new Store(namespace, {
+    path: options.path || config.storage.sqlitePath,
+    url: options.url || config.storage.redisUrl,
+    keyPrefix: config.storage.redisKeyPrefix,
+    ttl: options.ttl
+  });
+
+  logger.info('Storage initialized', {
+    namespace,
+    backend,
+    ttl: options.ttl || 0
+  });
+
+  return store;
+}
+
+module.exports = {
+  createStore,
+  backends
+};
@@ -0,0 +1,84 @@
+/**
+ * Memory Store
+ * In-process key/value store with per-entry TTL
+ * Data is lost on restart; use the sqlite backend where that matters.
+ */
+
+class MemoryStore {
+  /**
+   * @param {string} namespace - Logical store name
+   * @param {Object} options - { ttl: default TTL in ms (0 = no expiry) }
+   */
+  constructor(namespace, options = {}) {
+    this.namespace = namespace;
+    this.defaultTtl = options.ttl || 0;
+    this.entries = new Map();
+    this.backend = 'memory';
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  async set(key, value, ttl = this.defaultTtl) {
+    this.entries.set(key, {
+      // Store a copy so callers can't mutate stored state by reference
+      value: JSON.parse(JSON.stringify(value)),
+      expiresAt: ttl ? Date.now() + ttl : null
+    });
+  }
+
+  async delete(key) {
+    return this.entries.delete(key);
+  }
+
+  /**
+   * List all live entries, optionally filtered by key prefix
+   * @param {string} prefix - Key prefix
+   * @returns {Array} Array of { key, value }
+   */
+  async list(prefix = '') {
+    const now = Date.now();
+    const results = [];
+
+    for (const [key, entry] of this.entries.entries()) {
+      if (entry.expiresAt && entry.expiresAt <= now) continue;
+      if (!key.startsWith(prefix)) continue;
+      results.push({ key, value: entry.value });
+    }
+
+    return results;
+  }
+
+  /**
+   * Remove expired entries
+   * @returns {number} Number of entries removed
+   */
+  async cleanup() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [key, entry] of this.entries.entries()) {
+      if (entry.expiresAt && entry.expiresAt <= now) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  async count() {
+    return (await this.list()).length;
+  }
+}
+
+module.exports = MemoryStore;
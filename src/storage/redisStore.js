@@ -0,0 +1,115 @@
+/**
+ * Redis Store
+ * Key/value store on Redis or a Redis-compatible server such as Valkey or KeyDB
+ * (requires the optional ioredis package). Entries expire through Redis TTLs, and several
+ * app instances pointed at the same server share their state.
+ * Keys are `<keyPrefix><namespace>:<key>`.
+ */
+
+const logger = require('../utils/logger');
+
+// One client per server URL
+const clients = new Map();
+
+function connect(url) {
+  if (clients.has(url)) {
+    return clients.get(url);
+  }
+
+  let Redis;
+  try {
+    Redis = require('ioredis');
+  } catch (error) {
+    throw new Error('The redis storage backend requires the ioredis package (npm install ioredis)');
+  }
+
+  const client = new Redis(url, { maxRetriesPerRequest: 3 });
+  client.on('error', error => {
+    logger.error('Redis connection error', { error: error.message });
+  });
+
+  clients.set(url, client);
+  return client;
+}
+
+// SCAN MATCH treats these as glob syntax
+function escapePattern(text) {
+  return text.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+class RedisStore {
+  /**
+   * @param {string} namespace - Logical store name
+   * @param {Object} options - { url: server URL, keyPrefix, ttl: default TTL in ms (0 = no expiry) }
+   */
+  constructor(namespace, options = {}) {
+    this.namespace = namespace;
+    this.defaultTtl = options.ttl || 0;
+    this.backend = 'redis';
+    this.client = connect(options.url);
+    this.keyPrefix = `${options.keyPrefix || ''}${namespace}:`;
+  }
+
+  async get(key) {
+    const raw = await this.client.get(this.keyPrefix + key);
+    return raw === null ? null : JSON.parse(raw);
+  }
+
+  async set(key, value, ttl = this.defaultTtl) {
+    const raw = JSON.stringify(value);
+    if (ttl) {
+      await this.client.set(this.keyPrefix + key, raw, 'PX', ttl);
+    } else {
+      await this.client.set(this.keyPrefix + key, raw);
+    }
+  }
+
+  async delete(key) {
+    return (await this.client.del(this.keyPrefix + key)) > 0;
+  }
+
+  /**
+   * List all live entries, optionally filtered by key prefix
+   * @param {string} prefix - Key prefix
+   * @returns {Array} Array of { key, value }
+   */
+  async list(prefix = '') {
+    const pattern = `${escapePattern(this.keyPrefix + prefix)}*`;
+    const keys = new Set();
+    let cursor = '0';
+
+    do {
+      const [next, batch] = await this.client.scan(cursor, 'MATCH', pattern, 'COUNT', 500);
+      cursor = next;
+      batch.forEach(key => keys.add(key));
+    } while (cursor !== '0');
+
+    if (keys.size === 0) {
+      return [];
+    }
+
+    // Keys can expire between SCAN and MGET
+    const storeKeys = [...keys];
+    const values = await this.client.mget(storeKeys);
+    return storeKeys
+      .map((key, index) => (values[index] === null ? null : {
+        key: key.slice(this.keyPrefix.length),
+        value: JSON.parse(values[index])
+      }))
+      .filter(Boolean);
+  }
+
+  /**
+   * Remove expired entries (Redis expires keys itself)
+   * @returns {number} Number of entries removed
+   */
+  async cleanup() {
+    return 0;
+  }
+
+  async count() {
+    return (await this.list()).length;
+  }
+}
+
+module.exports = RedisStore;
@@ -0,0 +1,119 @@
+/**
+ * SQLite Store
+ * File-backed key/value store with per-entry TTL (requires the optional better-sqlite3 package)
+ * All stores share one database file per path, separated by namespace.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// One connection per database file
+const databases = new Map();
+
+function openDatabase(filePath) {
+  const resolved = path.resolve(filePath);
+  if (databases.has(resolved)) {
+    return databases.get(resolved);
+  }
+
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('The sqlite storage backend requires the better-sqlite3 package (npm install better-sqlite3)');
+  }
+
+  fs.mkdirSync(path.dirname(resolved), { recursive: true });
+
+  const db = new Database(resolved);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS kv_store (
+      namespace TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      expires_at INTEGER,
+      PRIMARY KEY (namespace, key)
+    )
+  `);
+
+  databases.set(resolved, db);
+  return db;
+}
+
+class SqliteStore {
+  /**
+   * @param {string} namespace - Logical store name
+   * @param {Object} options - { path: database file, ttl: default TTL in ms (0 = no expiry) }
+   */
+  constructor(namespace, options = {}) {
+    this.namespace = namespace;
+    this.defaultTtl = options.ttl || 0;
+    this.backend = 'sqlite';
+    this.db = openDatabase(options.path);
+
+    this.statements = {
+      get: this.db.prepare('SELECT value, expires_at FROM kv_store WHERE namespace = ? AND key = ?'),
+      set: this.db.prepare(`
+        INSERT INTO kv_store (namespace, key, value, expires_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT (namespace, key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at
+      `),
+      delete: this.db.prepare('DELETE FROM kv_store WHERE namespace = ? AND key = ?'),
+      list: this.db.prepare(`
+        SELECT key, value FROM kv_store
+        WHERE namespace = ? AND substr(key, 1, length(?)) = ? AND (expires_at IS NULL OR expires_at > ?)
+      `),
+      cleanup: this.db.prepare('DELETE FROM kv_store WHERE namespace = ? AND expires_at IS NOT NULL AND expires_at <= ?')
+    };
+  }
+
+  async get(key) {
+    const row = this.statements.get.get(this.namespace, key);
+    if (!row) return null;
+
+    if (row.expires_at && row.expires_at <= Date.now()) {
+      this.statements.delete.run(this.namespace, key);
+      return null;
+    }
+
+    return JSON.parse(row.value);
+  }
+
+  async set(key, value, ttl = this.defaultTtl) {
+    this.statements.set.run(
+      this.namespace,
+      key,
+      JSON.stringify(value),
+      ttl ? Date.now() + ttl : null
+    );
+  }
+
+  async delete(key) {
+    return this.statements.delete.run(this.namespace, key).changes > 0;
+  }
+
+  /**
+   * List all live entries, optionally filtered by key prefix
+   * @param {string} prefix - Key prefix
+   * @returns {Array} Array of { key, value }
+   */
+  async list(prefix = '') {
+    return this.statements.list
+      .all(this.namespace, prefix, prefix, Date.now())
+      .map(row => ({ key: row.key, value: JSON.parse(row.value) }));
+  }
+
+  /**
+   * Remove expired entries
+   * @returns {number} Number of entries removed
+   */
+  async cleanup() {
+    return this.statements.cleanup.run(this.namespace, Date.now()).changes;
+  }
+
+  async count() {
+    return (await this.list()).length;
+  }
+}
+
+module.exports = SqliteStore;
@@ -0,0 +1,121 @@
+/**
+ * Choice Blocks
+ * Multiple choice, checkboxes, dropdown and yes/no blocks; answered by number or by name.
+ */
+
+const { setting, toOptions, matchItem, matchItems } = require('./helpers');
+
+const SINGLE_HINT = 'Please reply with the number of your choice.';
+const MULTIPLE_HINT = 'You can pick more than one: reply with the numbers separated by commas, e.g. "1, 3".';
+
+/**
+ * Limits hint for multi-select blocks
+ */
+function describeLimits(min, max) {
+  if (min && max) {
+    return `Pick ${min === max ? min : `${min} to ${max}`} options.`;
+  }
+  if (min) {
+    return `Pick at least ${min}.`;
+  }
+  if (max) {
+    return `Pick at most ${max}.`;
+  }
+  return null;
+}
+
+/**
+ * Parse a single selection
+ * @param {Array} items - Choices ({ id, name })
+ * @param {string} input - Reply text
+ */
+function parseSingle(items, input) {
+  const item = matchItem(items, input);
+  if (!item) {
+    return { error: `Please select one of the options:\n${toOptions(items).map(option => option.text).join('\n')}` };
+  }
+  return { value: item.id, displayValue: item.name };
+}
+
+/**
+ * Parse a multiple selection, answers are stored as a list of ids
+ * @param {Array} items - Choices ({ id, name })
+ * @param {string} input - Reply text
+ * @param {Object} limits - { min, max } number of selections
+ */
+function parseMultiple(items, input, { min, max } = {}) {
+  const selected = matchItems(items, input);
+  if (!selected || selected.length === 0) {
+    return { error: `Please reply with one or more of the options:\n${toOptions(items).map(option => option.text).join('\n')}` };
+  }
+  if ((min && selected.length < min) || (max && selected.length > max)) {
+    return { error: describeLimits(min, max) };
+  }
+  return {
+    value: selected.map(item => item.id),
+    displayValue: selected.map(item => item.name).join(', ')
+  };
+}
+
+const multipleChoice = {
+  describe: node => ({
+    options: toOptions(node.block.choices),
+    hint: node.block.multiple
+      ? [MULTIPLE_HINT, describeLimits(setting(node, 'min'), setting(node, 'max'))].filter(Boolean).join(' ')
+      : null
+  }),
+  parse: (node, input) => (node.block.multiple
+    ? parseMultiple(node.block.choices, input, { min: setting(node, 'min'), max: setting(node, 'max') })
+    : parseSingle(node.block.choices, input)),
+  condition: (block, value) => (Array.isArray(value) ? value.includes(block.choice) : value === block.choice)
+};
+
+const checkboxes = {
+  describe: node => ({
+    options: toOptions(node.block.checkboxes),
+    hint: [MULTIPLE_HINT, describeLimits(node.block.min, node.block.max)].filter(Boolean).join(' ')
+  }),
+  parse: (node, input) => parseMultiple(node.block.checkboxes, input, { min: node.block.min, max: node.block.max }),
+  condition(block, value) {
+    const checked = Array.isArray(value) && value.includes(block.checkbox);
+    return block.checked === false ? !checked : checked;
+  }
+};
+
+const dropdown = {
+  describe: node => ({ options: toOptions(node.block.options), hint: SINGLE_HINT }),
+  parse: (node, input) => parseSingle(node.block.options, input),
+  condition: (block, value) => value === block.option
+};
+
+/**
+ * Yes/no answers are stored as 'yes' or 'no'; the buttons can carry custom labels
+ */
+function yesNoItems(block) {
+  return [
+    { id: 'yes', name: block.yes?.label || 'Yes' },
+    { id: 'no', name: block.no?.label || 'No' }
+  ];
+}
+
+const yesNo = {
+  describe: node => ({ options: toOptions(yesNoItems(node.block)) }),
+  parse(node, input) {
+    const text = input.trim().toLowerCase();
+    if (/^(y|yes|yeah|yep|sure|ok)$/.test(text)) {
+      return { value: 'yes', displayValue: yesNoItems(node.block)[0].name };
+    }
+    if (/^(n|no|nope|nah)$/.test(text)) {
+      return { value: 'no', displayValue: yesNoItems(node.block)[1].name };
+    }
+    return parseSingle(yesNoItems(node.block), input);
+  },
+  condition: (block, value) => value === block.answer
+};
+
+module.exports = {
+  multipleChoice,
+  checkboxes,
+  dropdown,
+  yesNo
+};
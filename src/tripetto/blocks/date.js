@@ -0,0 +1,82 @@
+/**
+ * Date Block
+ * Answers are stored as UTC timestamps, like the Tripetto date slot.
+ */
+
+const { compareNumber } = require('./number');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse "YYYY-MM-DD" (optionally followed by "HH:MM"), "today", "tomorrow" or "yesterday"
+ * @param {string} input - Reply text
+ * @returns {number|null} Timestamp or null if the date is not valid
+ */
+function parseDate(input) {
+  const text = input.trim().toLowerCase();
+  const relative = { yesterday: -1, today: 0, tomorrow: 1 }[text];
+  if (relative !== undefined) {
+    const now = new Date();
+    return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()) + relative * DAY;
+  }
+
+  const match = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ t](\d{1,2}):(\d{2}))?$/.exec(text);
+  if (!match) {
+    return null;
+  }
+
+  const [year, month, day, hours = 0, minutes = 0] = match.slice(1).map(part => Number(part || 0));
+  const date = new Date(Date.UTC(year, month - 1, day, hours, minutes));
+
+  // Reject dates that roll over, such as 2026-02-30
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day || hours > 23 || minutes > 59) {
+    return null;
+  }
+  return date.getTime();
+}
+
+/**
+ * Format a timestamp for the reply
+ */
+function formatDate(timestamp, withTime) {
+  const iso = new Date(timestamp).toISOString();
+  return withTime ? `${iso.slice(0, 10)} ${iso.slice(11, 16)}` : iso.slice(0, 10);
+}
+
+/**
+ * Minimum/maximum setting as a timestamp (Tripetto stores timestamps, hand-written forms may use dates)
+ */
+function toTimestamp(limit) {
+  if (limit === undefined || limit === null || limit === false) {
+    return undefined;
+  }
+  return typeof limit === 'number' ? limit : parseDate(String(limit)) ?? undefined;
+}
+
+const date = {
+  describe: node => ({
+    hint: `Please reply with a date as YYYY-MM-DD${node.block.time ? ', optionally followed by a time (HH:MM)' : ''}.`
+  }),
+  parse(node, input) {
+    const value = parseDate(input);
+    if (value === null) {
+      return { error: 'I couldn\'t read that date. Please use the format YYYY-MM-DD, e.g. 2026-03-14.' };
+    }
+
+    const minimum = toTimestamp(node.block.minimum);
+    const maximum = toTimestamp(node.block.maximum);
+    if (minimum !== undefined && value < minimum) {
+      return { error: `Please pick a date on or after ${formatDate(minimum, false)}.` };
+    }
+    if (maximum !== undefined && value > maximum) {
+      return { error: `Please pick a date on or before ${formatDate(maximum, false)}.` };
+    }
+
+    return { value, displayValue: formatDate(value, !!node.block.time) };
+  },
+  condition: (block, value) => compareNumber({ ...block, value: toTimestamp(block.value), to: toTimestamp(block.to) }, value)
+};
+
+module.exports = {
+  date
+};
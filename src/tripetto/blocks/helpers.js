@@ -0,0 +1,92 @@
+/**
+ * Shared helpers for the Tripetto block handlers
+ */
+
+/**
+ * Read a block setting
+ * Tripetto keeps some settings (length and number limits, required) on the node's
+ * slot rather than on the block, so the slots are checked as a fallback.
+ * @param {Object} node - Form node
+ * @param {string} name - Setting name
+ * @returns {*} Setting value or undefined
+ */
+function setting(node, name) {
+  if (node.block && node.block[name] !== undefined) {
+    return node.block[name];
+  }
+  const slot = (node.slots || []).find(candidate => candidate[name] !== undefined);
+  return slot ? slot[name] : undefined;
+}
+
+/**
+ * Numbered options for a list of choices
+ * @param {Array} items - Choices, checkboxes or dropdown options ({ id, name })
+ * @returns {Array} Options { id, text, value }
+ */
+function toOptions(items = []) {
+  return items.map((item, index) => ({
+    id: item.id,
+    text: `${index + 1}. ${item.name}`,
+    value: item.value || item.name
+  }));
+}
+
+/**
+ * Find the item a reply refers to, by number or by name
+ * @param {Array} items - Items ({ id, name })
+ * @param {string} input - Reply text
+ * @returns {Object|null} Matched item
+ */
+function matchItem(items = [], input) {
+  const text = input.trim().toLowerCase();
+  if (!text) {
+    return null;
+  }
+
+  const exact = items.find(item => (item.name || '').toLowerCase() === text);
+  if (exact) {
+    return exact;
+  }
+
+  if (/^\d+$/.test(text)) {
+    return items[parseInt(text, 10) - 1] || null;
+  }
+
+  // Partial names only count when they point at a single item
+  const partial = items.filter(item => {
+    const name = (item.name || '').toLowerCase();
+    return name.startsWith(text) || text.includes(name);
+  });
+  return partial.length === 1 ? partial[0] : null;
+}
+
+/**
+ * Find every item a reply refers to, e.g. "1, 3" or "Email and Phone"
+ * @param {Array} items - Items ({ id, name })
+ * @param {string} input - Reply text
+ * @returns {Array|null} Matched items without duplicates, or null if a part matches nothing
+ */
+function matchItems(items = [], input) {
+  const separator = /^[\d\s,;]+$/.test(input) ? /[\s,;]+/ : /[,;\n]|\s+and\s+/i;
+  const parts = input.split(separator).map(part => part.trim()).filter(Boolean);
+  const matched = [];
+
+  for (const part of parts) {
+    const item = matchItem(items, part);
+    if (!item) {
+      return null;
+    }
+    if (!matched.includes(item)) {
+      matched.push(item);
+    }
+  }
+
+  return matched;
+}
+
+module.exports = {
+  setting,
+  toOptions,
+  matchItem,
+  matchItems
+};
@@ -0,0 +1,139 @@
+/**
+ * Tripetto Blocks
+ * Chat handling of Tripetto block types, keyed by block type. A handler has:
+ *
+ *   static: true                 // only shown, never waits for an answer
+ *   describe(node)  -> { options, hint }          // numbered options and reply instructions
+ *   parse(node, input) -> { value, displayValue } | { error }
+ *   condition(block, value) -> boolean            // branch conditions on this block type
+ *
+ * Nodes without a block are static text. Unknown block types are answered with free text.
+ */
+
+const { text, textarea, email, phoneNumber } = require('./text');
+const { multipleChoice, checkboxes, dropdown, yesNo } = require('./choice');
+const { number, rating, scale } = require('./number');
+const { date } = require('./date');
+
+const paragraph = { static: true };
+
+const handlers = {
+  '@tripetto/block-text': text,
+  '@tripetto/block-textarea': textarea,
+  '@tripetto/block-email': email,
+  '@tripetto/block-phone-number': phoneNumber,
+  '@tripetto/block-number': number,
+  '@tripetto/block-date': date,
+  '@tripetto/block-yes-no': yesNo,
+  '@tripetto/block-multiple-choice': multipleChoice,
+  '@tripetto/block-checkboxes': checkboxes,
+  '@tripetto/block-dropdown': dropdown,
+  '@tripetto/block-rating': rating,
+  '@tripetto/block-scale': scale,
+  '@tripetto/block-paragraph': paragraph,
+  '@tripetto/block-static': paragraph
+};
+
+const SKIP_PATTERN = /^(skip|-)$/i;
+
+/**
+ * Get the handler of a node's block
+ * @param {Object} node - Form node
+ */
+function getHandler(node) {
+  if (!node.block) {
+    return paragraph;
+  }
+  return handlers[node.block.type] || text;
+}
+
+/**
+ * Whether a node is only shown (static text, paragraphs)
+ * @param {Object} node - Form node
+ */
+function isStatic(node) {
+  return !!getHandler(node).static;
+}
+
+/**
+ * Whether a node must be answered
+ * Tripetto marks required on the value slot, or on the block for blocks with a slot per option.
+ * @param {Object} node - Form node
+ */
+function isRequired(node) {
+  return !!node.block?.required || (node.slots || []).some(slot => slot.required);
+}
+
+/**
+ * Chat text of a node: its name, description, numbered options and reply instructions
+ * @param {Object} node - Form node
+ * @returns {Object} { text, options }
+ */
+function describe(node) {
+  const handler = getHandler(node);
+  const details = handler.describe ? handler.describe(node) : {};
+  const options = details.options || [];
+  const lines = [];
+
+  if (node.name && node.nameVisible !== false) {
+    lines.push(node.name);
+  }
+  if (node.description) {
+    lines.push(node.description);
+  }
+  if (options.length > 0) {
+    lines.push(options.map(option => option.text).join('\n'));
+  }
+
+  const hints = [details.hint];
+  if (!handler.static && !isRequired(node)) {
+    hints.push('Reply "skip" to leave this blank.');
+  }
+  if (hints.some(Boolean)) {
+    lines.push(hints.filter(Boolean).join(' '));
+  }
+
+  return { text: lines.join('\n\n'), options };
+}
+
+/**
+ * Validate a reply to a node
+ * @param {Object} node - Form node
+ * @param {string} input - Reply text
+ * @returns {Object} { value, displayValue } ({ value: null } when skipped) or { error }
+ */
+function parse(node, input) {
+  const reply = (input || '').trim();
+
+  if (!isRequired(node) && SKIP_PATTERN.test(reply)) {
+    return { value: null, displayValue: '', skipped: true };
+  }
+  if (!reply) {
+    return { error: 'This question needs an answer. Please reply to continue.' };
+  }
+
+  return getHandler(node).parse(node, reply);
+}
+
+/**
+ * Evaluate a branch condition against the answer to the node it refers to
+ * @param {Object} block - Condition block ({ type, node, ... })
+ * @param {*} value - Answer, null when skipped or not asked
+ * @returns {boolean|undefined} Whether it matches, undefined for unsupported block types
+ */
+function evaluateCondition(block, value) {
+  const handler = handlers[block.type];
+  if (!handler || !handler.condition) {
+    return undefined;
+  }
+  return handler.condition(block, value ?? null);
+}
+
+module.exports = {
+  getHandler,
+  isStatic,
+  isRequired,
+  describe,
+  parse,
+  evaluateCondition
+};
@@ -0,0 +1,154 @@
+/**
+ * Number Blocks
+ * Number, rating and scale blocks; answers are stored as numbers.
+ */
+
+const { setting, toOptions, matchItem } = require('./helpers');
+
+/**
+ * Numeric branch condition (equal, below, above, between, ...)
+ * Also used for dates, which are compared as timestamps.
+ * @param {Object} block - Condition block
+ * @param {*} value - Answer
+ */
+function compareNumber(block, value) {
+  const defined = typeof value === 'number';
+
+  if (block.mode === 'defined') {
+    return defined;
+  }
+  if (block.mode === 'undefined') {
+    return !defined;
+  }
+  if (!defined) {
+    return false;
+  }
+
+  const from = Number(block.value);
+  const to = Number(block.to);
+
+  switch (block.mode) {
+    case 'not-equal':
+      return value !== from;
+    case 'below':
+      return value < from;
+    case 'above':
+      return value > from;
+    case 'between':
+      return value >= Math.min(from, to) && value <= Math.max(from, to);
+    case 'not-between':
+      return value < Math.min(from, to) || value > Math.max(from, to);
+    default:
+      return value === from;
+  }
+}
+
+/**
+ * Range hint, e.g. "from 1 to 10"
+ */
+function describeRange(minimum, maximum) {
+  if (minimum !== undefined && maximum !== undefined) {
+    return `Please reply with a number from ${minimum} to ${maximum}.`;
+  }
+  if (minimum !== undefined) {
+    return `Please reply with a number of at least ${minimum}.`;
+  }
+  if (maximum !== undefined) {
+    return `Please reply with a number of at most ${maximum}.`;
+  }
+  return 'Please reply with a number.';
+}
+
+const number = {
+  describe: node => ({ hint: describeRange(setting(node, 'minimum'), setting(node, 'maximum')) }),
+  parse(node, input) {
+    const decimal = setting(node, 'decimal') || '.';
+    let normalized = input.replace(/\s/g, '');
+
+    ['prefix', 'suffix'].forEach(name => {
+      const affix = setting(node, name);
+      if (affix) {
+        normalized = normalized.split(affix.trim()).join('');
+      }
+    });
+
+    normalized = decimal === ','
+      ? normalized.replace(/\./g, '').replace(',', '.')
+      : normalized.replace(/,/g, '');
+
+    if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(normalized)) {
+      return { error: 'Please reply with a number.' };
+    }
+
+    const precision = setting(node, 'precision');
+    const value = precision !== undefined
+      ? Number(Number(normalized).toFixed(precision))
+      : Number(normalized);
+
+    const minimum = setting(node, 'minimum');
+    const maximum = setting(node, 'maximum');
+    if ((minimum !== undefined && value < minimum) || (maximum !== undefined && value > maximum)) {
+      return { error: describeRange(minimum, maximum) };
+    }
+
+    return { value, displayValue: String(value) };
+  },
+  condition: compareNumber
+};
+
+const rating = {
+  describe: node => ({ hint: `Please reply with a rating from 1 to ${node.block.steps || 5}.` }),
+  parse(node, input) {
+    const steps = node.block.steps || 5;
+    const stars = (input.match(/⭐|★|\*/g) || []).length;
+    const value = /^\d+$/.test(input) ? parseInt(input, 10) : stars;
+
+    if (value < 1 || value > steps) {
+      return { error: `Please reply with a rating from 1 to ${steps}.` };
+    }
+    return { value, displayValue: `${value}/${steps}` };
+  },
+  condition: compareNumber
+};
+
+const scale = {
+  describe(node) {
+    const { block } = node;
+    if (block.mode === 'options') {
+      return { options: toOptions(block.options), hint: 'Please reply with the number of your choice.' };
+    }
+
+    const from = block.from ?? 1;
+    const to = block.to ?? 5;
+    const left = block.labelLeft ? ` (${block.labelLeft})` : '';
+    const right = block.labelRight ? ` (${block.labelRight})` : '';
+    return { hint: `Please reply with a number from ${from}${left} to ${to}${right}.` };
+  },
+  parse(node, input) {
+    const { block } = node;
+    if (block.mode === 'options') {
+      const option = matchItem(block.options, input);
+      return option
+        ? { value: option.id, displayValue: option.name }
+        : { error: `Please select one of the options:\n${toOptions(block.options).map(o => o.text).join('\n')}` };
+    }
+
+    const from = block.from ?? 1;
+    const to = block.to ?? 5;
+    const step = block.stepSize || 1;
+    const value = Number(input.replace(',', '.'));
+
+    if (!Number.isFinite(value) || value < from || value > to || (value - from) % step !== 0) {
+      return { error: `Please reply with a number from ${from} to ${to}${step !== 1 ? ` in steps of ${step}` : ''}.` };
+    }
+    return { value, displayValue: String(value) };
+  },
+  condition: (block, value) => (block.option ? value === block.option : compareNumber(block, value))
+};
+
+module.exports = {
+  number,
+  rating,
+  scale,
+  compareNumber
+};
@@ -0,0 +1,99 @@
+/**
+ * Text Blocks
+ * Text, textarea, email and phone number blocks; all are answered with free text.
+ */
+
+const { setting } = require('./helpers');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Text branch condition (exact, contains, starts, ends, ... ; case-insensitive)
+ * @param {Object} block - Condition block
+ * @param {*} value - Answer
+ */
+function compareText(block, value) {
+  const text = value === null || value === undefined ? '' : String(value).toLowerCase();
+  const expected = String(block.value ?? '').toLowerCase();
+
+  switch (block.mode) {
+    case 'not-exact':
+      return text !== expected;
+    case 'contains':
+      return text.includes(expected);
+    case 'not-contains':
+      return !text.includes(expected);
+    case 'starts':
+      return text.startsWith(expected);
+    case 'ends':
+      return text.endsWith(expected);
+    case 'defined':
+      return text !== '';
+    case 'undefined':
+      return text === '';
+    default:
+      return text === expected;
+  }
+}
+
+/**
+ * Check the length limits of a text answer
+ * @param {Object} node - Form node
+ * @param {string} input - Reply text
+ * @returns {Object} { value, displayValue } or { error }
+ */
+function parseText(node, input) {
+  const minLength = setting(node, 'minLength');
+  const maxLength = setting(node, 'maxLength');
+
+  if (minLength && input.length < minLength) {
+    return { error: `Please use at least ${minLength} characters.` };
+  }
+  if (maxLength && input.length > maxLength) {
+    return { error: `Please keep it under ${maxLength + 1} characters (yours has ${input.length}).` };
+  }
+
+  return { value: input, displayValue: input };
+}
+
+const text = {
+  parse: (node, input) => parseText(node, input.replace(/\s*\n\s*/g, ' ')),
+  condition: compareText
+};
+
+const textarea = {
+  parse: parseText,
+  condition: compareText
+};
+
+const email = {
+  describe: () => ({ hint: 'Please reply with an email address.' }),
+  parse(node, input) {
+    const address = input.toLowerCase();
+    if (!EMAIL_PATTERN.test(address)) {
+      return { error: 'That doesn\'t look like an email address. Please try again (e.g. name@example.com).' };
+    }
+    return { value: address, displayValue: address };
+  },
+  condition: compareText
+};
+
+const phoneNumber = {
+  describe: () => ({ hint: 'Please reply with a phone number, including the country code if you are abroad.' }),
+  parse(node, input) {
+    const number = input.replace(/[\s().-]/g, '');
+    if (!/^\+?\d{7,15}$/.test(number)) {
+      return { error: 'That doesn\'t look like a phone number. Please use digits only, e.g. +1 555 123 4567.' };
+    }
+    return { value: number, displayValue: input };
+  },
+  condition: compareText
+};
+
+module.exports = {
+  text,
+  textarea,
+  email,
+  phoneNumber,
+  compareText
+};
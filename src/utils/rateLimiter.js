@@ -0,0 +1,178 @@
+/**
+ * Rate Limiter Utility
+ * Token buckets per platform and per destination that queue requests instead of dropping them.
+ *
+ * Requests for the same destination run one at a time in the order they were scheduled,
+ * so bridged messages keep their order within a channel.
+ */
+
+const logger = require('./logger');
+
+class TokenBucket {
+  /**
+   * @param {number} capacity - Maximum burst size
+   * @param {number} intervalMs - Time to refill a full bucket
+   */
+  constructor(capacity, intervalMs) {
+    this.capacity = capacity;
+    this.refillPerMs = capacity / intervalMs;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Time until a token is available
+   * @returns {number} Milliseconds to wait (0 if a token is available now)
+   */
+  getWaitTime() {
+    this.refill();
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillPerMs);
+  }
+
+  take() {
+    this.refill();
+    this.tokens -= 1;
+  }
+
+  isFull() {
+    this.refill();
+    return this.tokens >= this.capacity;
+  }
+}
+
+class RateLimiter {
+  /**
+   * @param {string} name - Platform name (for logs and stats)
+   * @param {Object} options
+   * @param {Object} options.global - { capacity, intervalMs } shared by every destination
+   * @param {Function} options.perKey - (key) => { capacity, intervalMs } for one destination
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.enabled = options.enabled !== false;
+    this.globalBucket = options.global ? new TokenBucket(options.global.capacity, options.global.intervalMs) : null;
+    this.perKey = options.perKey || null;
+
+    // key -> { bucket, jobs: [], running }
+    this.destinations = new Map();
+    this.stats = {
+      scheduled: 0,
+      delayed: 0
+    };
+  }
+
+  /**
+   * Run a request for a destination once the rate limits allow it
+   * @param {string} key - Destination (channel/chat/group ID)
+   * @param {Function} fn - async () => result
+   * @returns {Promise} Result of fn
+   */
+  schedule(key, fn) {
+    if (!this.enabled) {
+      return fn();
+    }
+
+    const destinationKey = String(key);
+    const destination = this.getDestination(destinationKey);
+    this.stats.scheduled++;
+
+    return new Promise((resolve, reject) => {
+      destination.jobs.push({ fn, resolve, reject });
+      this.drain(destinationKey);
+    });
+  }
+
+  /**
+   * @private
+   */
+  getDestination(key) {
+    if (!this.destinations.has(key)) {
+      const limit = this.perKey ? this.perKey(key) : null;
+      this.destinations.set(key, {
+        bucket: limit ? new TokenBucket(limit.capacity, limit.intervalMs) : null,
+        jobs: [],
+        running: false
+      });
+    }
+    return this.destinations.get(key);
+  }
+
+  /**
+   * Process queued requests for a destination in order
+   * @private
+   */
+  async drain(key) {
+    const destination = this.destinations.get(key);
+    if (!destination || destination.running) return;
+    destination.running = true;
+
+    while (destination.jobs.length > 0) {
+      const wait = Math.max(
+        destination.bucket ? destination.bucket.getWaitTime() : 0,
+        this.globalBucket ? this.globalBucket.getWaitTime() : 0
+      );
+
+      if (wait > 0) {
+        this.stats.delayed++;
+        logger.debug('Rate limit reached, delaying request', {
+          platform: this.name,
+          destination: key,
+          waitMs: wait,
+          queued: destination.jobs.length
+        });
+        await new Promise(resolve => setTimeout(resolve, wait));
+        continue;
+      }
+
+      destination.bucket?.take();
+      this.globalBucket?.take();
+
+      const job = destination.jobs.shift();
+      try {
+        job.resolve(await job.fn());
+      } catch (error) {
+        job.reject(error);
+      }
+    }
+
+    destination.running = false;
+
+    // Idle destinations with a full bucket carry no state worth keeping
+    if (!destination.bucket || destination.bucket.isFull()) {
+      this.destinations.delete(key);
+    }
+  }
+
+  /**
+   * Get queue depth per destination
+   */
+  getStats() {
+    const queues = {};
+    let queued = 0;
+
+    this.destinations.forEach((destination, key) => {
+      if (destination.jobs.length > 0) {
+        queues[key] = destination.jobs.length;
+        queued += destination.jobs.length;
+      }
+    });
+
+    return {
+      enabled: this.enabled,
+      queued,
+      queues,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = {
+  RateLimiter,
+  TokenBucket
+};
@@ -0,0 +1,117 @@
+/**
+ * Reaction Emoji
+ * Maps reaction emoji between platforms. Discord and CometChat accept any Unicode emoji;
+ * Telegram bots can only react with a fixed set, so other emoji are mapped to a close
+ * equivalent or dropped.
+ */
+
+// Reactions Telegram accepts from bots (ReactionTypeEmoji), without variation selectors
+const TELEGRAM_REACTIONS = new Set([
+  '👍', '👎', '❤', '🔥', '🥰', '👏', '😁', '🤔', '🤯', '😱', '🤬', '😢', '🎉', '🤩', '🤮', '💩',
+  '🙏', '👌', '🕊', '🤡', '🥱', '🥴', '😍', '🐳', '❤‍🔥', '🌚', '🌭', '💯', '🤣', '⚡', '🍌', '🏆',
+  '💔', '🤨', '😐', '🍓', '🍾', '💋', '🖕', '😈', '😴', '😭', '🤓', '👻', '👨‍💻', '👀', '🎃', '🙈',
+  '😇', '😨', '🤝', '✍', '🤗', '🫡', '🎅', '🎄', '☃', '💅', '🤪', '🗿', '🆒', '💘', '🙉', '🦄',
+  '😘', '💊', '🙊', '😎', '👾', '🤷‍♂', '🤷', '🤷‍♀', '😡'
+]);
+
+// Closest Telegram reaction for common emoji outside the set
+const TELEGRAM_ALIASES = {
+  '😂': '🤣',
+  '😆': '😁',
+  '😄': '😁',
+  '😃': '😁',
+  '😀': '😁',
+  '🙂': '😁',
+  '😊': '🥰',
+  '😻': '😍',
+  '✅': '👌',
+  '✔': '👌',
+  '☑': '👌',
+  '💜': '❤',
+  '💙': '❤',
+  '💚': '❤',
+  '💛': '❤',
+  '🧡': '❤',
+  '🤍': '❤',
+  '🖤': '❤',
+  '💖': '❤',
+  '💕': '❤',
+  '💗': '❤',
+  '♥': '❤',
+  '😮': '😱',
+  '😯': '😱',
+  '😲': '😱',
+  '😳': '😱',
+  '😠': '😡',
+  '👿': '😈',
+  '😥': '😢',
+  '😞': '😢',
+  '😔': '😢',
+  '🥲': '😢',
+  '😿': '😢',
+  '🎊': '🎉',
+  '🥳': '🎉',
+  '⭐': '🤩',
+  '🌟': '🤩',
+  '✨': '🤩',
+  '🚀': '🔥',
+  '💪': '👍',
+  '🆗': '👌',
+  '🙌': '👏',
+  '🫶': '🥰',
+  '🤤': '😍',
+  '💀': '😭',
+  '😅': '😁',
+  '😉': '😘',
+  '😬': '😨',
+  '😰': '😨',
+  '🙄': '🤨',
+  '😑': '😐',
+  '😶': '😐',
+  '🤐': '🙊',
+  '🎂': '🎉',
+  '☠': '👻'
+};
+
+// Telegram sends these without the variation selector Discord needs to recognize them
+const FULLY_QUALIFIED = {
+  '❤': '❤️',
+  '☃': '☃️',
+  '✍': '✍️',
+  '🕊': '🕊️',
+  '❤‍🔥': '❤️‍🔥',
+  '🤷‍♂': '🤷‍♂️',
+  '🤷‍♀': '🤷‍♀️'
+};
+
+/**
+ * Strip variation selectors and skin tones so the same emoji compares equal across platforms
+ * @param {string} emoji - Unicode emoji
+ * @returns {string} Normalized emoji
+ */
+function normalize(emoji) {
+  return String(emoji || '').replace(/[︎️]|\uD83C[\uDFFB-\uDFFF]/g, '');
+}
+
+/**
+ * Get the reaction to use on a platform for an emoji
+ * @param {string} emoji - Unicode emoji from any platform
+ * @param {string} platform - Target platform
+ * @returns {string|null} Reaction, or null if the platform has no equivalent
+ */
+function toPlatformReaction(emoji, platform) {
+  const normalized = normalize(emoji);
+  if (!normalized) return null;
+
+  if (platform !== 'telegram') {
+    return FULLY_QUALIFIED[emoji] || emoji;
+  }
+
+  if (TELEGRAM_REACTIONS.has(normalized)) return normalized;
+  return TELEGRAM_ALIASES[normalized] || null;
+}
+
+module.exports = {
+  normalize,
+  toPlatformReaction
+};
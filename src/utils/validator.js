@@ -3,21 +3,37 @@
  * Provides validation helpers for incoming requests
  */
 
+const crypto = require('crypto');
 const logger = require('./logger');
 
+// Example values shipped in .env.example and the docs; anyone can sign with these
+const PLACEHOLDER_SECRETS = [
+  'your-jwt-secret', 'your_jwt_secret_here', 'your_jwt_secret', 'change-me',
+  'your_webhook_secret_here', 'your_webhook_secret', 'your-webhook-secret',
+  'your_telegram_webhook_secret_here', 'your_discord_webhook_secret_here'
+];
+
 class Validator {
   /**
    * Validate CometChat webhook payload
+   * @param {Object} body - Webhook body
+   * @param {string} appId - Configured CometChat app ID the webhook must belong to
    */
-  static validateCometChatWebhook(body) {
+  static validateCometChatWebhook(body, appId = null) {
     const errors = [];
 
+    if (!body || typeof body !== 'object') {
+      return { isValid: false, errors: ['Body must be a JSON object'] };
+    }
+
     if (!body.trigger) {
       errors.push('Missing required field: trigger');
     }
 
     if (!body.appId) {
       errors.push('Missing required field: appId');
+    } else if (appId && body.appId !== appId) {
+      errors.push('appId does not match the configured CometChat app');
     }
 
     if (!body.data) {
@@ -49,12 +65,335 @@ class Validator {
 
 
   /**
-   * Validate webhook signature (if applicable)
+   * Validate bridge configuration file contents
+   * @param {Object} data - Parsed bridges file ({ bridges: [...] })
+   */
+  static validateBridgeConfig(data) {
+    const errors = [];
+    const platformIdFields = {
+      discord: 'channelId',
+      telegram: 'chatId',
+      cometchat: 'groupId'
+    };
+
+    if (!data || typeof data !== 'object' || !Array.isArray(data.bridges)) {
+      errors.push('Missing required field: bridges (array)');
+      return { isValid: false, errors };
+    }
+
+    const seenBridgeIds = new Set();
+    const seenPlatformIds = new Map();
+
+    data.bridges.forEach((bridge, index) => {
+      const where = `bridges[${index}]`;
+
+      if (!bridge || typeof bridge !== 'object') {
+        errors.push(`${where}: must be an object`);
+        return;
+      }
+
+      if (typeof bridge.id !== 'string' || !bridge.id.trim()) {
+        errors.push(`${where}: missing required field: id`);
+      } else if (seenBridgeIds.has(bridge.id)) {
+        errors.push(`${where}: duplicate bridge id "${bridge.id}"`);
+      } else {
+        seenBridgeIds.add(bridge.id);
+      }
+
+      if (bridge.name !== undefined && typeof bridge.name !== 'string') {
+        errors.push(`${where}.name: must be a string`);
+      }
+
+      if (bridge.enabled !== undefined && typeof bridge.enabled !== 'boolean') {
+        errors.push(`${where}.enabled: must be a boolean`);
+      }
+
+      if (!bridge.platforms || typeof bridge.platforms !== 'object') {
+        errors.push(`${where}: missing required field: platforms`);
+        return;
+      }
+
+      const platformNames = Object.keys(bridge.platforms);
+      if (platformNames.length < 2) {
+        errors.push(`${where}.platforms: a bridge needs at least two platforms`);
+      }
+
+      platformNames.forEach(platform => {
+        const idField = platformIdFields[platform];
+        if (!idField) {
+          errors.push(`${where}.platforms.${platform}: unknown platform`);
+          return;
+        }
+
+        const platformId = bridge.platforms[platform]?.[idField];
+        if (typeof platformId !== 'string' || !platformId.trim()) {
+          errors.push(`${where}.platforms.${platform}.${idField}: must be a non-empty string`);
+          return;
+        }
+
+        // Each chat may only belong to one bridge, otherwise routing is ambiguous
+        const key = `${platform}:${platformId}`;
+        if (seenPlatformIds.has(key)) {
+          errors.push(`${where}.platforms.${platform}.${idField}: "${platformId}" is already used by bridge "${seenPlatformIds.get(key)}"`);
+        } else {
+          seenPlatformIds.set(key, bridge.id);
+        }
+      });
+
+      if (bridge.settings !== undefined) {
+        const { settings } = bridge;
+        if (!settings || typeof settings !== 'object') {
+          errors.push(`${where}.settings: must be an object`);
+        } else {
+          ['syncMessages', 'syncFiles', 'syncReactions', 'discordWebhooks', 'cometchatMirrorUsers', 'bridgeBots'].forEach(field => {
+            if (settings[field] !== undefined && typeof settings[field] !== 'boolean') {
+              errors.push(`${where}.settings.${field}: must be a boolean`);
+            }
+          });
+          ['allowList', 'denyList'].forEach(field => {
+            if (settings[field] === undefined) return;
+            const valid = Array.isArray(settings[field]) && settings[field].every(entry =>
+              typeof entry === 'string' && /^(discord|telegram|cometchat):.+$/.test(entry)
+            );
+            if (!valid) {
+              errors.push(`${where}.settings.${field}: must be an array of "<platform>:<authorId>" strings`);
+            }
+          });
+          if (settings.maxMessageLength !== undefined &&
+              (!Number.isInteger(settings.maxMessageLength) || settings.maxMessageLength <= 0)) {
+            errors.push(`${where}.settings.maxMessageLength: must be a positive integer`);
+          }
+          if (settings.maxFileSizeMb !== undefined &&
+              (typeof settings.maxFileSizeMb !== 'number' || !(settings.maxFileSizeMb > 0))) {
+            errors.push(`${where}.settings.maxFileSizeMb: must be a positive number`);
+          }
+        }
+      }
+    });
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Validate the Tripetto forms manifest
+   * @param {Object} data - Parsed manifest ({ forms: [...] })
+   */
+  static validateTripettoManifest(data) {
+    const errors = [];
+    // Workflows are only started from the CometChat webhook so far
+    const platforms = ['cometchat'];
+
+    if (!data || typeof data !== 'object' || !Array.isArray(data.forms)) {
+      errors.push('Missing required field: forms (array)');
+      return { isValid: false, errors };
+    }
+
+    const seenIds = new Set();
+    const seenTriggers = new Map();
+
+    data.forms.forEach((form, index) => {
+      const where = `forms[${index}]`;
+
+      if (!form || typeof form !== 'object') {
+        errors.push(`${where}: must be an object`);
+        return;
+      }
+
+      if (typeof form.id !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/i.test(form.id)) {
+        errors.push(`${where}.id: must be letters, digits, "-" or "_"`);
+      } else if (seenIds.has(form.id)) {
+        errors.push(`${where}: duplicate form id "${form.id}"`);
+      } else {
+        seenIds.add(form.id);
+      }
+
+      if (typeof form.name !== 'string' || !form.name.trim()) {
+        errors.push(`${where}: missing required field: name`);
+      }
+
+      if (typeof form.trigger !== 'string' || !/^\/[a-z0-9_-]+$/i.test(form.trigger)) {
+        errors.push(`${where}.trigger: must be a command such as "/care"`);
+      } else {
+        const trigger = form.trigger.toLowerCase();
+        if (seenTriggers.has(trigger)) {
+          errors.push(`${where}.trigger: "${form.trigger}" is already used by form "${seenTriggers.get(trigger)}"`);
+        } else {
+          seenTriggers.set(trigger, form.id);
+        }
+      }
+
+      if (form.description !== undefined && typeof form.description !== 'string') {
+        errors.push(`${where}.description: must be a string`);
+      }
+
+      if (!Array.isArray(form.channels) || form.channels.length === 0 ||
+          !form.channels.every(channel => platforms.includes(channel))) {
+        errors.push(`${where}.channels: must be a non-empty array of ${platforms.join(', ')}`);
+      }
+
+      // Exports are referenced by file name only, so a manifest cannot read outside the forms directory
+      if (form.file !== undefined &&
+          (typeof form.file !== 'string' || !/^[^/\\]+\.json$/i.test(form.file) || form.file.startsWith('.'))) {
+        errors.push(`${where}.file: must be a .json file name in the forms directory`);
+      }
+
+      if (form.enabled !== undefined && typeof form.enabled !== 'boolean') {
+        errors.push(`${where}.enabled: must be a boolean`);
+      }
+    });
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Validate a Tripetto Studio form export
+   * Checks the structure the chat runner relies on: ids, nesting and branch jumps.
+   * @param {Object} definition - Parsed form definition
+   */
+  static validateTripettoForm(definition) {
+    const errors = [];
+    const cullingModes = ['first', 'each', 'all', 'none'];
+
+    if (!definition || typeof definition !== 'object' || !Array.isArray(definition.sections)) {
+      errors.push('Missing required field: sections (array)');
+      return { isValid: false, errors };
+    }
+
+    const sectionIds = new Set();
+    const nodeIds = new Set();
+    const jumps = [];
+
+    const checkSections = (sections, where) => {
+      if (!Array.isArray(sections)) {
+        errors.push(`${where}: must be an array`);
+        return;
+      }
+
+      sections.forEach((section, sectionIndex) => {
+        const sectionWhere = `${where}[${sectionIndex}]`;
+        if (!section || typeof section !== 'object' || typeof section.id !== 'string') {
+          errors.push(`${sectionWhere}: missing required field: id`);
+          return;
+        }
+        sectionIds.add(section.id);
+
+        (Array.isArray(section.nodes) ? section.nodes : []).forEach((node, nodeIndex) => {
+          const nodeWhere = `${sectionWhere}.nodes[${nodeIndex}]`;
+          if (!node || typeof node.id !== 'string') {
+            errors.push(`${nodeWhere}: missing required field: id`);
+          } else if (nodeIds.has(node.id)) {
+            errors.push(`${nodeWhere}: duplicate node id "${node.id}"`);
+          } else {
+            nodeIds.add(node.id);
+          }
+          if (node?.block !== undefined && typeof node.block?.type !== 'string') {
+            errors.push(`${nodeWhere}.block: missing required field: type`);
+          }
+        });
+
+        (Array.isArray(section.branches) ? section.branches : []).forEach((branch, branchIndex) => {
+          const branchWhere = `${sectionWhere}.branches[${branchIndex}]`;
+          if (!branch || typeof branch.id !== 'string') {
+            errors.push(`${branchWhere}: missing required field: id`);
+            return;
+          }
+          if (branch.culling !== undefined && !cullingModes.includes(branch.culling)) {
+            errors.push(`${branchWhere}.culling: must be one of ${cullingModes.join(', ')}`);
+          }
+          if (branch.conditions !== undefined && !Array.isArray(branch.conditions)) {
+            errors.push(`${branchWhere}.conditions: must be an array`);
+          }
+          if (branch.jump !== undefined && branch.jump !== 'abort' && branch.jump !== 'return') {
+            jumps.push({ target: branch.jump, where: `${branchWhere}.jump` });
+          }
+          if (branch.sections !== undefined) {
+            checkSections(branch.sections, `${branchWhere}.sections`);
+          }
+        });
+      });
+    };
+
+    checkSections(definition.sections, 'sections');
+
+    // Conditions may only refer to nodes of this form
+    const checkConditions = (sections) => (sections || []).forEach(section => {
+      (section?.branches || []).forEach(branch => {
+        (Array.isArray(branch?.conditions) ? branch.conditions : []).forEach(condition => {
+          if (condition?.block?.node && !nodeIds.has(condition.block.node)) {
+            errors.push(`branch ${branch.id}: condition ${condition.id} refers to unknown node "${condition.block.node}"`);
+          }
+        });
+        checkConditions(Array.isArray(branch?.sections) ? branch.sections : []);
+      });
+    });
+    checkConditions(definition.sections);
+
+    jumps.forEach(({ target, where }) => {
+      if (!sectionIds.has(target)) {
+        errors.push(`${where}: unknown section "${target}"`);
+      }
+    });
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Validate HTTP Basic Auth credentials
+   * @param {string} authorization - Authorization header
+   * @param {Object} expected - { username, password }; an empty username accepts any username
+   * @returns {boolean} Whether the credentials match
+   */
+  static validateBasicAuth(authorization, expected) {
+    const [scheme, encoded] = String(authorization || '').split(' ');
+    if (!scheme || scheme.toLowerCase() !== 'basic' || !encoded) {
+      return false;
+    }
+
+    const decoded = Buffer.from(encoded, 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator === -1) {
+      return false;
+    }
+
+    const username = decoded.slice(0, separator);
+    const password = decoded.slice(separator + 1);
+
+    // Both are always compared so a wrong username takes as long as a wrong password
+    const usernameMatches = !expected.username || this.safeEqual(username, expected.username);
+    const passwordMatches = this.safeEqual(password, expected.password);
+    return usernameMatches && passwordMatches;
+  }
+
+  /**
+   * Compare a received secret with the configured one in constant time
+   * Both sides are hashed first so neither their contents nor their lengths leak through timing.
+   * @param {string} actual - Value received with the request
+   * @param {string} expected - Configured secret
+   */
+  static safeEqual(actual, expected) {
+    if (typeof actual !== 'string' || !expected) {
+      return false;
+    }
+
+    const hash = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(hash(actual), hash(expected));
+  }
+
+  /**
+   * Whether a signing secret is set to a real value rather than left empty or at a placeholder
+   * @param {string} secret - Configured secret
    */
-  static validateWebhookSignature(headers, body, secret) {
-    // Implement signature validation logic here
-    // This is a placeholder for security validation
-    return true;
+  static isConfiguredSecret(secret) {
+    return typeof secret === 'string' && secret.trim() !== '' && !PLACEHOLDER_SECRETS.includes(secret.trim());
   }
 
   /**